@@ -5,7 +5,106 @@
 
 import * as Storage from './storage.js';
 import * as Index from './index.js';
-import { fromMarkdown, getPreviousDate } from './journal.js';
+import * as Encryption from './encryption.js';
+import { fromMarkdown, getPreviousDate, getNextDate, getTodayDate, getPriorities, getTaskKey } from './journal.js';
+import { getAllMetrics, getAllHabits } from './templates.js';
+
+// Plaintext of encrypted cached entries (ciphertext -> markdown), held
+// in memory only and only while the journal is unlocked
+let _decrypted = new Map();
+
+/**
+ * Decrypt the cached entries not decrypted yet, so stats and previews
+ * can read their body. Entries that fail to decrypt are left out and
+ * read from their clear frontmatter.
+ * @returns {Promise<number>} Number of entries newly decrypted
+ */
+async function decryptCached() {
+    if (!Encryption.isUnlocked()) {
+        forgetDecrypted();
+        return 0;
+    }
+
+    const decrypted = new Map();
+    let added = 0;
+
+    for (const entry of Object.values(Storage.getEntries())) {
+        const markdown = entry && entry.markdown;
+        if (!Encryption.isEncrypted(markdown)) continue;
+
+        if (_decrypted.has(markdown)) {
+            decrypted.set(markdown, _decrypted.get(markdown));
+            continue;
+        }
+
+        try {
+            decrypted.set(markdown, await Encryption.decryptMarkdown(markdown));
+            added++;
+        } catch {
+            // Wrong key or damaged: only the clear frontmatter is readable
+        }
+    }
+
+    _decrypted = decrypted;
+    return added;
+}
+
+/**
+ * Drop every decrypted entry, e.g. when the journal is locked
+ */
+function forgetDecrypted() {
+    _decrypted = new Map();
+}
+
+/**
+ * Parse a cached entry, reading the decrypted markdown when there is one
+ * @param {{markdown: string}} entry
+ * @returns {Object} Parsed entry
+ */
+function parseCached(entry) {
+    const plain = Encryption.isUnlocked() ? _decrypted.get(entry.markdown) : undefined;
+    return fromMarkdown(plain ?? entry.markdown);
+}
+
+/**
+ * Read a metric from a parsed entry as a number. Metrics the entry's
+ * template does not track are looked up in its other frontmatter.
+ * @param {Object} parsed - Parsed entry
+ * @param {string} key - Metric key
+ * @returns {number|null} Booleans count as 1 / 0; null when not recorded
+ */
+function getMetricValue(parsed, key) {
+    const value = parsed[key] ?? (parsed.frontmatter || {})[key];
+
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value === null || value === undefined || value === '') return null;
+
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Get the recorded values of a metric over the most recent entries
+ * @param {string} key - Metric key
+ * @param {number} days 
+ * @returns {number[]}
+ */
+function getRecentValues(key, days) {
+    const entries = Storage.getEntries();
+    const values = [];
+
+    for (const date of Index.getAllDates().slice(0, days)) {
+        const entry = entries[date];
+        if (entry && entry.markdown) {
+            const value = getMetricValue(parseCached(entry), key);
+            if (value !== null) {
+                values.push(value);
+            }
+        }
+    }
+
+    return values;
+}
 
 /**
  * Calculate current streak
@@ -113,7 +212,7 @@ function getAverageScore(days = 7) {
     for (const date of recentDates) {
         const entry = entries[date];
         if (entry && entry.markdown) {
-            const parsed = fromMarkdown(entry.markdown);
+            const parsed = parseCached(entry);
             if (parsed.score !== undefined) {
                 total += parsed.score;
                 count++;
@@ -126,32 +225,16 @@ function getAverageScore(days = 7) {
 
 /**
  * Get rolling average for specific metric
- * @param {string} metric - 'score', 'discipline', 'focus', 'energy', 'mood'
+ * @param {string} metric - Metric key, e.g. 'discipline' or a custom one
  * @param {number} days 
- * @returns {number}
+ * @returns {number} For boolean metrics, the share of days it was true (0-1)
  */
 function getRollingAverage(metric, days = 7) {
-    const entries = Storage.getEntries();
-    const dates = Index.getAllDates();
-    const recentDates = dates.slice(0, days);
-
-    if (recentDates.length === 0) return 0;
-
-    let total = 0;
-    let count = 0;
-
-    for (const date of recentDates) {
-        const entry = entries[date];
-        if (entry && entry.markdown) {
-            const parsed = fromMarkdown(entry.markdown);
-            if (parsed[metric] !== undefined) {
-                total += parsed[metric];
-                count++;
-            }
-        }
-    }
+    const values = getRecentValues(metric, days);
+    if (values.length === 0) return 0;
 
-    return count > 0 ? Math.round((total / count) * 10) / 10 : 0;
+    const total = values.reduce((sum, value) => sum + value, 0);
+    return Math.round((total / values.length) * 10) / 10;
 }
 
 /**
@@ -169,7 +252,7 @@ function getScoreTrend(days = 7) {
         let score = 0;
 
         if (entry && entry.markdown) {
-            const parsed = fromMarkdown(entry.markdown);
+            const parsed = parseCached(entry);
             score = parsed.score || 0;
         }
 
@@ -180,56 +263,319 @@ function getScoreTrend(days = 7) {
 /**
  * Get all metrics trend data
  * @param {number} days 
- * @returns {Object}
+ * @param {Array<Object>} [metrics] - Defaults to every metric of every template
+ * @returns {Object} dates, plus one list per metric key (null where not recorded)
  */
-function getAllMetricsTrend(days = 7) {
+function getAllMetricsTrend(days = 7, metrics = getAllMetrics()) {
     const entries = Storage.getEntries();
     const dates = Index.getAllDates();
     const recentDates = dates.slice(0, days).reverse();
 
-    const metrics = {
-        dates: [],
-        score: [],
-        discipline: [],
-        focus: [],
-        energy: [],
-        mood: []
-    };
+    const trend = { dates: [] };
+    for (const metric of metrics) {
+        trend[metric.key] = [];
+    }
 
     for (const date of recentDates) {
-        metrics.dates.push(date);
+        trend.dates.push(date);
         const entry = entries[date];
+        const parsed = entry && entry.markdown ? parseCached(entry) : null;
 
-        if (entry && entry.markdown) {
-            const parsed = fromMarkdown(entry.markdown);
-            metrics.score.push(parsed.score || 0);
-            metrics.discipline.push(parsed.discipline || 0);
-            metrics.focus.push(parsed.focus || 0);
-            metrics.energy.push(parsed.energy || 0);
-            metrics.mood.push(parsed.mood || 0);
-        } else {
-            metrics.score.push(0);
-            metrics.discipline.push(0);
-            metrics.focus.push(0);
-            metrics.energy.push(0);
-            metrics.mood.push(0);
+        for (const metric of metrics) {
+            trend[metric.key].push(parsed ? getMetricValue(parsed, metric.key) : null);
         }
     }
 
-    return metrics;
+    return trend;
 }
 
 /**
- * Get discipline breakdown averages
+ * Get discipline breakdown averages: every 0-10 style scale except
+ * the overall score
  * @param {number} days 
- * @returns {Object}
+ * @returns {Object} key → average
  */
 function getDisciplineBreakdown(days = 30) {
+    const breakdown = {};
+
+    for (const metric of getAllMetrics()) {
+        if (metric.type === 'scale' && metric.key !== 'score') {
+            breakdown[metric.key] = getRollingAverage(metric.key, days);
+        }
+    }
+
+    return breakdown;
+}
+
+/**
+ * Get per-metric statistics for every tracked metric
+ * @param {number} days 
+ * @returns {Array<{metric: Object, count: number, average: number|null, total: number}>}
+ *   For boolean metrics the average is the share of days it was true (0-1)
+ */
+function getMetricStats(days = 30) {
+    return getAllMetrics().map(metric => {
+        const values = getRecentValues(metric.key, days);
+        const total = values.reduce((sum, value) => sum + value, 0);
+
+        return {
+            metric,
+            count: values.length,
+            average: values.length > 0 ? total / values.length : null,
+            total
+        };
+    });
+}
+
+/**
+ * Compare a metric's average across tags
+ * @param {string} key - Metric key
+ * @param {number} days 
+ * @returns {{overall: {count: number, average: number|null}, tags: Array<{tag: string, count: number, average: number|null}>}}
+ *   Tags ordered by how many of the entries have them
+ */
+function getTagComparison(key, days = 30) {
+    const entries = Storage.getEntries();
+    const groups = new Map();
+    const overall = { count: 0, total: 0 };
+
+    for (const date of Index.getAllDates().slice(0, days)) {
+        const entry = entries[date];
+        if (!entry || !entry.markdown) continue;
+
+        const parsed = parseCached(entry);
+        const value = getMetricValue(parsed, key);
+        if (value === null) continue;
+
+        overall.count++;
+        overall.total += value;
+
+        for (const tag of parsed.tags || []) {
+            const group = groups.get(tag) || { count: 0, total: 0 };
+            group.count++;
+            group.total += value;
+            groups.set(tag, group);
+        }
+    }
+
+    const average = ({ count, total }) => count > 0 ? total / count : null;
+
+    return {
+        overall: { count: overall.count, average: average(overall) },
+        tags: [...groups.entries()]
+            .map(([tag, group]) => ({ tag, count: group.count, average: average(group) }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    };
+}
+
+/**
+ * Count priority completion and carry-over over parsed entries. An item
+ * counts as carried over when it is left open and the next entry has it
+ * again.
+ * @param {Array<Object>} parsedEntries - Oldest first
+ * @returns {{total: number, done: number, open: number, dropped: number, completionRate: number, carried: number, carryOverRate: number, mostCarried: Array<{text: string, times: number}>}}
+ *   Rates are percentages; dropped items do not count against completion
+ */
+function summarizePriorities(parsedEntries) {
+    const stats = { total: 0, done: 0, open: 0, dropped: 0, carried: 0 };
+    const carriedTimes = new Map();
+    let previous = null;
+    let openWithNext = 0;
+
+    for (const parsed of parsedEntries) {
+        const items = getPriorities(parsed);
+        const keys = new Set(items.map(item => getTaskKey(item.text)));
+
+        if (previous) {
+            for (const item of previous) {
+                if (item.state !== 'open') continue;
+
+                openWithNext++;
+                const key = getTaskKey(item.text);
+                if (keys.has(key)) {
+                    stats.carried++;
+                    carriedTimes.set(key, { text: item.text, times: (carriedTimes.get(key)?.times || 0) + 1 });
+                }
+            }
+        }
+
+        for (const item of items) {
+            stats.total++;
+            stats[item.state]++;
+        }
+
+        previous = items;
+    }
+
+    const counted = stats.done + stats.open;
+
+    return {
+        ...stats,
+        completionRate: counted > 0 ? Math.round((stats.done / counted) * 100) : 0,
+        carryOverRate: openWithNext > 0 ? Math.round((stats.carried / openWithNext) * 100) : 0,
+        mostCarried: [...carriedTimes.values()]
+            .sort((a, b) => b.times - a.times)
+            .slice(0, 5)
+    };
+}
+
+/**
+ * Get priority completion and carry-over statistics
+ * @param {number} days 
+ * @returns {Object} See summarizePriorities
+ */
+function getPriorityStats(days = 30) {
+    const entries = Storage.getEntries();
+    const parsedEntries = Index.getAllDates().slice(0, days).reverse()
+        .filter(date => entries[date] && entries[date].markdown)
+        .map(date => parseCached(entries[date]));
+
+    return summarizePriorities(parsedEntries);
+}
+
+/**
+ * Get the done habits of every entry that tracks habits
+ * @returns {Map<string, string[]>} date → habit keys
+ */
+function getHabitDays() {
+    const entries = Storage.getEntries();
+    const days = new Map();
+
+    for (const date of Index.getAllDates()) {
+        const entry = entries[date];
+        if (!entry || !entry.markdown) continue;
+
+        const { habits } = parseCached(entry);
+        if (Array.isArray(habits)) {
+            days.set(date, habits);
+        }
+    }
+
+    return days;
+}
+
+/**
+ * Get streaks and completion for every habit. A streak counts
+ * consecutive days the habit was done; not having done it yet today
+ * does not break it.
+ * @param {number} days - Completion rate window
+ * @returns {Array<{habit: Object, streak: number, longest: number, done: number, tracked: number, rate: number}>}
+ */
+function getHabitStats(days = 30) {
+    const habitDays = getHabitDays();
+    const dates = [...habitDays.keys()].sort();
+    const recent = new Set(Index.getAllDates().slice(0, days));
+    const today = getTodayDate();
+
+    return getAllHabits().map(habit => {
+        const isDone = (date) => (habitDays.get(date) || []).includes(habit.key);
+
+        let streak = 0;
+        let date = isDone(today) ? today : getPreviousDate(today);
+        while (isDone(date)) {
+            streak++;
+            date = getPreviousDate(date);
+        }
+
+        let longest = 0;
+        let run = 0;
+        let last = null;
+        for (const day of dates) {
+            if (!isDone(day)) {
+                run = 0;
+                continue;
+            }
+            run = last && getNextDate(last) === day && run > 0 ? run + 1 : 1;
+            last = day;
+            longest = Math.max(longest, run);
+        }
+
+        const window = dates.filter(day => recent.has(day));
+        const done = window.filter(isDone).length;
+
+        return {
+            habit,
+            streak,
+            longest,
+            done,
+            tracked: window.length,
+            rate: window.length > 0 ? Math.round((done / window.length) * 100) : 0
+        };
+    });
+}
+
+/**
+ * Get a habit-by-day grid of the last days up to today
+ * @param {number} days 
+ * @returns {{dates: string[], rows: Array<{habit: Object, cells: Array<boolean|null>}>}}
+ *   Cells are null for days without an entry that tracks habits
+ */
+function getHabitGrid(days = 30) {
+    const habitDays = getHabitDays();
+    const dates = [];
+
+    let date = getTodayDate();
+    for (let i = 0; i < days; i++) {
+        dates.unshift(date);
+        date = getPreviousDate(date);
+    }
+
+    return {
+        dates,
+        rows: getAllHabits().map(habit => ({
+            habit,
+            cells: dates.map(day => habitDays.has(day) ? habitDays.get(day).includes(habit.key) : null)
+        }))
+    };
+}
+
+/**
+ * Summarize a review period: how many days have an entry, metric
+ * averages, priorities and habits
+ * @param {Array<Object>} parsedEntries - The period's entries, oldest first (decrypted)
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {{days: number, written: number, metrics: Array<Object>, priorities: Object, habits: Array<{habit: Object, done: number, tracked: number, rate: number}>}}
+ *   days: days of the period up to today; metrics as in getMetricStats
+ */
+function getPeriodStats(parsedEntries, start, end) {
+    const today = getTodayDate();
+    let days = 0;
+    for (let date = start; date <= end && date <= today; date = getNextDate(date)) {
+        days++;
+    }
+
+    const metrics = getAllMetrics().map(metric => {
+        const values = parsedEntries
+            .map(parsed => getMetricValue(parsed, metric.key))
+            .filter(value => value !== null);
+        const total = values.reduce((sum, value) => sum + value, 0);
+
+        return {
+            metric,
+            count: values.length,
+            average: values.length > 0 ? total / values.length : null,
+            total
+        };
+    });
+
+    const tracking = parsedEntries.filter(parsed => Array.isArray(parsed.habits));
+    const habits = getAllHabits().map(habit => {
+        const done = tracking.filter(parsed => parsed.habits.includes(habit.key)).length;
+        return {
+            habit,
+            done,
+            tracked: tracking.length,
+            rate: tracking.length > 0 ? Math.round((done / tracking.length) * 100) : 0
+        };
+    });
+
     return {
-        discipline: getRollingAverage('discipline', days),
-        focus: getRollingAverage('focus', days),
-        energy: getRollingAverage('energy', days),
-        mood: getRollingAverage('mood', days)
+        days,
+        written: parsedEntries.length,
+        metrics,
+        priorities: summarizePriorities(parsedEntries),
+        habits
     };
 }
 
@@ -250,7 +596,7 @@ function getNetWorthTrend(days = 30) {
         let delta = 0;
 
         if (entry && entry.markdown) {
-            const parsed = fromMarkdown(entry.markdown);
+            const parsed = parseCached(entry);
             delta = parsed.net_worth_delta || 0;
         }
 
@@ -278,6 +624,9 @@ function getSummary() {
 }
 
 export {
+    decryptCached,
+    forgetDecrypted,
+    parseCached,
     calculateStreak,
     calculateLongestStreak,
     calculateCompletionRate,
@@ -285,8 +634,15 @@ export {
     getAverageScore,
     getRollingAverage,
     getScoreTrend,
+    getMetricValue,
     getAllMetricsTrend,
     getDisciplineBreakdown,
+    getMetricStats,
+    getTagComparison,
+    getPriorityStats,
+    getPeriodStats,
+    getHabitStats,
+    getHabitGrid,
     getNetWorthTrend,
     getSummary
 };
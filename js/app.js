@@ -5,27 +5,80 @@
 
 import * as Journal from './journal.js';
 import * as Storage from './storage.js';
-import * as GitHub from './github.js';
+import * as Backend from './backend.js';
 import * as Index from './index.js';
 import * as Analytics from './analytics.js';
 import * as UI from './ui.js';
 import * as Export from './export.js';
+import * as Encryption from './encryption.js';
+import * as Merge from './merge.js';
+import * as Attachments from './attachments.js';
+import * as Templates from './templates.js';
+import * as Reviews from './reviews.js';
+import * as Bootstrap from './bootstrap.js';
 
 let currentView = 'dashboard';
 let currentDate = Journal.getTodayDate();
 let isDirty = false;
 let syncInProgress = false;
+let lockedSample = null;
+let conflictResolver = null;
+let staleDates = new Set();
+let lastPullAt = 0;
+let hydrationController = null;
+let rateLimitTimer = null;
+const deferredConflicts = new Set();
+let lastSection = null;
+let attachmentUrls = [];
+let editorTemplate = null;
+let editorEntry = null;
+let upgradePlan = null;
+let reviewFiles = new Map();
+let currentReview = null;
+
+const PULL_INTERVAL = 5 * 60 * 1000;
+const SYNC_TAG = 'empire-sync';
+const HYDRATE_CONCURRENCY = 4;
+
+// Entries re-encrypted per commit after a passphrase change
+const REENCRYPT_BATCH_SIZE = 50;
+
+// Days shown in the habit grid at most
+const HABIT_GRID_DAYS = 90;
+
+// Chart line colors, in metric order (the built-in metrics come first)
+const CHART_COLORS = ['#d4af37', '#4a9eff', '#22c55e', '#f59e0b', '#a855f7', '#ef4444', '#14b8a6', '#ec4899', '#84cc16', '#f97316'];
 
 /**
  * Initialize the application
  */
 async function init() {
+    try {
+        await Storage.init();
+    } catch {
+        UI.showToast('Local database unavailable - entries will not persist offline', UI.TOAST_TYPES.ERROR);
+    }
+
     Index.init();
+    registerServiceWorker();
+    Templates.setTemplates(Storage.getTemplates());
+    Templates.setActive(Storage.getSettings().template);
+    Encryption.configure(Storage.getSettings().encryption);
+    Backend.onRateLimitChange(UI.updateQuota);
 
     if (!Storage.isConfigured()) {
+        renderSetupForm();
         UI.openModal('setup-modal');
     } else {
         await initWithCredentials();
+
+        if (Encryption.isEnabled() && !Encryption.isUnlocked()) {
+            requestUnlock();
+        }
+
+        if (Storage.getSettings().hydrating) {
+            hydrateJournal();
+        }
     }
 
     bindEvents();
@@ -44,19 +97,117 @@ async function init() {
     });
 }
 
+/**
+ * Register the service worker that serves the app offline, and offer
+ * a reload when a new version has been installed
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+
+    let reloading = false;
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data && e.data.type === 'SYNC') {
+            syncPendingEntries();
+        }
+    });
+
+    navigator.serviceWorker.register('./sw.js', { type: 'module' }).then(registration => {
+        const promptUpdate = (worker) => {
+            UI.$('#update-btn').onclick = () => worker.postMessage({ type: 'SKIP_WAITING' });
+            UI.show('#update-banner');
+        };
+
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptUpdate(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    promptUpdate(worker);
+                }
+            });
+        });
+    }).catch((error) => {
+        // e.g. a browser without module service workers (older Firefox and Safari)
+        UI.showToast(`Offline mode is unavailable in this browser: ${error.message || 'the service worker could not start'}. The app needs a connection to open.`, UI.TOAST_TYPES.WARNING, 10000);
+    });
+}
+
+/**
+ * Ask the service worker to flush the queue once the connection is back,
+ * even if this tab is closed by then (Background Sync, where supported)
+ */
+function requestBackgroundSync() {
+    if (!('serviceWorker' in navigator)) return;
+
+    navigator.serviceWorker.ready
+        .then(registration => registration.sync && registration.sync.register(SYNC_TAG))
+        .catch(() => {});
+}
+
 /**
  * Initialize with stored credentials
  */
 async function initWithCredentials() {
-    const pat = Storage.getPAT();
-    const repo = Storage.getRepo();
+    const backend = Storage.getBackend();
+
+    Backend.use(backend.type);
+    Backend.init({
+        pat: Storage.getPAT(),
+        repo: Storage.getRepo(),
+        url: backend.url,
+        ...Storage.getSettings().repository
+    });
 
-    GitHub.init(pat, repo);
+    Storage.setWorkerConfig({ type: backend.type, ...Backend.getConfig() });
+
+    if (!(await Backend.isReady())) {
+        UI.$('#setup-backend').value = backend.type;
+        renderSetupForm();
+
+        // The browser forgets folder access between sessions; one click grants it again
+        const reconnect = Backend.canReconnect() && !!Storage.getRepo();
+        UI.toggle('#setup-reconnect-group', reconnect);
+        if (reconnect) {
+            UI.$('#setup-reconnect-hint').textContent = `Allow access to "${Storage.getRepo()}" again, or choose another folder below.`;
+        }
+
+        UI.openModal('setup-modal');
+        UI.showToast(`Reconnect your ${Backend.getLabel().toLowerCase()} to continue`, UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (Backend.isOnline()) {
+        try {
+            await syncEncryptionConfig();
+        } catch {
+            UI.showToast('Could not load encryption settings from the repository', UI.TOAST_TYPES.WARNING);
+        }
+
+        try {
+            await syncTemplates();
+        } catch {
+            UI.showToast('Could not load templates from the repository', UI.TOAST_TYPES.WARNING);
+        }
+
+        try {
+            await loadReviews();
+        } catch {
+            UI.showToast('Could not load reviews from the repository', UI.TOAST_TYPES.WARNING);
+        }
 
-    if (GitHub.isOnline()) {
         try {
             UI.updateSyncStatus('syncing', 'Syncing...');
-            await refreshIndex();
+            await pullRemoteChanges();
             await syncPendingEntries();
             UI.updateSyncStatus('synced', 'Synced');
         } catch (error) {
@@ -68,13 +219,204 @@ async function initWithCredentials() {
 }
 
 /**
- * Refresh entry index from GitHub
+ * Merge the template versions known here with the repository's
+ * templates file, pushing versions the repository does not have yet
+ * @returns {Promise<void>}
+ */
+async function syncTemplates() {
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const file = await Backend.getConfigFile(Templates.TEMPLATES_PATH);
+        const remote = file ? Templates.fromJSON(file.content) : [];
+        const remoteRefs = new Set(remote.map(Templates.getRef));
+
+        Templates.setTemplates(Templates.mergeTemplateLists(Templates.getStoredTemplates(), remote));
+        Templates.setActive(Storage.getSettings().template);
+        Storage.setTemplates(Templates.getStoredTemplates());
+
+        const missing = Templates.getStoredTemplates().some(t => !remoteRefs.has(Templates.getRef(t)));
+        if (!missing) return;
+
+        try {
+            await Backend.saveConfigFile(Templates.TEMPLATES_PATH, Templates.toJSON(), file ? file.sha : null);
+            return;
+        } catch (error) {
+            // Another device changed the file meanwhile: merge again
+            if (error.status !== 409 && error.status !== 422) throw error;
+        }
+    }
+}
+
+/**
+ * Read the journal config shared through the repository
+ * @returns {Promise<{config: Object, sha: string|null}>}
+ */
+async function getSharedConfig() {
+    const file = await Backend.getConfigFile(Bootstrap.CONFIG_PATH);
+    if (!file) return { config: {}, sha: null };
+
+    try {
+        return { config: JSON.parse(file.content), sha: file.sha };
+    } catch {
+        return { config: {}, sha: file.sha };
+    }
+}
+
+/**
+ * Share an encryption config (salt, iterations, verifier and clearMetrics,
+ * never the passphrase) with the other devices through the journal config
+ * @param {Object} encryption
+ * @returns {Promise<void>}
+ */
+async function publishEncryptionConfig(encryption) {
+    for (let attempt = 0; ; attempt++) {
+        const { config, sha } = await getSharedConfig();
+
+        try {
+            await Backend.saveConfigFile(Bootstrap.CONFIG_PATH, JSON.stringify({ ...config, encryption }, null, 2) + '\n', sha);
+            return;
+        } catch (error) {
+            // Another device changed the file meanwhile: read it again
+            if ((error.status !== 409 && error.status !== 422) || attempt > 0) throw error;
+        }
+    }
+}
+
+/**
+ * Adopt the encryption config shared through the repository when another
+ * device enabled encryption or changed the passphrase. A config only this
+ * device has (or a passphrase change it finished) is shared instead.
+ * @returns {Promise<boolean>} True if this device switched to the shared config
+ */
+async function syncEncryptionConfig() {
+    const shared = (await getSharedConfig()).config.encryption || null;
+    const local = Encryption.getConfig();
+
+    if (!shared) {
+        if (local) await publishEncryptionConfig(local);
+        return false;
+    }
+
+    if (local && local.salt === shared.salt && !!local.rotating === !!shared.rotating) {
+        return false;
+    }
+
+    if (local && local.salt === shared.salt && !local.rotating) {
+        await publishEncryptionConfig(local);
+        return false;
+    }
+
+    await Encryption.adoptConfig(shared);
+    Storage.updateSettings({ encryption: Encryption.getConfig() });
+    return true;
+}
+
+/**
+ * Refresh entry index from the backend and find synced cache entries whose
+ * remote blob SHA has changed
+ * @returns {Promise<{dates: string[], stale: string[]}|null>} Remote dates and stale dates, null on failure
  */
 async function refreshIndex() {
     try {
-        const dates = await GitHub.listEntries();
-        Index.setDates(dates);
+        const remote = (await Backend.listEntries()).filter(e => !Storage.isTombstone(e.date));
+        Index.setDates([...new Set([...remote.map(e => e.date), ...Storage.getPending()])]
+            .filter(date => !Storage.isTombstone(date)));
+
+        staleDates = new Set(remote
+            .filter(({ date, sha }) => {
+                const cached = Storage.getEntry(date);
+                return cached && cached.synced && cached.sha !== sha;
+            })
+            .map(e => e.date));
+
+        return { dates: remote.map(e => e.date), stale: [...staleDates] };
     } catch {
+        return null;
+    }
+}
+
+/**
+ * Pull entries edited or deleted on other devices. Only files whose blob
+ * SHA differs from the cached one are downloaded, and entries with unsynced
+ * local edits are left alone (they are merged when pushed).
+ * @returns {Promise<{updated: string[], added: string[], removed: string[]}|null>}
+ */
+async function pullRemoteChanges() {
+    if (syncInProgress || !Backend.isOnline()) return null;
+
+    syncInProgress = true;
+    lastPullAt = Date.now();
+
+    const previous = new Set(Index.getAllDates());
+    const changes = { updated: [], added: [], removed: [] };
+
+    try {
+        const listing = await refreshIndex();
+        if (!listing) return null;
+
+        const isLocalEdit = (date) => {
+            const cached = Storage.getEntry(date);
+            return !cached || !cached.synced || Storage.getPending().includes(date)
+                || (date === currentDate && currentView === 'editor' && isDirty);
+        };
+
+        for (const date of listing.stale) {
+            if (isLocalEdit(date)) continue;
+
+            try {
+                const remote = await Backend.getEntryFile(date);
+                if (!remote || isLocalEdit(date)) continue;
+
+                await Storage.saveEntry(date, {
+                    markdown: remote.content,
+                    sha: remote.sha,
+                    synced: true
+                });
+                staleDates.delete(date);
+                changes.updated.push(date);
+            } catch {
+            }
+        }
+
+        const remoteDates = new Set(listing.dates);
+        if (previous.size > 0) {
+            changes.added = listing.dates.filter(date => !previous.has(date));
+        }
+
+        for (const [date, cached] of Object.entries(Storage.getEntries())) {
+            if (!remoteDates.has(date) && cached.synced && cached.sha && !isLocalEdit(date)) {
+                await Storage.deleteEntry(date);
+                Index.removeDate(date);
+                changes.removed.push(date);
+            }
+        }
+    } finally {
+        syncInProgress = false;
+    }
+
+    reportPulledChanges(changes);
+    return changes;
+}
+
+/**
+ * Tell the user what a pull changed and refresh the visible view
+ * @param {{updated: string[], added: string[], removed: string[]}} changes 
+ */
+function reportPulledChanges(changes) {
+    const { updated, added, removed } = changes;
+    const parts = [];
+
+    if (added.length > 0) parts.push(`${added.length} new`);
+    if (updated.length > 0) parts.push(`${updated.length} updated`);
+    if (removed.length > 0) parts.push(`${removed.length} removed`);
+
+    if (parts.length === 0) return;
+
+    UI.showToast(`From other devices: ${parts.join(', ')}`, UI.TOAST_TYPES.INFO);
+
+    if (currentView === 'editor' && !isDirty && (updated.includes(currentDate) || removed.includes(currentDate))) {
+        loadEntry(currentDate);
+    } else if (currentView !== 'editor') {
+        switchView(currentView);
     }
 }
 
@@ -89,6 +431,9 @@ function bindEvents() {
     });
 
     UI.$('#setup-form')?.addEventListener('submit', handleSetupSubmit);
+    UI.$('#setup-backend')?.addEventListener('change', renderSetupForm);
+    UI.$('#setup-reconnect-btn')?.addEventListener('click', handleReconnect);
+    UI.$('#setup-create')?.addEventListener('change', renderSetupForm);
 
     UI.$('#start-today-btn')?.addEventListener('click', () => {
         currentDate = Journal.getTodayDate();
@@ -113,18 +458,60 @@ function bindEvents() {
     UI.$('#prev-day-btn')?.addEventListener('click', () => navigateDay(-1));
     UI.$('#next-day-btn')?.addEventListener('click', () => navigateDay(1));
 
-    UI.$$('.score-field input[type="range"]').forEach(input => {
-        input.addEventListener('input', (e) => {
+    // Sections and metrics are rendered from templates, so their events are delegated
+    UI.$('#journal-form')?.addEventListener('input', markDirty);
+
+    UI.$('#editor-sections')?.addEventListener('input', (e) => {
+        const list = UI.$(`.task-list[data-for="${e.target.dataset.key}"]`);
+        if (list) {
+            renderTaskList(list);
+        }
+    });
+
+    UI.$('#carry-over-apply')?.addEventListener('click', applyCarryOver);
+    UI.$('#carry-over-dismiss')?.addEventListener('click', () => UI.hide('#carry-over'));
+
+    UI.$('#editor-metrics')?.addEventListener('input', (e) => {
+        if (e.target.type === 'range') {
             const display = UI.$(`.score-value[data-for="${e.target.id}"]`);
             if (display) {
                 display.textContent = e.target.value;
             }
-            markDirty();
-        });
+        }
+    });
+
+    UI.$('#journal-form')?.addEventListener('focusin', (e) => {
+        if (e.target.tagName === 'TEXTAREA') {
+            lastSection = e.target;
+        }
+    });
+
+    UI.$('#attach-btn')?.addEventListener('click', () => UI.$('#attach-input').click());
+    UI.$('#attach-input')?.addEventListener('change', (e) => {
+        attachFiles([...e.target.files]);
+        e.target.value = '';
+    });
+
+    UI.$('#journal-form')?.addEventListener('paste', (e) => {
+        const files = [...(e.clipboardData?.files || [])];
+        if (e.target.tagName === 'TEXTAREA' && files.length > 0) {
+            e.preventDefault();
+            attachFiles(files, e.target);
+        }
+    });
+
+    UI.$('#journal-form')?.addEventListener('dragover', (e) => {
+        if (e.target.tagName === 'TEXTAREA' && e.dataTransfer?.types.includes('Files')) {
+            e.preventDefault();
+        }
     });
 
-    UI.$$('#journal-form textarea, #journal-form input').forEach(input => {
-        input.addEventListener('input', markDirty);
+    UI.$('#journal-form')?.addEventListener('drop', (e) => {
+        const files = [...(e.dataTransfer?.files || [])];
+        if (e.target.tagName === 'TEXTAREA' && files.length > 0) {
+            e.preventDefault();
+            attachFiles(files, e.target);
+        }
     });
 
     UI.$('#timeline-search')?.addEventListener('input', UI.debounce((e) => {
@@ -132,6 +519,39 @@ function bindEvents() {
         renderTimeline();
     }, 300));
 
+    // Tag chips are rendered with the timeline, so clicks are delegated
+    UI.$('#view-timeline')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('.tag-chip');
+        if (!chip) return;
+
+        e.stopPropagation();
+        toggleTagFilter(chip.dataset.tag);
+    }, true);
+
+    const tagInput = UI.$('#entry-tags');
+    tagInput?.addEventListener('input', renderTagSuggestions);
+    tagInput?.addEventListener('focus', renderTagSuggestions);
+    tagInput?.addEventListener('blur', hideTagSuggestions);
+    tagInput?.addEventListener('keydown', handleTagKeydown);
+
+    UI.$('#tag-suggestions')?.addEventListener('mousedown', (e) => {
+        const item = e.target.closest('.tag-suggestion');
+        if (item) {
+            // Keep focus in the input
+            e.preventDefault();
+            pickTagSuggestion(item.dataset.tag);
+        }
+    });
+
+    UI.$('#timeline-reviews')?.addEventListener('click', (e) => {
+        const chip = e.target.closest('.review-chip');
+        if (chip) {
+            openReview(chip.dataset.review);
+        }
+    });
+
+    UI.$('#review-form')?.addEventListener('submit', handleReviewSubmit);
+
     UI.$('#prev-page-btn')?.addEventListener('click', () => {
         if (Index.prevPage()) {
             renderTimeline();
@@ -152,10 +572,90 @@ function bindEvents() {
         });
     });
 
+    UI.$('#tag-metric')?.addEventListener('change', () => {
+        renderTagComparison(parseInt(UI.$('.period-btn.active')?.dataset.period || '7', 10));
+    });
+
     UI.$('#settings-btn')?.addEventListener('click', () => {
+        renderSettings();
+        UI.openModal('settings-modal');
+    });
+
+    UI.$('#show-shortcuts-btn')?.addEventListener('click', () => {
+        UI.closeModal('settings-modal');
         UI.openModal('shortcuts-modal');
     });
 
+    UI.$('#unlock-form')?.addEventListener('submit', handleUnlockSubmit);
+
+    UI.$('#hydrate-btn')?.addEventListener('click', () => {
+        if (hydrationController) {
+            hydrationController.abort();
+        } else {
+            hydrateJournal();
+        }
+    });
+
+    UI.$('#conflict-apply')?.addEventListener('click', () => {
+        const choices = {};
+        UI.$$('#conflict-list input[type="radio"]:checked').forEach(input => {
+            choices[input.dataset.key] = input.value;
+        });
+        settleConflictDialog(choices);
+    });
+
+    UI.$('#conflict-cancel')?.addEventListener('click', () => settleConflictDialog(null));
+    UI.$('#encryption-form')?.addEventListener('submit', handleEncryptionSubmit);
+    UI.$('#encryption-resume-btn')?.addEventListener('click', handleEncryptionResume);
+    UI.$('#repository-form')?.addEventListener('submit', handleRepositorySubmit);
+    UI.$('#template-form')?.addEventListener('submit', handleTemplateSubmit);
+    UI.$('#upgrade-check-btn')?.addEventListener('click', checkSchemaUpgrade);
+    UI.$('#upgrade-apply-btn')?.addEventListener('click', applySchemaUpgrade);
+
+    UI.$('#template-select')?.addEventListener('change', (e) => {
+        Templates.setActive(e.target.value);
+        Storage.updateSettings({ template: e.target.value });
+        renderTemplateDefinition();
+        UI.showToast(`New entries use ${Templates.getActive().name}`, UI.TOAST_TYPES.SUCCESS);
+    });
+
+    UI.$('#template-new-btn')?.addEventListener('click', () => {
+        const { version, rev, ...definition } = Templates.getActive();
+        UI.$('#template-json').value = JSON.stringify({
+            ...definition,
+            id: `${definition.id}_copy`,
+            name: `${definition.name} (copy)`
+        }, null, 2);
+        UI.$('#template-json').focus();
+    });
+
+    UI.$('#delete-btn')?.addEventListener('click', () => deleteEntry(currentDate));
+
+    UI.$('#sync-status')?.addEventListener('click', () => {
+        renderSyncQueue();
+        UI.openModal('queue-modal');
+    });
+
+    UI.$('#queue-retry-all')?.addEventListener('click', async () => {
+        for (const date of Storage.getPending()) {
+            Storage.resetRetry(date);
+        }
+        await syncPendingEntries();
+    });
+
+    UI.$('#trash-btn')?.addEventListener('click', () => {
+        renderTrash();
+        UI.openModal('trash-modal');
+    });
+
+    UI.$('#lock-btn')?.addEventListener('click', () => {
+        Encryption.lock();
+        Analytics.forgetDecrypted();
+        UI.closeModal('settings-modal');
+        UI.showToast('Journal locked', UI.TOAST_TYPES.INFO);
+        switchView('dashboard');
+    });
+
     UI.$$('.modal-close').forEach(btn => {
         btn.addEventListener('click', () => {
             const modal = btn.closest('.modal');
@@ -168,7 +668,7 @@ function bindEvents() {
     UI.$$('.modal-backdrop').forEach(backdrop => {
         backdrop.addEventListener('click', () => {
             const modal = backdrop.closest('.modal');
-            if (modal && modal.id !== 'setup-modal') {
+            if (modal && modal.id !== 'setup-modal' && modal.id !== 'conflict-modal') {
                 UI.closeModal(modal.id);
             }
         });
@@ -204,6 +704,7 @@ function handleKeyboard(e) {
     const isInput = target.tagName === 'INPUT' || target.tagName === 'TEXTAREA';
 
     if (e.key === 'Escape') {
+        settleConflictDialog(null);
         UI.closeAllModals();
         return;
     }
@@ -280,6 +781,56 @@ function handleKeyboard(e) {
     }
 }
 
+/**
+ * Show the setup fields the selected backend needs
+ */
+function renderSetupForm() {
+    const select = UI.$('#setup-backend');
+    if (!select) return;
+
+    for (const option of select.options) {
+        option.disabled = !Backend.isSupported(option.value);
+    }
+
+    const type = select.value;
+    const local = type === 'local';
+    const canCreate = Backend.canCreateRepository(type);
+    const create = canCreate && UI.$('#setup-create').checked;
+
+    UI.toggle('#setup-steps', type === 'github');
+    UI.toggle('#setup-url-group', type === 'gitea');
+    UI.toggle('#setup-create-group', canCreate);
+    UI.toggle('#setup-repo-group', !local);
+    UI.toggle('#setup-token-group', !local);
+    UI.toggle('#setup-local-hint', local);
+
+    UI.$('#setup-repo-label').textContent = create ? 'Repository Name' : 'Repository';
+    UI.$('#setup-repo').placeholder = create ? 'empire-journal' : 'username/empire-journal';
+    UI.$('#setup-repo-hint').textContent = create
+        ? 'A private repository with this name is created under your account.'
+        : 'Format: username/repo-name';
+
+    UI.$('#setup-url').required = type === 'gitea';
+    UI.$('#setup-repo').required = !local;
+    UI.$('#setup-token').required = !local;
+}
+
+/**
+ * Grant access to the remembered journal folder again and carry on.
+ * Runs in the click handler, the only place the browser allows the prompt.
+ */
+async function handleReconnect() {
+    try {
+        await Backend.reconnect();
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    UI.hide('#setup-reconnect-group');
+    await initWithCredentials();
+}
+
 /**
  * Handle setup form submission
  * @param {Event} e 
@@ -287,25 +838,46 @@ function handleKeyboard(e) {
 async function handleSetupSubmit(e) {
     e.preventDefault();
 
-    const repoInput = UI.$('#setup-repo');
-    const tokenInput = UI.$('#setup-token');
-
-    const repo = repoInput.value.trim();
-    const token = tokenInput.value.trim();
+    const type = UI.$('#setup-backend').value;
+    const url = UI.$('#setup-url').value.trim();
+    const repo = UI.$('#setup-repo').value.trim();
+    const token = UI.$('#setup-token').value.trim();
+    const create = Backend.canCreateRepository(type) && UI.$('#setup-create').checked;
 
-    if (!repo || !token) {
+    if (type !== 'local' && (!repo || !token || (type === 'gitea' && !url))) {
         UI.showToast('Please fill in all fields', UI.TOAST_TYPES.WARNING);
         return;
     }
 
+    if (create && repo.includes('/')) {
+        UI.showToast('Enter just a name for the new repository', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
     try {
-        UI.showToast('Validating credentials...', UI.TOAST_TYPES.INFO);
+        let result;
+
+        if (create) {
+            UI.showToast('Creating repository...', UI.TOAST_TYPES.INFO);
+            result = await Backend.createRepository(type, { url, repo, pat: token });
+        } else {
+            UI.showToast('Validating credentials...', UI.TOAST_TYPES.INFO);
+            result = await Backend.validate(type, { url, repo, pat: token });
+        }
 
-        await GitHub.validateToken(token);
-        await GitHub.validateRepo(repo, token);
+        const { name } = result;
 
+        if (result.private === false) {
+            UI.showToast(`${name} is PUBLIC - anyone can read your journal`, UI.TOAST_TYPES.ERROR);
+
+            if (!confirm(`WARNING: ${name} is a public repository.\n\nEveryone on the internet will be able to read every journal entry stored there. Make the repository private (or enable encryption right after connecting) before writing anything personal.\n\nConnect anyway?`)) {
+                return;
+            }
+        }
+
+        Storage.setBackend({ type, url });
         Storage.setPAT(token);
-        Storage.setRepo(repo);
+        Storage.setRepo(name);
 
         await initWithCredentials();
 
@@ -316,47 +888,817 @@ async function handleSetupSubmit(e) {
 }
 
 /**
- * Switch to a different view
- * @param {string} view 
+ * Build a new encryption config for a passphrase
+ * @param {string} passphrase 
+ * @param {boolean} clearMetrics 
+ * @returns {Promise<Object>}
  */
-function switchView(view) {
-    if (isDirty && currentView === 'editor' && view !== 'editor') {
-        if (!confirm('Discard unsaved changes?')) {
-            return;
-        }
-        isDirty = false;
-    }
+async function createEncryptionConfig(passphrase, clearMetrics) {
+    const config = {
+        salt: Encryption.generateSalt(),
+        iterations: Encryption.DEFAULT_ITERATIONS,
+        clearMetrics
+    };
+    config.verifier = await Encryption.createVerifier(passphrase, config);
+    return config;
+}
 
-    currentView = view;
+/**
+ * Handle unlock form submission
+ * @param {Event} e 
+ */
+async function handleUnlockSubmit(e) {
+    e.preventDefault();
 
-    UI.$$('.nav-btn').forEach(btn => {
-        UI.toggleClass(btn, 'active', btn.dataset.view === view);
-        btn.setAttribute('aria-current', btn.dataset.view === view ? 'page' : 'false');
-    });
+    const input = UI.$('#unlock-passphrase');
+    const passphrase = input.value;
 
-    UI.$$('.view').forEach(v => {
-        UI.toggleClass(v, 'active', v.id === `view-${view}`);
-    });
+    const previous = UI.$('#unlock-previous').value || null;
 
-    switch (view) {
-        case 'dashboard':
-            renderDashboard();
-            break;
-        case 'editor':
-            loadEntry(currentDate);
-            break;
-        case 'timeline':
-            renderTimeline();
-            break;
-        case 'analytics':
-            renderAnalytics(7);
-            break;
+    // Pick up a passphrase change or encryption enabled on another device
+    if (Backend.isOnline()) {
+        try {
+            if (await syncEncryptionConfig() && Encryption.needsPreviousPassphrase() && !previous) {
+                UI.show('#unlock-previous-group');
+                UI.showToast('The passphrase is being changed on another device - enter the old one too', UI.TOAST_TYPES.WARNING);
+                return;
+            }
+        } catch {
+        }
     }
-}
 
-/**
- * Update UI state
- */
+    try {
+        if (Encryption.isEnabled()) {
+            await Encryption.unlock(passphrase, previous);
+        } else {
+            // Journal was encrypted on another device that did not share its
+            // config: adopt it here, checking the passphrase against the
+            // entry we failed to read and keeping its clearMetrics choice
+            const config = await createEncryptionConfig(passphrase, lockedSample ? Encryption.hasClearMetrics(lockedSample) : false);
+            Encryption.configure(config);
+            await Encryption.unlock(passphrase);
+
+            if (lockedSample) {
+                try {
+                    await Encryption.decryptMarkdown(lockedSample);
+                } catch (error) {
+                    Encryption.configure(null);
+                    Encryption.lock();
+                    throw error;
+                }
+            }
+
+            Storage.updateSettings({ encryption: config });
+
+            if (Backend.isOnline()) {
+                publishEncryptionConfig(config).catch(() => {});
+            }
+        }
+    } catch (error) {
+        UI.showToast(error.message || 'Wrong passphrase', UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    input.value = '';
+    UI.$('#unlock-previous').value = '';
+    lockedSample = null;
+    UI.closeModal('unlock-modal');
+    UI.showToast('Journal unlocked', UI.TOAST_TYPES.SUCCESS);
+
+    if (currentView === 'editor') {
+        loadEntry(currentDate);
+    } else {
+        decryptForStats();
+    }
+}
+
+/**
+ * Ask for the passphrase before an encrypted entry can be read
+ * @param {string} [sample] - Encrypted markdown to verify the passphrase against
+ */
+function requestUnlock(sample) {
+    if (sample) {
+        lockedSample = sample;
+    }
+    UI.toggle('#unlock-previous-group', Encryption.needsPreviousPassphrase());
+    UI.openModal('unlock-modal');
+}
+
+/**
+ * Render settings modal state
+ */
+function renderSettings() {
+    const enabled = Encryption.isEnabled();
+    const config = Encryption.getConfig();
+
+    let status = 'Entries are stored as plaintext.';
+    if (Encryption.isRotating()) {
+        status = 'A passphrase change has not re-encrypted every entry yet. Resume it to finish; until then the old passphrase is needed for the rest.';
+    } else if (enabled) {
+        status = Encryption.isUnlocked()
+            ? 'Entries are encrypted. Journal is unlocked.'
+            : 'Entries are encrypted. Journal is locked.';
+    }
+
+    UI.$('#encryption-status').textContent = status;
+    UI.toggle('#encryption-current-group', enabled);
+    UI.toggle('#lock-btn', enabled && Encryption.isUnlocked());
+    UI.toggle('#encryption-resume-btn', Encryption.isRotating());
+    UI.$('#encryption-current').required = enabled;
+    UI.$('#encryption-clear-metrics').checked = config ? !!config.clearMetrics : true;
+    UI.$('#encryption-submit').textContent = enabled ? 'Rotate Key' : 'Enable Encryption';
+
+    const repository = Backend.getOptions();
+    UI.toggle('#repository-branch-group', Backend.supportsBranches());
+    UI.$('#repository-branch').value = repository.branch;
+    UI.$('#repository-path').value = repository.basePath;
+    UI.$('#repository-layout').value = repository.layout;
+
+    const active = Templates.getActive();
+    const select = UI.$('#template-select');
+    select.innerHTML = '';
+    for (const template of Templates.getLatestTemplates()) {
+        select.appendChild(UI.createElement('option', { value: template.id },
+            `${template.name} (v${template.version})`));
+    }
+    select.value = active.id;
+    renderTemplateDefinition();
+
+    renderHydrationProgress();
+}
+
+/**
+ * Show the active template's definition for editing
+ */
+function renderTemplateDefinition() {
+    const { version, rev, ...definition } = Templates.getActive();
+    UI.$('#template-json').value = JSON.stringify(definition, null, 2);
+}
+
+/**
+ * Handle template form submission: store the definition as a new
+ * version and make it the template for new entries
+ * @param {Event} e 
+ */
+async function handleTemplateSubmit(e) {
+    e.preventDefault();
+
+    let template;
+    try {
+        template = Templates.saveVersion(JSON.parse(UI.$('#template-json').value));
+    } catch (error) {
+        const message = error instanceof SyntaxError ? `Invalid JSON: ${error.message}` : error.message;
+        UI.showToast(message, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    Storage.setTemplates(Templates.getStoredTemplates());
+    if (!template.review) {
+        Templates.setActive(template.id);
+        Storage.updateSettings({ template: template.id });
+    }
+    renderSettings();
+
+    UI.showToast(`Saved ${template.name} v${template.version}`, UI.TOAST_TYPES.SUCCESS);
+
+    if (Backend.isOnline()) {
+        try {
+            await syncTemplates();
+        } catch (error) {
+            UI.showToast(`Template saved here but not in the repository: ${error.message}`, UI.TOAST_TYPES.WARNING);
+        }
+    }
+}
+
+/**
+ * Handle repository form submission (branch, folder and layout).
+ * Existing entries are moved before the new location is saved.
+ * @param {Event} e 
+ */
+async function handleRepositorySubmit(e) {
+    e.preventDefault();
+
+    const current = Backend.getOptions();
+    const next = {
+        branch: Backend.supportsBranches() ? UI.$('#repository-branch').value.trim() : '',
+        basePath: UI.$('#repository-path').value.trim().replace(/^\/+|\/+$/g, '') || 'entries',
+        layout: UI.$('#repository-layout').value
+    };
+
+    if (next.branch === current.branch && next.basePath === current.basePath && next.layout === current.layout) {
+        UI.closeModal('settings-modal');
+        return;
+    }
+
+    if (!Backend.isOnline()) {
+        UI.showToast('Moving entries requires a connection', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (syncInProgress) {
+        UI.showToast('Sync in progress - try again in a moment', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    let target = Backend.getEntryPath('YYYY-MM-DD', next);
+    if (Backend.supportsBranches()) {
+        target += ` on ${next.branch || 'the default branch'}`;
+    }
+
+    if (!confirm(`Move every entry to ${target}?`)) {
+        return;
+    }
+
+    UI.closeModal('settings-modal');
+    UI.updateSyncStatus('syncing', 'Moving entries...');
+    syncInProgress = true;
+
+    try {
+        const moved = await Backend.moveEntries(current, next);
+
+        Storage.updateSettings({ repository: next });
+        Backend.init({ ...Backend.getConfig(), ...next });
+
+        UI.showToast(`Moved ${moved} ${moved === 1 ? 'entry' : 'entries'}`, UI.TOAST_TYPES.SUCCESS);
+    } catch (error) {
+        UI.showToast(error.message || 'Failed to move entries', UI.TOAST_TYPES.ERROR);
+        UI.updateSyncStatus('failed', 'Move failed');
+        return;
+    } finally {
+        syncInProgress = false;
+    }
+
+    await refreshIndex();
+    UI.updateSyncStatus('synced', 'Synced');
+}
+
+/**
+ * Count index entries that are cached on this device
+ * @returns {{cached: number, total: number}}
+ */
+function getHydrationCounts() {
+    const dates = Index.getAllDates();
+    const cached = dates.filter(date => Storage.getEntry(date)?.markdown).length;
+    return { cached, total: dates.length };
+}
+
+/**
+ * Render full-journal download progress
+ */
+function renderHydrationProgress() {
+    const { cached, total } = getHydrationCounts();
+    const running = !!hydrationController;
+    const percent = total > 0 ? Math.round((cached / total) * 100) : 100;
+
+    const status = UI.$('#hydrate-status');
+    if (status) {
+        status.textContent = `${cached} of ${total} entries are stored on this device.`;
+    }
+
+    UI.toggle('#hydrate-progress', running || (cached > 0 && cached < total));
+
+    const bar = UI.$('#hydrate-progress-bar');
+    if (bar) {
+        bar.style.width = `${percent}%`;
+    }
+
+    const button = UI.$('#hydrate-btn');
+    if (button) {
+        button.textContent = running ? 'Pause' : (cached > 0 && cached < total ? 'Resume Download' : 'Download Full Journal');
+    }
+
+    if (running) {
+        UI.updateSyncStatus('syncing', `Downloading ${percent}%`);
+    }
+}
+
+/**
+ * Download every entry missing from the local cache so analytics, search
+ * and previews cover the whole history. Already cached entries are skipped,
+ * so an interrupted download resumes where it left off.
+ */
+async function hydrateJournal() {
+    if (hydrationController || !Backend.isOnline()) return;
+
+    const missing = Index.getAllDates().filter(date => !Storage.getEntry(date)?.markdown);
+
+    if (missing.length === 0) {
+        Storage.updateSettings({ hydrating: false });
+        renderHydrationProgress();
+        UI.showToast('Full journal is already on this device', UI.TOAST_TYPES.INFO);
+        return;
+    }
+
+    Storage.updateSettings({ hydrating: true });
+    hydrationController = new AbortController();
+    renderHydrationProgress();
+
+    const { failed } = await Backend.getEntryFiles(missing, async (date, file) => {
+        if (file && !Storage.getEntry(date)?.markdown) {
+            await Storage.saveEntry(date, {
+                markdown: file.content,
+                sha: file.sha,
+                synced: true
+            });
+        }
+        renderHydrationProgress();
+    }, { concurrency: HYDRATE_CONCURRENCY, signal: hydrationController.signal });
+
+    const paused = hydrationController.signal.aborted;
+    hydrationController = null;
+
+    if (paused) {
+        Storage.updateSettings({ hydrating: false });
+        UI.showToast('Download paused', UI.TOAST_TYPES.INFO);
+    } else if (failed.length > 0) {
+        UI.showToast(`${failed.length} entries failed to download - will resume later`, UI.TOAST_TYPES.WARNING);
+        if (Backend.isRateLimited()) {
+            scheduleRateLimitResume();
+        }
+    } else {
+        Storage.updateSettings({ hydrating: false });
+        UI.showToast('Full journal downloaded', UI.TOAST_TYPES.SUCCESS);
+    }
+
+    renderHydrationProgress();
+    updateUI();
+
+    if (currentView !== 'editor') {
+        switchView(currentView);
+    }
+}
+
+/**
+ * Handle encryption form submission (enable or rotate key)
+ * @param {Event} e 
+ */
+async function handleEncryptionSubmit(e) {
+    e.preventDefault();
+
+    const current = UI.$('#encryption-current').value;
+    const next = UI.$('#encryption-new').value;
+    const confirmation = UI.$('#encryption-confirm').value;
+    const clearMetrics = UI.$('#encryption-clear-metrics').checked;
+
+    if (next.length < 8) {
+        UI.showToast('Passphrase must be at least 8 characters', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (next !== confirmation) {
+        UI.showToast('Passphrases do not match', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (!Backend.isOnline()) {
+        UI.showToast('Re-encrypting entries requires a connection', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (Encryption.isRotating()) {
+        UI.showToast('Finish the unfinished passphrase change first (Resume Re-encryption)', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (Encryption.isEnabled()) {
+        try {
+            await Encryption.unlock(current);
+        } catch {
+            UI.showToast('Current passphrase is wrong', UI.TOAST_TYPES.ERROR);
+            return;
+        }
+    }
+
+    if (!confirm('Re-encrypt every entry in the repository with the new passphrase?')) {
+        return;
+    }
+
+    // The previous config stays stored until every entry is rewritten,
+    // so a reload halfway through can still read the rest
+    const config = {
+        ...await createEncryptionConfig(next, clearMetrics),
+        rotating: true,
+        previous: Encryption.getConfig()
+    };
+
+    // Other devices switch to the new config before reading re-encrypted entries
+    try {
+        await publishEncryptionConfig(config);
+    } catch (error) {
+        UI.showToast(`Could not share the new encryption settings: ${error.message}`, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    Encryption.rotate(next, config, current || null);
+    Storage.updateSettings({ encryption: config });
+
+    UI.$('#encryption-form').reset();
+    UI.closeModal('settings-modal');
+
+    await finishReencryption();
+}
+
+/**
+ * Continue an unfinished passphrase change
+ */
+async function handleEncryptionResume() {
+    if (!Backend.isOnline()) {
+        UI.showToast('Re-encrypting entries requires a connection', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (!Encryption.isUnlocked() || Encryption.needsPreviousPassphrase()) {
+        UI.closeModal('settings-modal');
+        requestUnlock();
+        return;
+    }
+
+    UI.closeModal('settings-modal');
+    await finishReencryption();
+}
+
+/**
+ * Re-encrypt the journal and, once every entry is rewritten, store the
+ * config without the previous one
+ */
+async function finishReencryption() {
+    try {
+        const { total, failed } = await reencryptJournal();
+        if (failed > 0) {
+            UI.showToast(`${failed} of ${total} entries and reviews are still encrypted with the old passphrase. Choose Resume Re-encryption in Settings → Encryption to retry; until then unlocking also asks for the old passphrase.`, UI.TOAST_TYPES.ERROR, 10000);
+        } else {
+            const config = Encryption.finishRotation();
+            Storage.updateSettings({ encryption: config });
+            UI.showToast(`Encrypted ${total} entries and reviews`, UI.TOAST_TYPES.SUCCESS);
+
+            // Shared again on the next start if this fails
+            publishEncryptionConfig(config).catch(() => {});
+        }
+    } catch (error) {
+        UI.showToast(error.message || 'Re-encryption failed', UI.TOAST_TYPES.ERROR);
+    }
+
+    updateUI();
+}
+
+/**
+ * Re-encrypt every entry (local pending edits and the whole entries/ folder)
+ * and every review with the active encryption config. Remote entries are
+ * committed in batches of REENCRYPT_BATCH_SIZE; entries cached unchanged
+ * are not downloaded.
+ * @returns {Promise<{total: number, failed: number}>} Counting entries and reviews
+ */
+async function reencryptJournal() {
+    const pending = Storage.getPending();
+    let dates = [];
+    let failed = 0;
+    let batch = [];
+    let reviews = { total: 0, failed: 0 };
+
+    const commitBatch = async () => {
+        const entries = batch;
+        batch = [];
+
+        try {
+            const { synced } = await Backend.saveEntries(
+                entries,
+                `Re-encrypt ${entries.length} ${entries.length === 1 ? 'entry' : 'entries'}`
+            );
+
+            for (const { date, markdown } of entries) {
+                if (date in synced) {
+                    await Storage.saveEntry(date, { markdown, sha: synced[date], synced: true });
+                } else {
+                    failed++;
+                }
+            }
+        } catch {
+            failed += entries.length;
+        }
+    };
+
+    try {
+        syncInProgress = true;
+
+        const remote = await Backend.listEntries();
+        const remoteShas = new Map(remote.map(e => [e.date, e.sha]));
+        dates = [...new Set([...pending, ...remoteShas.keys()])];
+
+        for (let i = 0; i < dates.length; i++) {
+            const date = dates[i];
+            UI.updateSyncStatus('syncing', `Encrypting ${i + 1}/${dates.length}`);
+
+            try {
+                const cached = Storage.getEntry(date);
+
+                if (pending.includes(date)) {
+                    if (cached && cached.markdown) {
+                        // The merge base too, so a conflict can still be merged afterwards
+                        const plain = await Encryption.decryptMarkdown(cached.markdown);
+                        const base = cached.base && await Encryption.decryptMarkdown(cached.base);
+                        await Storage.saveEntry(date, {
+                            ...cached,
+                            markdown: await Encryption.encryptMarkdown(plain),
+                            base: base && await Encryption.encryptMarkdown(base)
+                        });
+                    }
+                    continue;
+                }
+
+                const sha = remoteShas.get(date);
+                const file = cached && cached.synced && cached.markdown && cached.sha === sha
+                    ? { content: cached.markdown, sha }
+                    : await Backend.getEntryFile(date);
+                if (!file || Encryption.usesActiveKey(file.content)) continue;
+
+                const plain = await Encryption.decryptMarkdown(file.content);
+                batch.push({ date, markdown: await Encryption.encryptMarkdown(plain), sha: file.sha });
+            } catch {
+                failed++;
+            }
+
+            if (batch.length >= REENCRYPT_BATCH_SIZE) {
+                UI.updateSyncStatus('syncing', `Saving ${i + 1}/${dates.length}`);
+                await commitBatch();
+            }
+        }
+
+        if (batch.length > 0) {
+            await commitBatch();
+        }
+
+        reviews = await reencryptReviews();
+    } finally {
+        syncInProgress = false;
+    }
+
+    await syncPendingEntries();
+
+    return { total: dates.length + reviews.total, failed: failed + reviews.failed };
+}
+
+/**
+ * Re-encrypt the reviews in reviews/ and those cached on this device with
+ * the active encryption config. Reviews with unsynced local edits are
+ * only re-encrypted here and go out with their next upload.
+ * @returns {Promise<{total: number, failed: number}>}
+ */
+async function reencryptReviews() {
+    const reencrypt = async (markdown) => Encryption.encryptMarkdown(await Encryption.decryptMarkdown(markdown));
+    const pending = Storage.getPendingReviews();
+    const files = (await Backend.listConfigFiles(Reviews.REVIEWS_PATH))
+        .map(file => ({ ...file, id: Reviews.parseReviewPath(file.path) }))
+        .filter(file => file.id && !pending.includes(file.id));
+    let failed = 0;
+
+    for (let i = 0; i < files.length; i++) {
+        const { id, path, sha } = files[i];
+        UI.updateSyncStatus('syncing', `Encrypting review ${i + 1}/${files.length}`);
+
+        try {
+            const cached = Storage.getReview(id);
+            const file = cached && cached.synced && cached.sha === sha
+                ? { content: cached.markdown, sha }
+                : await Backend.getConfigFile(path);
+            if (!file || Encryption.usesActiveKey(file.content)) continue;
+
+            const markdown = await reencrypt(file.content);
+            const result = await Backend.saveConfigFile(path, markdown, file.sha);
+            await Storage.saveReview(id, { markdown, sha: result.sha, synced: true });
+            reviewFiles.set(id, result.sha);
+        } catch {
+            failed++;
+        }
+    }
+
+    // Local edits, and cached reviews no longer in the repository
+    const cached = Object.entries(Storage.getReviews())
+        .filter(([, review]) => review.markdown && !Encryption.usesActiveKey(review.markdown));
+
+    for (const [id, review] of cached) {
+        try {
+            await Storage.saveReview(id, {
+                ...review,
+                markdown: await reencrypt(review.markdown),
+                base: review.base && await reencrypt(review.base)
+            });
+        } catch {
+            failed++;
+        }
+    }
+
+    return { total: files.length + cached.length, failed };
+}
+
+/**
+ * Find the repository entries stored with an older schema and build
+ * their upgraded files, without writing anything (the dry run).
+ * Dates with unsynced local edits are left for their next save.
+ * @returns {Promise<{upgrades: Array<{date: string, sha: string, markdown: string, changes: string[]}>, skipped: Array<{date: string, reason: string}>, total: number}>}
+ */
+async function planSchemaUpgrade() {
+    const pending = Storage.getPending();
+    const remote = await Backend.listEntries();
+    const upgrades = [];
+    const skipped = [];
+
+    for (let i = 0; i < remote.length; i++) {
+        const { date } = remote[i];
+        UI.updateSyncStatus('syncing', `Checking ${i + 1}/${remote.length}`);
+
+        try {
+            const file = await Backend.getEntry(date);
+            if (!file || Journal.getSchema(file.content) >= Journal.CURRENT_SCHEMA) continue;
+
+            if (pending.includes(date)) {
+                skipped.push({ date, reason: 'has unsynced changes' });
+                continue;
+            }
+
+            const before = Journal.fromMarkdown(file.content, { migrate: false });
+            const after = Journal.migrateEntry(before);
+
+            let markdown = Journal.toMarkdown(after);
+            if (Encryption.isEnabled()) {
+                markdown = await Encryption.encryptMarkdown(markdown);
+            }
+
+            upgrades.push({ date, sha: file.sha, markdown, changes: Journal.describeMigration(before, after) });
+        } catch (error) {
+            skipped.push({ date, reason: error.message });
+        }
+    }
+
+    return { upgrades, skipped, total: remote.length };
+}
+
+/**
+ * Run the upgrade dry run and show its report in settings
+ */
+async function checkSchemaUpgrade() {
+    if (!Backend.isOnline()) {
+        UI.showToast('Checking entries requires a connection', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    if (Encryption.isEnabled() && !Encryption.isUnlocked()) {
+        requestUnlock();
+        return;
+    }
+
+    if (syncInProgress) {
+        UI.showToast('Sync in progress - try again in a moment', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    syncInProgress = true;
+    UI.$('#upgrade-check-btn').disabled = true;
+
+    try {
+        upgradePlan = await planSchemaUpgrade();
+        renderUpgradeReport(upgradePlan);
+    } catch (error) {
+        UI.showToast(error.message || 'Failed to check entries', UI.TOAST_TYPES.ERROR);
+    } finally {
+        syncInProgress = false;
+        UI.$('#upgrade-check-btn').disabled = false;
+        updatePendingStatus();
+    }
+}
+
+/**
+ * Render the upgrade dry-run report
+ * @param {{upgrades: Array, skipped: Array, total: number}} plan 
+ */
+function renderUpgradeReport(plan) {
+    const { upgrades, skipped, total } = plan;
+    const report = UI.$('#upgrade-report');
+    report.innerHTML = '';
+
+    const noun = (n) => `${n} ${n === 1 ? 'entry' : 'entries'}`;
+    let status = `All ${noun(total)} use the current format (schema ${Journal.CURRENT_SCHEMA}).`;
+    if (upgrades.length > 0) {
+        status = `${noun(upgrades.length)} of ${total} will be rewritten to schema ${Journal.CURRENT_SCHEMA} in one commit:`;
+    }
+    UI.$('#upgrade-status').textContent = status;
+
+    for (const upgrade of upgrades) {
+        report.appendChild(UI.createElement('div', { className: 'upgrade-item' },
+            UI.createElement('span', { className: 'upgrade-item-date' }, upgrade.date),
+            UI.createElement('span', { className: 'upgrade-item-meta' }, upgrade.changes.join(' · ') || 'format only')
+        ));
+    }
+
+    for (const skip of skipped) {
+        report.appendChild(UI.createElement('div', { className: 'upgrade-item skipped' },
+            UI.createElement('span', { className: 'upgrade-item-date' }, skip.date),
+            UI.createElement('span', { className: 'upgrade-item-meta' }, `Skipped: ${skip.reason}`)
+        ));
+    }
+
+    UI.toggle('#upgrade-report', upgrades.length + skipped.length > 0);
+    UI.toggle('#upgrade-apply-btn', upgrades.length > 0);
+}
+
+/**
+ * Write the checked upgrade to the repository as a single commit
+ */
+async function applySchemaUpgrade() {
+    const plan = upgradePlan;
+    if (!plan || plan.upgrades.length === 0) return;
+
+    if (syncInProgress) {
+        UI.showToast('Sync in progress - try again in a moment', UI.TOAST_TYPES.WARNING);
+        return;
+    }
+
+    const count = plan.upgrades.length;
+    if (!confirm(`Rewrite ${count} ${count === 1 ? 'entry' : 'entries'} in the repository?`)) {
+        return;
+    }
+
+    syncInProgress = true;
+    UI.updateSyncStatus('syncing', 'Upgrading entries...');
+
+    try {
+        const { synced, conflicts } = await Backend.saveEntries(
+            plan.upgrades.map(({ date, markdown, sha }) => ({ date, markdown, sha })),
+            `Upgrade ${count} ${count === 1 ? 'entry' : 'entries'} to schema ${Journal.CURRENT_SCHEMA}`
+        );
+
+        for (const upgrade of plan.upgrades) {
+            if (upgrade.date in synced && !Storage.getPending().includes(upgrade.date)) {
+                await Storage.saveEntry(upgrade.date, {
+                    markdown: upgrade.markdown,
+                    sha: synced[upgrade.date],
+                    synced: true
+                });
+            }
+        }
+
+        const upgraded = Object.keys(synced).length;
+        if (conflicts.length > 0) {
+            UI.showToast(`Upgraded ${upgraded}; ${conflicts.length} changed meanwhile - check again`, UI.TOAST_TYPES.WARNING);
+        } else {
+            UI.showToast(`Upgraded ${upgraded} ${upgraded === 1 ? 'entry' : 'entries'}`, UI.TOAST_TYPES.SUCCESS);
+        }
+    } catch (error) {
+        UI.showToast(error.message || 'Upgrade failed', UI.TOAST_TYPES.ERROR);
+    } finally {
+        syncInProgress = false;
+        upgradePlan = null;
+        UI.hide('#upgrade-apply-btn');
+        UI.hide('#upgrade-report');
+        updatePendingStatus();
+    }
+
+    if (currentView === 'editor' && !isDirty) {
+        loadEntry(currentDate);
+    }
+}
+
+/**
+ * Switch to a different view
+ * @param {string} view 
+ */
+function switchView(view) {
+    if (isDirty && currentView === 'editor' && view !== 'editor') {
+        if (!confirm('Discard unsaved changes?')) {
+            return;
+        }
+        isDirty = false;
+    }
+
+    currentView = view;
+
+    UI.$$('.nav-btn').forEach(btn => {
+        UI.toggleClass(btn, 'active', btn.dataset.view === view);
+        btn.setAttribute('aria-current', btn.dataset.view === view ? 'page' : 'false');
+    });
+
+    UI.$$('.view').forEach(v => {
+        UI.toggleClass(v, 'active', v.id === `view-${view}`);
+    });
+
+    switch (view) {
+        case 'dashboard':
+            renderDashboard();
+            break;
+        case 'editor':
+            loadEntry(currentDate);
+            break;
+        case 'timeline':
+            renderTimeline();
+            break;
+        case 'analytics':
+            renderAnalytics(7);
+            break;
+    }
+}
+
+/**
+ * Update UI state
+ */
 function updateUI() {
     const today = Journal.getTodayDate();
     const todayDateEl = UI.$('#today-date');
@@ -364,385 +1706,1380 @@ function updateUI() {
         todayDateEl.textContent = Journal.formatDate(today);
     }
 
-    const streak = Analytics.calculateStreak();
-    UI.updateStreakBadge(streak);
+    const streak = Analytics.calculateStreak();
+    UI.updateStreakBadge(streak);
+
+    if (Backend.isOnline()) {
+        updatePendingStatus();
+    } else {
+        UI.updateSyncStatus('offline', 'Offline');
+    }
+}
+
+/**
+ * Render dashboard view
+ */
+function renderDashboard() {
+    const summary = Analytics.getSummary();
+
+    UI.$('#stat-streak').textContent = summary.currentStreak.toString();
+    UI.$('#stat-entries').textContent = summary.totalEntries.toString();
+    UI.$('#stat-avg').textContent = summary.avg7Day.toFixed(1);
+
+    const today = Journal.getTodayDate();
+    const todayEntry = Storage.getEntry(today);
+    const todayStatus = UI.$('#today-status');
+
+    if (todayEntry && todayEntry.markdown) {
+        todayStatus.innerHTML = `
+      <div class="today-complete">
+        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--success)" stroke-width="2">
+          <polyline points="20 6 9 17 4 12"/>
+        </svg>
+        <p>Today's entry is complete!</p>
+        <button class="btn btn-ghost" id="edit-today-btn">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <path d="M12 20h9"/>
+            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
+          </svg>
+          Edit Entry
+        </button>
+      </div>
+    `;
+
+        UI.$('#edit-today-btn')?.addEventListener('click', () => {
+            currentDate = today;
+            switchView('editor');
+        });
+    }
+
+    const recentDates = Index.getRecent(5);
+    const recentList = UI.$('#recent-entries');
+
+    if (recentDates.length === 0) {
+        recentList.innerHTML = '<li class="entry-empty">No entries yet. Start your journey today!</li>';
+    } else {
+        recentList.innerHTML = recentDates.map(date => {
+            const entry = Storage.getEntry(date);
+            let score = '-';
+
+            if (entry && entry.markdown) {
+                const parsed = Analytics.parseCached(entry);
+                score = parsed.score || '-';
+            }
+
+            const dateParts = Journal.parseDateParts(date);
+
+            return `
+        <li class="entry-item" data-date="${date}">
+          <span class="entry-date">${dateParts.month} ${dateParts.day}</span>
+          <span class="entry-score">
+            Score: <span class="entry-score-value">${score}</span>/10
+          </span>
+        </li>
+      `;
+        }).join('');
+
+        recentList.querySelectorAll('.entry-item').forEach(item => {
+            item.addEventListener('click', () => {
+                currentDate = item.dataset.date;
+                switchView('editor');
+            });
+        });
+    }
+
+    renderScoreChart();
+    decryptForStats();
+}
+
+/**
+ * Decrypt newly cached entries in the background so stats, scores and
+ * previews include their body, then redraw the view showing them
+ */
+async function decryptForStats() {
+    if (!Encryption.isUnlocked() || await Analytics.decryptCached() === 0) {
+        return;
+    }
+
+    if (currentView === 'dashboard') {
+        renderDashboard();
+    } else if (currentView === 'timeline') {
+        renderTimeline();
+    } else if (currentView === 'analytics') {
+        renderAnalytics(parseInt(UI.$('.period-btn.active')?.dataset.period || '7', 10));
+    }
+}
+
+/**
+ * Render score chart on dashboard
+ */
+function renderScoreChart() {
+    const canvas = UI.$('#score-chart');
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    const data = Analytics.getScoreTrend(7);
+
+    const width = canvas.width;
+    const height = canvas.height;
+    const padding = 40;
+    const chartWidth = width - padding * 2;
+    const chartHeight = height - padding * 2;
+
+    ctx.clearRect(0, 0, width, height);
+
+    ctx.strokeStyle = '#2a2a3a';
+    ctx.lineWidth = 1;
+
+    for (let i = 0; i <= 10; i += 2) {
+        const y = padding + chartHeight - (i / 10) * chartHeight;
+        ctx.beginPath();
+        ctx.moveTo(padding, y);
+        ctx.lineTo(width - padding, y);
+        ctx.stroke();
+
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(i.toString(), padding - 10, y + 4);
+    }
+
+    if (data.length === 0) {
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('No data yet', width / 2, height / 2);
+        return;
+    }
+
+    const stepX = chartWidth / Math.max(data.length - 1, 1);
+
+    ctx.strokeStyle = '#d4af37';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+
+    data.forEach((point, i) => {
+        const x = padding + i * stepX;
+        const y = padding + chartHeight - (point.score / 10) * chartHeight;
+
+        if (i === 0) {
+            ctx.moveTo(x, y);
+        } else {
+            ctx.lineTo(x, y);
+        }
+    });
+
+    ctx.stroke();
+
+    data.forEach((point, i) => {
+        const x = padding + i * stepX;
+        const y = padding + chartHeight - (point.score / 10) * chartHeight;
+
+        ctx.fillStyle = '#0a0a0f';
+        ctx.beginPath();
+        ctx.arc(x, y, 6, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#d4af37';
+        ctx.beginPath();
+        ctx.arc(x, y, 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        const dateParts = Journal.parseDateParts(point.date);
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '10px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${dateParts.month} ${dateParts.day}`, x, height - 10);
+    });
+}
+
+/**
+ * Load entry into editor
+ * @param {string} date 
+ */
+async function loadEntry(date) {
+    const dateInput = UI.$('#entry-date');
+    if (dateInput) {
+        dateInput.value = date;
+    }
+
+    let entry = null;
+    let warnings = [];
+    const cached = Storage.getEntry(date);
+    const stale = staleDates.has(date) && Backend.isOnline();
+
+    try {
+        if (cached && cached.markdown && !stale) {
+            ({ entry, warnings } = Journal.parseEntry(await Encryption.decryptMarkdown(cached.markdown)));
+        } else if (Backend.isOnline() && !Storage.isTombstone(date)) {
+            const remote = await Backend.getEntry(date);
+            if (remote) {
+                ({ entry, warnings } = Journal.parseEntry(remote.content));
+                await Storage.saveEntry(date, {
+                    markdown: remote.raw,
+                    sha: remote.sha,
+                    synced: true
+                });
+            }
+            staleDates.delete(date);
+        }
+    } catch (error) {
+        if (error.code === 'LOCKED' || error.code === 'DECRYPT_FAILED') {
+            if (error.code === 'DECRYPT_FAILED') {
+                UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+            }
+            requestUnlock(cached?.markdown || error.raw);
+        } else if (stale && cached && cached.markdown) {
+            try {
+                ({ entry, warnings } = Journal.parseEntry(await Encryption.decryptMarkdown(cached.markdown)));
+            } catch {
+            }
+        }
+    }
+
+    const isNew = !entry;
+
+    if (!entry) {
+        entry = Journal.createEntry(date);
+    } else if (!Templates.isKnown(entry.template)) {
+        UI.showToast(`This entry uses template "${entry.template}", which is not available here yet - it cannot be saved until the template loads`, UI.TOAST_TYPES.WARNING, 6000);
+    } else if (warnings.length > 0) {
+        const more = warnings.length > 1 ? ` (and ${warnings.length - 1} more)` : '';
+        UI.showToast(`${warnings[0]}${more}`, UI.TOAST_TYPES.WARNING, 6000);
+    }
+
+    populateForm(entry);
+    UI.toggle('#delete-btn', Index.hasDate(date));
+    isDirty = false;
+    lastSection = null;
+    renderAttachments();
+
+    if (isNew) {
+        offerCarryOver(date);
+    }
+}
+
+/**
+ * Store picked files as attachments of the current entry and link them
+ * from a section (the last one focused, or the first)
+ * @param {File[]} files 
+ * @param {HTMLTextAreaElement} [textarea] 
+ */
+async function attachFiles(files, textarea = lastSection) {
+    if (files.length === 0) return;
+
+    if (!Storage.supportsAttachments()) {
+        UI.showToast('Attachments are not supported in this browser', UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    const target = textarea || UI.$('#journal-form textarea');
+    const date = currentDate;
+    const links = [];
+
+    for (const file of files) {
+        try {
+            const attachment = await Attachments.prepare(file, { encrypt: Encryption.isEnabled() });
+            await Storage.saveAttachment(date, attachment);
+            const label = file.name.replace(/\.[^.]+$/, '');
+            links.push(Attachments.toMarkdown(date, attachment, label, Backend.getOptions()));
+        } catch (error) {
+            UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        }
+    }
+
+    if (links.length === 0 || date !== currentDate) return;
+
+    const before = target.value.slice(0, target.selectionStart);
+    const separator = before && !before.endsWith('\n') ? '\n' : '';
+    target.setRangeText(separator + links.join('\n'), target.selectionStart, target.selectionEnd, 'end');
+    target.focus();
+
+    markDirty();
+    renderAttachments();
+
+    UI.showToast(`Attached ${links.length} file${links.length === 1 ? '' : 's'} - save to keep`, UI.TOAST_TYPES.SUCCESS);
+}
+
+/**
+ * Get an attachment's file, downloading and caching it if needed
+ * @param {string} date 
+ * @param {string} name 
+ * @returns {Promise<Object|null>} Stored attachment record
+ */
+async function loadAttachment(date, name) {
+    const stored = await Storage.getAttachment(date, name);
+    if (stored || !Backend.isOnline()) return stored;
+
+    const blob = await Backend.getAttachment(date, name);
+    if (!blob) return null;
+
+    const type = Attachments.guessType(name);
+    return Storage.saveAttachment(date, { name, type, blob }, { synced: true });
+}
+
+/**
+ * Show the attachments linked from the entry in the editor
+ */
+async function renderAttachments() {
+    const container = UI.$('#attachment-list');
+    if (!container) return;
+
+    const date = currentDate;
+    const text = [...UI.$$('#journal-form textarea')].map(t => t.value).join('\n');
+    const links = Attachments.findLinks(text);
+
+    attachmentUrls.forEach(url => URL.revokeObjectURL(url));
+    attachmentUrls = [];
+    container.innerHTML = '';
+    UI.toggle('#editor-attachments', links.length > 0);
+
+    for (const { date: day, name, key } of links) {
+        let record = null;
+        let blob = null;
+        let problem = 'Not available offline';
+        try {
+            record = await loadAttachment(day, name);
+            if (record) {
+                blob = await Encryption.decryptBlob(record.blob, key, record.type);
+            }
+        } catch (error) {
+            if (error.code === 'DECRYPT_FAILED') {
+                problem = error.message;
+            }
+        }
+
+        if (date !== currentDate) return;
+
+        if (!blob) {
+            container.appendChild(UI.createElement('div', { className: 'attachment-item missing', title: problem },
+                UI.createElement('span', { className: 'attachment-name' }, name)
+            ));
+            continue;
+        }
+
+        const url = URL.createObjectURL(blob);
+        attachmentUrls.push(url);
+
+        container.appendChild(UI.createElement('a', { className: 'attachment-item', href: url, target: '_blank', rel: 'noopener', title: name },
+            Attachments.isImage(record)
+                ? UI.createElement('img', { src: url, alt: name, loading: 'lazy' })
+                : UI.createElement('span', { className: 'attachment-icon' }, '📎'),
+            UI.createElement('span', { className: 'attachment-name' }, name),
+            record.synced ? null : UI.createElement('span', { className: 'attachment-pending' }, 'Not uploaded')
+        ));
+    }
+}
+
+/**
+ * Upload the attachments of a day that only exist on this device
+ * @param {string} date 
+ * @returns {Promise<void>}
+ */
+async function uploadAttachments(date) {
+    for (const attachment of await Storage.getAttachments(date)) {
+        if (attachment.synced) continue;
+
+        const { sha } = await Backend.saveAttachment(date, attachment.name, attachment.blob);
+        await Storage.markAttachmentSynced(date, attachment.name, sha);
+    }
+}
+
+/**
+ * Populate editor form with entry data
+ * @param {Object} entry 
+ */
+function populateForm(entry) {
+    UI.$('#entry-tags').value = (entry.tags || []).join(', ');
+    editorEntry = entry;
+
+    renderEditorSections(Templates.getTemplate(entry.template));
 
-    if (GitHub.isOnline()) {
-        const pending = Storage.getPending();
-        if (pending.length > 0) {
-            UI.updateSyncStatus('pending', `${pending.length} pending`);
+    for (const metric of Templates.getMetrics(editorTemplate)) {
+        const input = UI.$(`#metric-${metric.key}`);
+        const value = entry[metric.key];
+        if (!input) continue;
+
+        if (metric.type === 'boolean') {
+            input.checked = value === true;
+        } else if (metric.type === 'duration') {
+            input.value = Journal.formatDuration(value);
         } else {
-            UI.updateSyncStatus('synced', 'Synced');
+            input.value = value ?? '';
+        }
+
+        const display = UI.$(`.score-value[data-for="${input.id}"]`);
+        if (display) {
+            display.textContent = input.value;
+        }
+    }
+
+    UI.$$('#editor-sections textarea').forEach(textarea => {
+        textarea.value = entry[textarea.dataset.key] || '';
+    });
+
+    UI.$$('#editor-sections [data-habit]').forEach(input => {
+        input.checked = (entry.habits || []).includes(input.dataset.habit);
+    });
+
+    UI.$$('#editor-sections .task-list').forEach(renderTaskList);
+    UI.hide('#carry-over');
+}
+
+/**
+ * Render the task items of a priorities section with their state
+ * @param {HTMLUListElement} list 
+ */
+function renderTaskList(list) {
+    const textarea = UI.$(`#field-${list.dataset.for}`);
+    const marks = { open: '', done: '✓', dropped: '✕' };
+    const next = { open: 'done', done: 'dropped', dropped: 'open' };
+
+    list.innerHTML = '';
+
+    Journal.parseChecklist(textarea.value).forEach((item, index) => {
+        list.appendChild(UI.createElement('li', { className: `task-item ${item.state}` },
+            UI.createElement('button', {
+                type: 'button',
+                className: 'task-state',
+                title: `${item.state} - click to mark ${next[item.state]}`,
+                'aria-label': `${item.text}: ${item.state}`,
+                onClick: () => {
+                    textarea.value = Journal.setTaskState(textarea.value, index, next[item.state]);
+                    markDirty();
+                    renderTaskList(list);
+                }
+            }, marks[item.state]),
+            UI.createElement('span', { className: 'task-text' }, item.text)
+        ));
+    });
+}
+
+/**
+ * Offer to carry the previous entry's unfinished priorities into a new
+ * entry. Only entries already on this device are checked.
+ * @param {string} date - The new entry's date
+ */
+async function offerCarryOver(date) {
+    const previousDate = Index.getAllDates().find(d => d < date);
+    const cached = previousDate && Storage.getEntry(previousDate);
+    if (!cached || !cached.markdown) return;
+
+    let items = [];
+    try {
+        const previous = Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.markdown));
+        items = Journal.getCarryOver(previous, getFormData());
+    } catch {
+        return;
+    }
+
+    if (items.length === 0 || date !== currentDate) return;
+
+    const list = UI.$('#carry-over-list');
+    list.innerHTML = '';
+    for (const text of items) {
+        list.appendChild(UI.createElement('li', {},
+            UI.createElement('label', {},
+                UI.createElement('input', { type: 'checkbox', checked: '', value: text }),
+                text
+            )
+        ));
+    }
+
+    UI.$('#carry-over-title').textContent = `Unfinished priorities from ${Journal.formatDate(previousDate)}`;
+    UI.show('#carry-over');
+}
+
+/**
+ * Add the priorities picked in the carry-over offer to the entry
+ */
+function applyCarryOver() {
+    const picked = [...UI.$$('#carry-over-list input:checked')].map(input => input.value);
+    UI.hide('#carry-over');
+    if (picked.length === 0) return;
+
+    populateForm(Journal.addPriorities(getFormData(), picked));
+    markDirty();
+}
+
+/**
+ * Render the editor's metric inputs from a template
+ * @param {Object} template 
+ */
+function renderEditorMetrics(template) {
+    const container = UI.$('#editor-metrics');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    for (const metric of Templates.getMetrics(template)) {
+        const id = `metric-${metric.key}`;
+        const attrs = { id, name: metric.key, dataset: { metric: metric.key } };
+        const bounds = {
+            ...(metric.min !== undefined ? { min: metric.min } : {}),
+            ...(metric.max !== undefined ? { max: metric.max } : {})
+        };
+        const unit = metric.unit ? UI.createElement('span', { className: 'score-unit' }, metric.unit) : null;
+        let input;
+        let extra = unit;
+
+        switch (metric.type) {
+            case 'scale':
+                input = UI.createElement('input', { ...attrs, ...bounds, type: 'range', step: metric.step || 1 });
+                extra = UI.createElement('span', { className: 'score-value', dataset: { for: id } });
+                break;
+            case 'boolean':
+                input = UI.createElement('input', { ...attrs, type: 'checkbox' });
+                break;
+            case 'duration':
+                input = UI.createElement('input', { ...attrs, type: 'text', inputmode: 'numeric', placeholder: 'h:mm', autocomplete: 'off' });
+                break;
+            default:
+                input = UI.createElement('input', { ...attrs, ...bounds, type: 'number', step: metric.step || 'any' });
+        }
+
+        container.appendChild(UI.createElement('div', { className: 'score-field' },
+            UI.createElement('label', { for: id }, metric.label || metric.key),
+            input,
+            extra
+        ));
+    }
+}
+
+/**
+ * Read the metric values entered in the editor
+ * @param {Object} template 
+ * @returns {Object} key → value (null when left empty)
+ */
+function getMetricData(template) {
+    const values = {};
+
+    for (const metric of Templates.getMetrics(template)) {
+        const input = UI.$(`#metric-${metric.key}`);
+        if (!input) continue;
+
+        const value = metric.type === 'boolean' ? input.checked : input.value.trim();
+        values[metric.key] = Journal.coerceMetric(metric, value);
+    }
+
+    return values;
+}
+
+/**
+ * Render the editor's sections from a template (kept if already shown)
+ * @param {Object} template 
+ */
+function renderEditorSections(template) {
+    const container = UI.$('#editor-sections');
+    if (!container || editorTemplate === template) return;
+
+    editorTemplate = template;
+    container.innerHTML = '';
+    renderEditorMetrics(template);
+
+    const priorities = Templates.getFields(template).filter(f => f.priorities).map(f => f.key);
+
+    const field = (item, rows) => {
+        const textarea = UI.createElement('textarea', {
+            id: `field-${item.key}`,
+            name: item.key,
+            rows: item.rows || rows,
+            placeholder: item.placeholder || '',
+            dataset: { key: item.key }
+        });
+
+        // Priorities are edited as text and checked off in the list above it
+        return priorities.includes(item.key)
+            ? UI.createElement('div', { className: 'task-field' },
+                UI.createElement('ul', { className: 'task-list', dataset: { for: item.key } }),
+                textarea
+            )
+            : textarea;
+    };
+
+    const habitList = (item) => item.habits && item.habits.length > 0
+        ? UI.createElement('div', { className: 'habit-list' },
+            ...item.habits.map(habit => UI.createElement('label', { className: 'habit' },
+                UI.createElement('input', { type: 'checkbox', dataset: { habit: habit.key } }),
+                habit.label
+            ))
+        )
+        : null;
+
+    template.sections.forEach((section, i) => {
+        const el = UI.createElement('div', { className: 'editor-section' },
+            UI.createElement('h3', { className: 'section-title' },
+                UI.createElement('span', { className: 'section-number' }, String(i + 1)),
+                section.title
+            )
+        );
+
+        if (section.prompt) {
+            el.appendChild(UI.createElement('p', { className: 'section-prompt' }, section.prompt));
+        }
+
+        if (section.subsections && section.subsections.length > 0) {
+            for (const sub of section.subsections) {
+                el.appendChild(UI.createElement('div', { className: 'subsection' },
+                    UI.createElement('h4', { className: 'subsection-title' }, sub.title),
+                    sub.prompt ? UI.createElement('p', { className: 'section-prompt' }, sub.prompt) : null,
+                    habitList(sub),
+                    field(sub, 2)
+                ));
+            }
+        } else {
+            const habits = habitList(section);
+            if (habits) {
+                el.appendChild(habits);
+            }
+            el.appendChild(field(section, 4));
+        }
+
+        container.appendChild(el);
+    });
+}
+
+/**
+ * Get entry data from editor form
+ * @returns {Object}
+ */
+function getFormData() {
+    // Start from the loaded entry so fields the editor does not show
+    // (e.g. frontmatter written by other tools) are kept
+    const entry = {
+        ...editorEntry,
+        schema: Journal.CURRENT_SCHEMA,
+        date: currentDate,
+        template: Templates.getRef(editorTemplate || Templates.getActive()),
+        ...getMetricData(editorTemplate || Templates.getActive()),
+        tags: Journal.normalizeTags(UI.$('#entry-tags')?.value)
+    };
+
+    UI.$$('#editor-sections textarea').forEach(textarea => {
+        entry[textarea.dataset.key] = textarea.value;
+    });
+
+    // Habits of other templates the entry records are kept
+    const habitInputs = [...UI.$$('#editor-sections [data-habit]')];
+    const shown = habitInputs.map(input => input.dataset.habit);
+    entry.habits = [
+        ...(editorEntry?.habits || []).filter(key => !shown.includes(key)),
+        ...habitInputs.filter(input => input.checked).map(input => input.dataset.habit)
+    ];
+
+    return entry;
+}
+
+/**
+ * Save current entry
+ */
+async function saveCurrentEntry() {
+    if (editorEntry && editorEntry.schema > Journal.CURRENT_SCHEMA) {
+        UI.showToast('This entry was written by a newer version of Empire OS. Reload to update before editing it.', UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    // The editor fell back to the default template: saving would move
+    // the sections of the entry's own template into its preamble
+    if (editorEntry && !Templates.isKnown(editorEntry.template)) {
+        UI.showToast(`This entry uses template "${editorEntry.template}", which is not available here yet. Reload while online to load it before editing.`, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+    if (editorEntry && Templates.getRef(Templates.getTemplate(editorEntry.template)) !== Templates.getRef(editorTemplate)) {
+        UI.showToast(`Template "${editorEntry.template}" has loaded since this entry was opened. Reopen the entry before editing it.`, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    const entry = getFormData();
+
+    const validation = Journal.validateEntry(entry);
+    if (!validation.valid) {
+        UI.showToast(validation.errors[0], UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    let markdown = Journal.toMarkdown(entry);
+
+    if (Encryption.isEnabled()) {
+        if (!Encryption.isUnlocked()) {
+            requestUnlock();
+            return;
+        }
+        markdown = await Encryption.encryptMarkdown(markdown);
+    }
+
+    const cached = Storage.getEntry(currentDate);
+
+    try {
+        await Storage.saveEntry(currentDate, {
+            markdown,
+            sha: cached?.sha || null,
+            synced: false
+        });
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        if (!Backend.isOnline()) {
+            return;
         }
+    }
+
+    Index.addDate(currentDate);
+    deferredConflicts.delete(currentDate);
+
+    isDirty = false;
+
+    if (Backend.isOnline()) {
+        await syncEntry(currentDate);
     } else {
-        UI.updateSyncStatus('offline', 'Offline');
+        await Storage.markPending(currentDate);
+        requestBackgroundSync();
+        UI.showToast('Saved locally (will sync when online)', UI.TOAST_TYPES.WARNING);
+        UI.updateSyncStatus('pending', '1 pending');
     }
+
+    updateUI();
+    renderAttachments();
 }
 
 /**
- * Render dashboard view
+ * Sync single entry to the backend
+ * @param {string} date 
  */
-function renderDashboard() {
-    const summary = Analytics.getSummary();
+async function syncEntry(date) {
+    const entry = Storage.getEntry(date);
+    if (!entry || !entry.markdown) return;
 
-    UI.$('#stat-streak').textContent = summary.currentStreak.toString();
-    UI.$('#stat-entries').textContent = summary.totalEntries.toString();
-    UI.$('#stat-avg').textContent = summary.avg7Day.toFixed(1);
+    UI.updateSyncStatus('syncing', 'Saving...');
 
-    const today = Journal.getTodayDate();
-    const todayEntry = Storage.getEntry(today);
-    const todayStatus = UI.$('#today-status');
+    let result;
+    try {
+        await uploadAttachments(date);
+        result = await Backend.saveEntry(date, entry.markdown, entry.sha);
+    } catch (error) {
+        if (error.status === 409) {
+            try {
+                result = await mergeWithRemote(date);
+            } catch {
+                result = undefined;
+            }
+        }
 
-    if (todayEntry && todayEntry.markdown) {
-        todayStatus.innerHTML = `
-      <div class="today-complete">
-        <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="var(--success)" stroke-width="2">
-          <polyline points="20 6 9 17 4 12"/>
-        </svg>
-        <p>Today's entry is complete!</p>
-        <button class="btn btn-ghost" id="edit-today-btn">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M12 20h9"/>
-            <path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/>
-          </svg>
-          Edit Entry
-        </button>
-      </div>
-    `;
+        if (result === null) {
+            await Storage.markPending(date).catch(() => {});
+            Storage.recordSyncFailure(date, { status: 409, message: 'Conflict unresolved' });
+            UI.updateSyncStatus('pending', 'Conflict unresolved');
+            return;
+        }
+
+        if (!result) {
+            await Storage.markPending(date).catch(() => {});
+
+            if (error.rateLimited) {
+                UI.showToast(`Saved locally - ${error.message}`, UI.TOAST_TYPES.WARNING);
+                scheduleRateLimitResume();
+                return;
+            }
+
+            Storage.recordSyncFailure(date, error);
+            UI.showToast('Sync failed - saved locally', UI.TOAST_TYPES.WARNING);
+            UI.updateSyncStatus('failed', 'Sync failed');
+            return;
+        }
+    }
+
+    try {
+        await Storage.markSynced(date, result.sha);
+        UI.showToast('Entry saved', UI.TOAST_TYPES.SUCCESS);
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+    }
+    UI.updateSyncStatus('synced', 'Synced');
+}
+
+/**
+ * Merge local changes with a remote version that changed since the last sync.
+ * Non-overlapping section and metric changes merge automatically; real
+ * conflicts are resolved by the user.
+ * @param {string} date 
+ * @returns {Promise<{sha: string}|null>} Save result, or null if left unresolved
+ */
+async function mergeWithRemote(date) {
+    const cached = Storage.getEntry(date);
+    const remote = await Backend.getEntry(date);
+
+    if (!remote) {
+        return Backend.saveEntry(date, cached.markdown, null);
+    }
+
+    const local = Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.markdown));
+    const theirs = Journal.fromMarkdown(remote.content);
+    const base = cached.base
+        ? Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.base))
+        : null;
+
+    let { merged, conflicts } = Merge.mergeEntries(base, local, theirs);
+
+    if (conflicts.length > 0) {
+        if (deferredConflicts.has(date)) {
+            return null;
+        }
+
+        const choices = await showConflictDialog(`The entry for ${Journal.formatDate(date)}`, conflicts);
+        if (!choices) {
+            deferredConflicts.add(date);
+            return null;
+        }
+
+        merged = Merge.applyResolutions(merged, conflicts, choices);
+    }
+
+    let markdown = Journal.toMarkdown(merged);
+    if (Encryption.isEnabled()) {
+        markdown = await Encryption.encryptMarkdown(markdown);
+    }
+
+    await Storage.saveEntry(date, {
+        markdown,
+        sha: remote.sha,
+        synced: false,
+        base: remote.raw
+    });
+
+    const result = await Backend.saveEntry(date, markdown, remote.sha);
+
+    if (date === currentDate && currentView === 'editor' && !isDirty) {
+        loadEntry(date);
+    }
+
+    if (conflicts.length === 0) {
+        UI.showToast(`Merged changes from another device into ${date}`, UI.TOAST_TYPES.INFO);
+    }
+
+    return result;
+}
+
+/**
+ * Format a field value for the conflict dialog
+ * @param {*} value 
+ * @returns {string}
+ */
+function formatConflictValue(value) {
+    if (Array.isArray(value)) {
+        return value.join(', ') || '(empty)';
+    }
+    if (value !== null && typeof value === 'object') {
+        return Journal.stringifyYaml(value).join('\n') || '(empty)';
+    }
+    return String(value ?? '') || '(empty)';
+}
+
+/**
+ * Show conflict resolution dialog
+ * @param {string} title - What was edited on both devices, e.g. 'The entry for …'
+ * @param {Array<{key: string, label: string, local: *, remote: *}>} conflicts 
+ * @returns {Promise<Object|null>} Map of key -> resolution, or null if cancelled
+ */
+function showConflictDialog(title, conflicts) {
+    settleConflictDialog(null);
+
+    UI.$('#conflict-date').textContent = title;
+
+    const list = UI.$('#conflict-list');
+    list.innerHTML = '';
+
+    for (const conflict of conflicts) {
+        const name = `conflict-${conflict.key}`;
+
+        const option = (value, title, text, checked) => UI.createElement('label', { className: 'conflict-version' },
+            UI.createElement('input', { type: 'radio', name, value, 'data-key': conflict.key, ...(checked ? { checked: '' } : {}) }),
+            UI.createElement('span', { className: 'conflict-version-title' }, title),
+            UI.createElement('pre', { className: 'conflict-value' }, formatConflictValue(text))
+        );
+
+        const versions = UI.createElement('div', { className: 'conflict-versions' },
+            option(Merge.RESOLUTIONS.LOCAL, 'This device', conflict.local, true),
+            option(Merge.RESOLUTIONS.REMOTE, 'Other device', conflict.remote, false)
+        );
+
+        const item = UI.createElement('div', { className: 'conflict-item' },
+            UI.createElement('h4', { className: 'conflict-label' }, conflict.label),
+            versions
+        );
+
+        if (Merge.isTextField(conflict.key, conflict.template)) {
+            item.appendChild(UI.createElement('label', { className: 'conflict-both' },
+                UI.createElement('input', { type: 'radio', name, value: Merge.RESOLUTIONS.BOTH, 'data-key': conflict.key }),
+                'Keep both'
+            ));
+        }
+
+        list.appendChild(item);
+    }
+
+    UI.openModal('conflict-modal');
+
+    return new Promise(resolve => {
+        conflictResolver = resolve;
+    });
+}
+
+/**
+ * Close conflict dialog and settle its pending promise
+ * @param {Object|null} choices 
+ */
+function settleConflictDialog(choices) {
+    if (!conflictResolver) return;
+
+    const resolve = conflictResolver;
+    conflictResolver = null;
+    UI.closeModal('conflict-modal');
+    resolve(choices);
+}
+
+/**
+ * Sync pending entries whose retry is due. Failures are recorded per
+ * entry and retried later with exponential backoff.
+ */
+async function syncPendingEntries() {
+    if (syncInProgress || !Backend.isOnline()) return;
+
+    // Held while reviews upload too, so a second sync cannot upload them again
+    if (Storage.getPendingReviews().length > 0) {
+        syncInProgress = true;
+        try {
+            await syncPendingReviews();
+        } finally {
+            syncInProgress = false;
+        }
+    }
 
-        UI.$('#edit-today-btn')?.addEventListener('click', () => {
-            currentDate = today;
-            switchView('editor');
-        });
+    const pending = Storage.getDuePending();
+    if (pending.length === 0) {
+        updatePendingStatus();
+        return;
     }
 
-    const recentDates = Index.getRecent(5);
-    const recentList = UI.$('#recent-entries');
+    if (Backend.isRateLimited()) {
+        scheduleRateLimitResume();
+        return;
+    }
 
-    if (recentDates.length === 0) {
-        recentList.innerHTML = '<li class="entry-empty">No entries yet. Start your journey today!</li>';
-    } else {
-        recentList.innerHTML = recentDates.map(date => {
-            const entry = Storage.getEntry(date);
-            let score = '-';
+    syncInProgress = true;
+    UI.updateSyncStatus('syncing', `Syncing ${pending.length}...`);
 
-            if (entry && entry.markdown) {
-                const parsed = Journal.fromMarkdown(entry.markdown);
-                score = parsed.score || '-';
-            }
+    const batch = [];
+    const deletions = [];
+    for (const date of pending) {
+        const entry = Storage.getEntry(date);
+        if (entry && entry.markdown) {
+            batch.push({ date, markdown: entry.markdown, sha: entry.sha });
+        } else if (Storage.isTombstone(date)) {
+            deletions.push(date);
+        } else {
+            Storage.removePending(date);
+        }
+    }
 
-            const dateParts = Journal.parseDateParts(date);
+    for (const date of deletions) {
+        try {
+            await syncDeletion(date);
+        } catch (error) {
+            if (error.rateLimited) break;
+            Storage.recordSyncFailure(date, error);
+        }
+    }
 
-            return `
-        <li class="entry-item" data-date="${date}">
-          <span class="entry-date">${dateParts.month} ${dateParts.day}</span>
-          <span class="entry-score">
-            Score: <span class="entry-score-value">${score}</span>/10
-          </span>
-        </li>
-      `;
-        }).join('');
+    // An entry only goes out once the files it links to are uploaded
+    const ready = [];
+    for (const item of batch) {
+        try {
+            await uploadAttachments(item.date);
+            ready.push(item);
+        } catch (error) {
+            if (error.rateLimited) break;
+            Storage.recordSyncFailure(item.date, error);
+        }
+    }
 
-        recentList.querySelectorAll('.entry-item').forEach(item => {
-            item.addEventListener('click', () => {
-                currentDate = item.dataset.date;
-                switchView('editor');
-            });
-        });
+    try {
+        const { synced, conflicts } = await Backend.saveEntries(ready);
+
+        for (const [date, sha] of Object.entries(synced)) {
+            await Storage.markSynced(date, sha);
+        }
+
+        for (const date of conflicts) {
+            await syncEntry(date);
+        }
+    } catch (error) {
+        if (!error.rateLimited) {
+            for (const { date } of ready) {
+                Storage.recordSyncFailure(date, error);
+            }
+        }
     }
 
-    renderScoreChart();
+    syncInProgress = false;
+
+    if (Backend.isRateLimited()) {
+        scheduleRateLimitResume();
+    } else {
+        updatePendingStatus();
+    }
 }
 
 /**
- * Render score chart on dashboard
+ * Show the state of the pending queue in the sync status
+ * (and the queue panel, if open)
  */
-function renderScoreChart() {
-    const canvas = UI.$('#score-chart');
-    if (!canvas) return;
-
-    const ctx = canvas.getContext('2d');
-    const data = Analytics.getScoreTrend(7);
+function updatePendingStatus() {
+    const queue = Storage.getQueue();
+    const failed = queue.filter(item => item.lastError).length;
 
-    const width = canvas.width;
-    const height = canvas.height;
-    const padding = 40;
-    const chartWidth = width - padding * 2;
-    const chartHeight = height - padding * 2;
+    if (queue.length > 0) {
+        requestBackgroundSync();
+    }
 
-    ctx.clearRect(0, 0, width, height);
+    if (queue.length === 0) {
+        UI.updateSyncStatus('synced', 'Synced');
+    } else if (failed > 0) {
+        UI.updateSyncStatus('failed', `${failed} failed`);
+    } else {
+        UI.updateSyncStatus('pending', `${queue.length} pending`);
+    }
 
-    ctx.strokeStyle = '#2a2a3a';
-    ctx.lineWidth = 1;
+    if (!UI.$('#queue-modal')?.hidden) {
+        renderSyncQueue();
+    }
+}
 
-    for (let i = 0; i <= 10; i += 2) {
-        const y = padding + chartHeight - (i / 10) * chartHeight;
-        ctx.beginPath();
-        ctx.moveTo(padding, y);
-        ctx.lineTo(width - padding, y);
-        ctx.stroke();
+/**
+ * Render the sync queue panel
+ */
+function renderSyncQueue() {
+    const listEl = UI.$('#queue-list');
+    if (!listEl) return;
 
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '12px Inter, sans-serif';
-        ctx.textAlign = 'right';
-        ctx.fillText(i.toString(), padding - 10, y + 4);
-    }
+    const queue = Storage.getQueue();
+    listEl.innerHTML = '';
 
-    if (data.length === 0) {
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '14px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText('No data yet', width / 2, height / 2);
+    if (queue.length === 0) {
+        listEl.appendChild(UI.createElement('p', { className: 'timeline-empty' }, 'Everything is synced.'));
         return;
     }
 
-    const stepX = chartWidth / Math.max(data.length - 1, 1);
-
-    ctx.strokeStyle = '#d4af37';
-    ctx.lineWidth = 2;
-    ctx.beginPath();
-
-    data.forEach((point, i) => {
-        const x = padding + i * stepX;
-        const y = padding + chartHeight - (point.score / 10) * chartHeight;
+    for (const item of queue) {
+        const deletion = Storage.isTombstone(item.date);
+        const time = (ms) => new Date(ms).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
-        if (i === 0) {
-            ctx.moveTo(x, y);
-        } else {
-            ctx.lineTo(x, y);
+        let status = 'Waiting to sync';
+        if (item.lastError) {
+            const code = item.lastError.status ? `${item.lastError.status} ` : '';
+            status = `Attempt ${item.attempts} failed: ${code}${item.lastError.message}`;
         }
-    });
 
-    ctx.stroke();
+        const retry = item.nextRetryAt > Date.now() ? `Next retry ${time(item.nextRetryAt)}` : 'Retrying now';
 
-    data.forEach((point, i) => {
-        const x = padding + i * stepX;
-        const y = padding + chartHeight - (point.score / 10) * chartHeight;
+        const actions = UI.createElement('div', { className: 'queue-item-actions' },
+            UI.createElement('button', { className: 'btn btn-ghost', type: 'button', onClick: () => retryQueued(item.date) }, 'Retry')
+        );
 
-        ctx.fillStyle = '#0a0a0f';
-        ctx.beginPath();
-        ctx.arc(x, y, 6, 0, Math.PI * 2);
-        ctx.fill();
+        if (!deletion) {
+            actions.appendChild(UI.createElement('button', {
+                className: 'btn btn-ghost',
+                type: 'button',
+                onClick: () => forcePushEntry(item.date)
+            }, 'Force Push'));
+        }
 
-        ctx.fillStyle = '#d4af37';
-        ctx.beginPath();
-        ctx.arc(x, y, 4, 0, Math.PI * 2);
-        ctx.fill();
+        actions.appendChild(UI.createElement('button', {
+            className: 'btn btn-ghost btn-danger',
+            type: 'button',
+            onClick: () => discardQueued(item.date)
+        }, 'Discard'));
+
+        listEl.appendChild(UI.createElement('div', { className: `queue-item${item.lastError ? ' failed' : ''}` },
+            UI.createElement('div', { className: 'queue-item-info' },
+                UI.createElement('span', { className: 'queue-item-title' },
+                    `${deletion ? 'Delete' : 'Save'} · ${Journal.formatDate(item.date)}`),
+                UI.createElement('span', { className: 'queue-item-meta' }, status),
+                UI.createElement('span', { className: 'queue-item-meta' }, item.lastError ? retry : `Queued ${time(item.queuedAt)}`)
+            ),
+            actions
+        ));
+    }
+}
 
-        const dateParts = Journal.parseDateParts(point.date);
-        ctx.fillStyle = '#6b7280';
-        ctx.font = '10px Inter, sans-serif';
-        ctx.textAlign = 'center';
-        ctx.fillText(`${dateParts.month} ${dateParts.day}`, x, height - 10);
-    });
+/**
+ * Retry a queued item now
+ * @param {string} date 
+ */
+async function retryQueued(date) {
+    Storage.resetRetry(date);
+    renderSyncQueue();
+    await syncPendingEntries();
 }
 
 /**
- * Load entry into editor
+ * Overwrite the remote copy of an entry with the local version,
+ * skipping the conflict check. Its attachments are uploaded first.
  * @param {string} date 
  */
-async function loadEntry(date) {
-    const dateInput = UI.$('#entry-date');
-    if (dateInput) {
-        dateInput.value = date;
+async function forcePushEntry(date) {
+    if (syncInProgress) {
+        UI.showToast('Sync in progress - try again in a moment', UI.TOAST_TYPES.WARNING);
+        return;
     }
 
-    let entry = null;
-    const cached = Storage.getEntry(date);
+    if (!Storage.getEntry(date)?.markdown) return;
 
-    if (cached && cached.markdown) {
-        entry = Journal.fromMarkdown(cached.markdown);
-    } else if (GitHub.isOnline()) {
-        try {
-            const remote = await GitHub.getEntry(date);
-            if (remote) {
-                Storage.saveEntry(date, {
-                    markdown: remote.content,
-                    sha: remote.sha,
-                    synced: true
-                });
-                entry = Journal.fromMarkdown(remote.content);
-            }
-        } catch {
-        }
+    if (!confirm(`Overwrite the remote copy of ${Journal.formatDate(date)} with this device's version?`)) {
+        return;
     }
 
-    if (!entry) {
-        entry = Journal.createEntry(date);
+    syncInProgress = true;
+
+    try {
+        await uploadAttachments(date);
+
+        const entry = Storage.getEntry(date);
+        if (!entry || !entry.markdown) return;
+
+        const remote = await Backend.getEntryFile(date);
+        const result = await Backend.saveEntry(date, entry.markdown, remote ? remote.sha : null);
+        await Storage.markSynced(date, result.sha);
+        deferredConflicts.delete(date);
+        staleDates.delete(date);
+        UI.showToast('Local version pushed', UI.TOAST_TYPES.SUCCESS);
+    } catch (error) {
+        Storage.recordSyncFailure(date, error);
+        UI.showToast(error.message || 'Force push failed', UI.TOAST_TYPES.ERROR);
+    } finally {
+        syncInProgress = false;
     }
 
-    populateForm(entry);
-    isDirty = false;
+    updatePendingStatus();
 }
 
 /**
- * Populate editor form with entry data
- * @param {Object} entry 
+ * Drop a queued item: unsynced edits are reverted to the last synced
+ * version, a pending deletion is cancelled and the entry restored
+ * @param {string} date 
  */
-function populateForm(entry) {
-    const scoreFields = ['score', 'discipline', 'focus', 'energy', 'mood'];
+async function discardQueued(date) {
+    const deletion = Storage.isTombstone(date);
+    const message = deletion
+        ? `Cancel deleting ${Journal.formatDate(date)}? The entry will be restored.`
+        : `Discard unsynced changes to ${Journal.formatDate(date)}? This cannot be undone.`;
 
-    for (const field of scoreFields) {
-        const input = UI.$(`#score-${field === 'score' ? 'overall' : field}`);
-        if (input) {
-            input.value = entry[field] || 5;
-            const display = UI.$(`.score-value[data-for="${input.id}"]`);
-            if (display) {
-                display.textContent = input.value;
+    if (!confirm(message)) {
+        return;
+    }
+
+    try {
+        if (deletion) {
+            await Storage.restoreEntry(date);
+            Index.addDate(date);
+        } else {
+            await Storage.revertEntry(date);
+            if (!Storage.getEntry(date)) {
+                Index.removeDate(date);
             }
         }
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        return;
     }
 
-    const netWorthInput = UI.$('#net-worth-delta');
-    if (netWorthInput) {
-        netWorthInput.value = entry.net_worth_delta || 0;
-    }
+    deferredConflicts.delete(date);
 
-    for (let i = 1; i <= 11; i++) {
-        const textarea = UI.$(`#section-${i}`);
-        if (textarea) {
-            textarea.value = entry[`section_${i}`] || '';
-        }
+    if (currentView === 'editor' && date === currentDate) {
+        loadEntry(date);
+    } else if (currentView === 'timeline') {
+        renderTimeline();
     }
 
-    const subsections = ['a', 'b', 'c', 'd', 'e'];
-    for (const sub of subsections) {
-        const textarea = UI.$(`#section-4${sub}`);
-        if (textarea) {
-            textarea.value = entry[`section_4${sub}`] || '';
-        }
-    }
+    updateUI();
+    updatePendingStatus();
 }
 
 /**
- * Get entry data from editor form
- * @returns {Object}
+ * Replay a tombstone: delete the remote file. If it was edited on another
+ * device since, the deletion is abandoned and the remote version kept.
+ * @param {string} date 
  */
-function getFormData() {
-    const entry = {
-        schema: Journal.CURRENT_SCHEMA,
-        date: currentDate,
-        score: parseInt(UI.$('#score-overall')?.value || '5', 10),
-        discipline: parseInt(UI.$('#score-discipline')?.value || '5', 10),
-        focus: parseInt(UI.$('#score-focus')?.value || '5', 10),
-        energy: parseInt(UI.$('#score-energy')?.value || '5', 10),
-        mood: parseInt(UI.$('#score-mood')?.value || '5', 10),
-        net_worth_delta: parseFloat(UI.$('#net-worth-delta')?.value || '0')
-    };
+async function syncDeletion(date) {
+    const { sha } = Storage.getTrashedEntry(date);
 
-    for (let i = 1; i <= 11; i++) {
-        const textarea = UI.$(`#section-${i}`);
-        if (textarea) {
-            entry[`section_${i}`] = textarea.value;
+    try {
+        await Backend.deleteEntry(date, sha);
+    } catch (error) {
+        if (error.status === 409) {
+            await Storage.settleTombstone(date);
+            Index.addDate(date);
+            UI.showToast(`${Journal.formatDate(date)} was edited on another device, so it was not deleted`, UI.TOAST_TYPES.WARNING);
+            return;
         }
-    }
-
-    const subsections = ['a', 'b', 'c', 'd', 'e'];
-    for (const sub of subsections) {
-        const textarea = UI.$(`#section-4${sub}`);
-        if (textarea) {
-            entry[`section_4${sub}`] = textarea.value;
+        if (error.status !== 404) {
+            throw error;
         }
     }
 
-    return entry;
+    await Storage.settleTombstone(date);
 }
 
 /**
- * Save current entry
+ * Move an entry to the trash after confirmation and sync the deletion
+ * @param {string} date 
  */
-async function saveCurrentEntry() {
-    const entry = getFormData();
-
-    const validation = Journal.validateEntry(entry);
-    if (!validation.valid) {
-        UI.showToast(validation.errors[0], UI.TOAST_TYPES.ERROR);
+async function deleteEntry(date) {
+    if (!confirm(`Delete the entry for ${Journal.formatDate(date)}? You can restore it from the trash for 30 days.`)) {
         return;
     }
 
-    const markdown = Journal.toMarkdown(entry);
+    if (!Storage.getEntry(date) && Index.hasDate(date)) {
+        if (!Backend.isOnline()) {
+            UI.showToast('This entry is not on this device - delete it when back online', UI.TOAST_TYPES.WARNING);
+            return;
+        }
 
-    const cached = Storage.getEntry(currentDate);
+        try {
+            const remote = await Backend.getEntryFile(date);
+            if (remote) {
+                await Storage.saveEntry(date, { markdown: remote.content, sha: remote.sha, synced: true });
+            }
+        } catch (error) {
+            UI.showToast(error.message || 'Failed to load entry', UI.TOAST_TYPES.ERROR);
+            return;
+        }
+    }
 
-    Storage.saveEntry(currentDate, {
-        markdown,
-        sha: cached?.sha || null,
-        synced: false
-    });
+    // Deleted elsewhere since the index was loaded: nothing to trash
+    if (!Storage.getEntry(date)) {
+        Index.removeDate(date);
+        staleDates.delete(date);
+        if (currentView === 'timeline') {
+            renderTimeline();
+        }
+        UI.showToast('This entry was already deleted on another device - removed it from the timeline', UI.TOAST_TYPES.INFO);
+        updateUI();
+        return;
+    }
 
-    Index.addDate(currentDate);
+    try {
+        await Storage.trashEntry(date);
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        return;
+    }
 
-    isDirty = false;
+    Index.removeDate(date);
+    staleDates.delete(date);
+    deferredConflicts.delete(date);
 
-    if (GitHub.isOnline()) {
-        await syncEntry(currentDate);
-    } else {
-        Storage.markPending(currentDate);
-        UI.showToast('Saved locally (will sync when online)', UI.TOAST_TYPES.WARNING);
-        UI.updateSyncStatus('pending', '1 pending');
+    if (currentView === 'editor' && date === currentDate) {
+        isDirty = false;
+        switchView('timeline');
+    } else if (currentView === 'timeline') {
+        renderTimeline();
     }
 
+    UI.showToast('Entry moved to trash', UI.TOAST_TYPES.SUCCESS);
     updateUI();
+    requestBackgroundSync();
+    syncPendingEntries();
 }
 
 /**
- * Sync single entry to GitHub
- * @param {string} date 
+ * Render the trash list
  */
-async function syncEntry(date) {
-    const entry = Storage.getEntry(date);
-    if (!entry || !entry.markdown) return;
+function renderTrash() {
+    const listEl = UI.$('#trash-list');
+    if (!listEl) return;
 
-    UI.updateSyncStatus('syncing', 'Saving...');
+    const items = Storage.getTrash();
+    const dayMs = 24 * 60 * 60 * 1000;
+
+    listEl.innerHTML = '';
+
+    if (items.length === 0) {
+        listEl.appendChild(UI.createElement('p', { className: 'timeline-empty' }, 'Trash is empty.'));
+        return;
+    }
+
+    for (const item of items) {
+        const daysLeft = Math.max(0, Math.ceil((item.deletedAt + Storage.TRASH_RETENTION - Date.now()) / dayMs));
+        const restore = UI.createElement('button', { className: 'btn btn-ghost', type: 'button' }, 'Restore');
+        restore.addEventListener('click', () => restoreEntry(item.date));
+
+        const meta = item.pendingDelete
+            ? 'Deletion not synced yet'
+            : `Removed permanently in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'}`;
+
+        listEl.appendChild(UI.createElement('div', { className: 'trash-item' },
+            UI.createElement('div', { className: 'trash-item-info' },
+                UI.createElement('span', { className: 'trash-item-title' }, Journal.formatDate(item.date)),
+                UI.createElement('span', { className: 'trash-item-meta' }, meta)
+            ),
+            restore
+        ));
+    }
+}
 
+/**
+ * Restore an entry from the trash and sync it back
+ * @param {string} date 
+ */
+async function restoreEntry(date) {
     try {
-        const result = await GitHub.saveEntry(date, entry.markdown, entry.sha);
-        Storage.markSynced(date, result.sha);
-        UI.showToast('Entry saved', UI.TOAST_TYPES.SUCCESS);
-        UI.updateSyncStatus('synced', 'Synced');
+        await Storage.restoreEntry(date);
     } catch (error) {
-        Storage.markPending(date);
-        UI.showToast('Sync failed - saved locally', UI.TOAST_TYPES.WARNING);
-        UI.updateSyncStatus('failed', 'Sync failed');
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    Index.addDate(date);
+    renderTrash();
+
+    if (currentView === 'timeline') {
+        renderTimeline();
     }
+
+    UI.showToast(`Restored ${Journal.formatDate(date)}`, UI.TOAST_TYPES.SUCCESS);
+    updateUI();
+    syncPendingEntries();
 }
 
 /**
- * Sync all pending entries
+ * Pause syncing and downloads until the API quota resets, then resume them
  */
-async function syncPendingEntries() {
-    if (syncInProgress || !GitHub.isOnline()) return;
-
-    const pending = Storage.getPending();
-    if (pending.length === 0) return;
+function scheduleRateLimitResume() {
+    const { pausedUntil } = Backend.getRateLimit();
+    const time = new Date(pausedUntil).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    UI.updateSyncStatus('pending', `Paused until ${time}`);
 
-    syncInProgress = true;
-    UI.updateSyncStatus('syncing', `Syncing ${pending.length}...`);
+    if (rateLimitTimer) return;
 
-    for (const date of pending) {
-        try {
-            await syncEntry(date);
-        } catch {
+    rateLimitTimer = setTimeout(() => {
+        rateLimitTimer = null;
+        syncPendingEntries();
+        if (Storage.getSettings().hydrating) {
+            hydrateJournal();
         }
-    }
-
-    syncInProgress = false;
-
-    const remaining = Storage.getPending();
-    if (remaining.length === 0) {
-        UI.updateSyncStatus('synced', 'Synced');
-    } else {
-        UI.updateSyncStatus('pending', `${remaining.length} pending`);
-    }
+    }, Math.max(pausedUntil - Date.now(), 0) + 1000);
 }
 
 /**
- * Check and sync pending entries periodically
+ * Pull remote changes and sync pending entries periodically
  */
-function checkPendingSync() {
-    if (GitHub.isOnline()) {
-        syncPendingEntries();
+async function checkPendingSync() {
+    if (!Backend.isOnline()) return;
+
+    if (Date.now() - lastPullAt >= PULL_INTERVAL) {
+        await pullRemoteChanges();
     }
+
+    syncPendingEntries();
 }
 
 /**
@@ -792,18 +3129,27 @@ function renderTimeline() {
         listEl.innerHTML = dates.map(date => {
             const entry = Storage.getEntry(date);
             const dateParts = Journal.parseDateParts(date);
+            const filter = Index.getTagFilter();
             let score = '-';
             let preview = 'No content';
+            let tags = [];
 
             if (entry && entry.markdown) {
-                const parsed = Journal.fromMarkdown(entry.markdown);
+                const parsed = Analytics.parseCached(entry);
+                const locked = Encryption.isEncrypted(entry.markdown) && !Encryption.isUnlocked();
                 score = parsed.score || '-';
-                preview = parsed.section_1 || parsed.section_2 || 'No content';
+                tags = parsed.tags || [];
+                preview = Journal.getPreview(parsed) || (locked ? 'Encrypted - unlock to preview' : 'No content');
                 if (preview.length > 60) {
                     preview = preview.substring(0, 60) + '...';
                 }
             }
 
+            // Tags are normalized to [a-z0-9_/-], safe to interpolate
+            const chips = tags.map(tag =>
+                `<button type="button" class="tag-chip${filter.includes(tag) ? ' active' : ''}" data-tag="${tag}">#${tag}</button>`
+            ).join('');
+
             return `
         <div class="timeline-item" data-date="${date}">
           <div class="timeline-item-date">
@@ -813,8 +3159,16 @@ function renderTimeline() {
           <div class="timeline-item-content">
             <div class="timeline-item-title">${Journal.formatDate(date)}</div>
             <div class="timeline-item-preview">${preview}</div>
+            ${chips ? `<div class="timeline-item-tags">${chips}</div>` : ''}
           </div>
           <div class="timeline-item-score">${score}</div>
+          <button class="icon-btn timeline-item-delete" data-date="${date}" aria-label="Delete entry" title="Delete entry">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <polyline points="3 6 5 6 21 6"/>
+              <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/>
+              <path d="M10 11v6M14 11v6M9 6V4a1 1 0 0 1 1-1h4a1 1 0 0 1 1 1v2"/>
+            </svg>
+          </button>
         </div>
       `;
         }).join('');
@@ -825,13 +3179,438 @@ function renderTimeline() {
                 switchView('editor');
             });
         });
+
+        listEl.querySelectorAll('.timeline-item-delete').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                deleteEntry(btn.dataset.date);
+            });
+        });
     }
 
+    renderTagFilter();
+    renderReviewBar();
+    decryptForStats();
+
     UI.$('#page-info').textContent = `Page ${page} of ${totalPages} (${totalCount} entries)`;
     UI.$('#prev-page-btn').disabled = !hasPrev;
     UI.$('#next-page-btn').disabled = !hasNext;
 }
 
+/**
+ * Render the timeline's tag filter: every tag used, the selected ones
+ * highlighted
+ */
+function renderTagFilter() {
+    const container = UI.$('#timeline-tags');
+    if (!container) return;
+
+    const filter = Index.getTagFilter();
+    const tags = Index.getAllTags();
+
+    container.innerHTML = '';
+    UI.toggle(container, tags.length > 0);
+
+    for (const { tag, count } of tags) {
+        container.appendChild(UI.createElement('button', {
+            type: 'button',
+            className: `tag-chip${filter.includes(tag) ? ' active' : ''}`,
+            title: `${count} ${count === 1 ? 'entry' : 'entries'}`,
+            dataset: { tag }
+        }, `#${tag}`));
+    }
+}
+
+/**
+ * Add a tag to the timeline filter, or remove it if already selected
+ * @param {string} tag 
+ */
+function toggleTagFilter(tag) {
+    const filter = Index.getTagFilter();
+    Index.setTagFilter(filter.includes(tag) ? filter.filter(t => t !== tag) : [...filter, tag]);
+    renderTimeline();
+}
+
+/**
+ * Find the reviews stored in the repository
+ * @returns {Promise<void>}
+ */
+async function loadReviews() {
+    const files = await Backend.listConfigFiles(Reviews.REVIEWS_PATH);
+    reviewFiles = new Map();
+
+    for (const file of files) {
+        const id = Reviews.parseReviewPath(file.path);
+        if (id) {
+            reviewFiles.set(id, file.sha);
+        }
+    }
+
+    if (currentView === 'timeline') {
+        renderReviewBar();
+    }
+}
+
+/**
+ * Render the timeline's review periods: the ones due around today,
+ * then every older written review, newest first
+ */
+function renderReviewBar() {
+    const container = UI.$('#timeline-reviews');
+    if (!container) return;
+
+    const suggested = Reviews.getSuggestedPeriods();
+    const cached = Storage.getReviews();
+    const older = [...new Set([...reviewFiles.keys(), ...Object.keys(cached)])]
+        .filter(id => !suggested.includes(id) && Reviews.parsePeriod(id))
+        .sort((a, b) => Reviews.parsePeriod(b).end.localeCompare(Reviews.parsePeriod(a).end) || b.localeCompare(a));
+
+    container.innerHTML = '';
+    container.appendChild(UI.createElement('span', { className: 'review-bar-label' }, 'Reviews'));
+
+    for (const id of [...suggested, ...older]) {
+        const { start, end } = Reviews.parsePeriod(id);
+        const written = reviewFiles.has(id) || id in cached;
+
+        container.appendChild(UI.createElement('button', {
+            type: 'button',
+            className: `review-chip${written ? ' written' : ''}`,
+            title: `${start} – ${end}${written ? '' : ' (not written yet)'}`,
+            dataset: { review: id }
+        }, Reviews.getPeriodLabel(id)));
+    }
+}
+
+/**
+ * Read the entries of a review period cached on this device
+ * @param {{start: string, end: string}} period
+ * @returns {Promise<Array<Object>>} Parsed entries, oldest first
+ */
+async function getPeriodEntries(period) {
+    const entries = [];
+
+    for (const date of Index.getDateRange(period.start, period.end).sort()) {
+        const cached = Storage.getEntry(date);
+        if (!cached || !cached.markdown) continue;
+
+        try {
+            entries.push(Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.markdown)));
+        } catch {
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Open the review of a period: the stored one, or a new draft filled in
+ * from the period's entries
+ * @param {string} id - Period id, e.g. '2025-W52'
+ */
+async function openReview(id) {
+    const period = Reviews.parsePeriod(id);
+    if (!period) return;
+
+    if (Encryption.isEnabled() && !Encryption.isUnlocked()) {
+        requestUnlock();
+        return;
+    }
+
+    let cached = Storage.getReview(id);
+
+    // Unsynced local edits win here; they are merged when they upload
+    if (Backend.isOnline() && (!cached || cached.synced)) {
+        try {
+            const file = await Backend.getConfigFile(Reviews.getReviewPath(id));
+            if (file && (!cached || file.sha !== cached.sha)) {
+                await Storage.saveReview(id, { markdown: file.content, sha: file.sha, synced: true });
+                reviewFiles.set(id, file.sha);
+                cached = Storage.getReview(id);
+            }
+        } catch (error) {
+            if (!cached) {
+                UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+                return;
+            }
+        }
+    }
+
+    let entry = null;
+
+    if (cached) {
+        try {
+            entry = Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.markdown));
+        } catch (error) {
+            UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+            return;
+        }
+    } else {
+        const entries = await getPeriodEntries(period);
+        entry = Reviews.createReview(id, entries, Analytics.getPeriodStats(entries, period.start, period.end));
+    }
+
+    currentReview = { id, entry };
+
+    const fields = UI.$('#review-fields');
+    fields.innerHTML = '';
+    for (const field of Templates.getFields(Templates.getTemplate(entry.template))) {
+        const textarea = UI.createElement('textarea', {
+            id: `review-${field.key}`,
+            rows: 6,
+            dataset: { key: field.key }
+        });
+        textarea.value = entry[field.key] || '';
+
+        fields.appendChild(UI.createElement('div', { className: 'form-group' },
+            UI.createElement('label', { for: textarea.id }, field.title),
+            textarea
+        ));
+    }
+
+    UI.$('#review-title').textContent = `${Reviews.getPeriodLabel(id)} Review`;
+    UI.$('#review-range').textContent = cached
+        ? `${period.start} – ${period.end}`
+        : `${period.start} – ${period.end}. Drafted from the entries on this device; nothing is saved until you save it.`;
+    UI.openModal('review-modal');
+}
+
+/**
+ * Save the open review on this device and upload it, or leave it for
+ * the next sync when offline
+ * @param {Event} e 
+ */
+async function handleReviewSubmit(e) {
+    e.preventDefault();
+    if (!currentReview) return;
+
+    const entry = { ...currentReview.entry };
+    for (const textarea of UI.$$('#review-fields textarea')) {
+        entry[textarea.dataset.key] = textarea.value;
+    }
+
+    let markdown = Journal.toMarkdown(entry);
+
+    if (Encryption.isEnabled()) {
+        if (!Encryption.isUnlocked()) {
+            requestUnlock();
+            return;
+        }
+        markdown = await Encryption.encryptMarkdown(markdown);
+    }
+
+    const { id } = currentReview;
+    const cached = Storage.getReview(id);
+    deferredConflicts.delete(id);
+
+    try {
+        await Storage.saveReview(id, { markdown, sha: cached ? cached.sha : null, synced: false });
+    } catch (error) {
+        UI.showToast(error.message, UI.TOAST_TYPES.ERROR);
+        return;
+    }
+
+    currentReview = { id, entry };
+    UI.closeModal('review-modal');
+    renderReviewBar();
+
+    if (!Backend.isOnline()) {
+        UI.showToast(`Saved ${Reviews.getPeriodLabel(id)} review locally - it uploads when you are back online`, UI.TOAST_TYPES.INFO);
+        return;
+    }
+
+    if (syncInProgress) {
+        UI.showToast(`Saved ${Reviews.getPeriodLabel(id)} review locally - it uploads with the next sync`, UI.TOAST_TYPES.INFO);
+        return;
+    }
+
+    syncInProgress = true;
+
+    try {
+        if (!(await syncReview(id))) {
+            UI.showToast(`Saved ${Reviews.getPeriodLabel(id)} review locally - it uploads once its conflicts are resolved`, UI.TOAST_TYPES.WARNING);
+            return;
+        }
+    } catch (error) {
+        UI.showToast(`Saved ${Reviews.getPeriodLabel(id)} review locally - upload failed: ${error.message}`, UI.TOAST_TYPES.WARNING);
+        return;
+    } finally {
+        syncInProgress = false;
+    }
+
+    UI.showToast(`Saved ${Reviews.getPeriodLabel(id)} review`, UI.TOAST_TYPES.SUCCESS);
+}
+
+/**
+ * Upload a review saved on this device. A review changed elsewhere since
+ * it was last synced is merged like an entry (see mergeWithRemote).
+ * @param {string} id - Period id
+ * @returns {Promise<boolean>} False if it stays local: conflicts left for later, or locked
+ */
+async function syncReview(id) {
+    const cached = Storage.getReview(id);
+    if (!cached || cached.synced) return true;
+
+    const path = Reviews.getReviewPath(id);
+    let markdown = cached.markdown;
+    let sha = cached.sha;
+
+    try {
+        ({ sha } = await Backend.saveConfigFile(path, markdown, sha));
+    } catch (error) {
+        if (error.status !== 409 && error.status !== 422) throw error;
+
+        const remote = await Backend.getConfigFile(path);
+        if (remote) {
+            markdown = await mergeReview(id, cached, remote);
+            if (markdown === null) return false;
+
+            await Storage.saveReview(id, { markdown, sha: remote.sha, synced: false, base: remote.content });
+        }
+
+        ({ sha } = await Backend.saveConfigFile(path, markdown, remote ? remote.sha : null));
+    }
+
+    await Storage.markReviewSynced(id, sha);
+    reviewFiles.set(id, sha);
+    return true;
+}
+
+/**
+ * Merge a review's local changes with the version saved elsewhere
+ * @param {string} id - Period id
+ * @param {Object} cached - Local review record
+ * @param {{content: string, sha: string}} remote
+ * @returns {Promise<string|null>} Merged markdown (encrypted when encryption is on),
+ *   null if it needs an unlock or the conflicts were left for later
+ */
+async function mergeReview(id, cached, remote) {
+    if (Encryption.isEnabled() && !Encryption.isUnlocked()) {
+        return null;
+    }
+
+    const local = Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.markdown));
+    const theirs = Journal.fromMarkdown(await Encryption.decryptMarkdown(remote.content));
+    const base = cached.base
+        ? Journal.fromMarkdown(await Encryption.decryptMarkdown(cached.base))
+        : null;
+
+    let { merged, conflicts } = Merge.mergeEntries(base, local, theirs);
+
+    if (conflicts.length > 0) {
+        if (deferredConflicts.has(id)) {
+            return null;
+        }
+
+        const choices = await showConflictDialog(`The ${Reviews.getPeriodLabel(id)} review`, conflicts);
+        if (!choices) {
+            deferredConflicts.add(id);
+            return null;
+        }
+
+        merged = Merge.applyResolutions(merged, conflicts, choices);
+    } else {
+        UI.showToast(`Merged changes from another device into the ${Reviews.getPeriodLabel(id)} review`, UI.TOAST_TYPES.INFO);
+    }
+
+    const markdown = Journal.toMarkdown(merged);
+    return Encryption.isEnabled() ? Encryption.encryptMarkdown(markdown) : markdown;
+}
+
+/**
+ * Upload the reviews saved while offline. Failures leave them for the next sync.
+ * @returns {Promise<void>}
+ */
+async function syncPendingReviews() {
+    for (const id of Storage.getPendingReviews()) {
+        try {
+            await syncReview(id);
+        } catch (error) {
+            if (error.rateLimited) break;
+        }
+    }
+
+    if (currentView === 'timeline') {
+        renderReviewBar();
+    }
+}
+
+/**
+ * Suggest previously used tags for the tag being typed in the editor
+ */
+function renderTagSuggestions() {
+    const input = UI.$('#entry-tags');
+    const list = UI.$('#tag-suggestions');
+    if (!input || !list) return;
+
+    const parts = input.value.split(',');
+    const typed = Journal.normalizeTag(parts[parts.length - 1]);
+    const entered = Journal.normalizeTags(parts.slice(0, -1));
+
+    const matches = Index.getAllTags()
+        .filter(({ tag }) => !entered.includes(tag) && tag !== typed && tag.startsWith(typed))
+        .slice(0, 8);
+
+    list.innerHTML = '';
+    matches.forEach(({ tag, count }, i) => {
+        list.appendChild(UI.createElement('li', {
+            className: 'tag-suggestion',
+            role: 'option',
+            'aria-selected': String(i === 0),
+            dataset: { tag }
+        },
+            UI.createElement('span', {}, `#${tag}`),
+            UI.createElement('span', { className: 'tag-suggestion-count' }, String(count))
+        ));
+    });
+
+    UI.toggle(list, matches.length > 0);
+    input.setAttribute('aria-expanded', String(matches.length > 0));
+}
+
+/**
+ * Hide the editor's tag suggestions
+ */
+function hideTagSuggestions() {
+    UI.hide('#tag-suggestions');
+    UI.$('#entry-tags')?.setAttribute('aria-expanded', 'false');
+}
+
+/**
+ * Replace the tag being typed with a suggestion
+ * @param {string} tag 
+ */
+function pickTagSuggestion(tag) {
+    const input = UI.$('#entry-tags');
+    const parts = input.value.split(',').slice(0, -1).map(part => part.trim()).filter(Boolean);
+
+    input.value = [...parts, tag].join(', ') + ', ';
+    markDirty();
+    renderTagSuggestions();
+}
+
+/**
+ * Move through and pick tag suggestions from the keyboard
+ * @param {KeyboardEvent} e 
+ */
+function handleTagKeydown(e) {
+    const list = UI.$('#tag-suggestions');
+    if (!list || list.hidden) return;
+
+    const items = [...list.children];
+    const current = items.findIndex(item => item.getAttribute('aria-selected') === 'true');
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        const next = (current + (e.key === 'ArrowDown' ? 1 : items.length - 1)) % items.length;
+        items.forEach((item, i) => item.setAttribute('aria-selected', String(i === next)));
+    } else if ((e.key === 'Enter' || e.key === 'Tab') && current >= 0) {
+        e.preventDefault();
+        pickTagSuggestion(items[current].dataset.tag);
+    } else if (e.key === 'Escape') {
+        hideTagSuggestions();
+    }
+}
+
 /**
  * Render analytics view
  * @param {number} days 
@@ -850,6 +3629,173 @@ function renderAnalytics(days) {
 
     renderTrendsChart(days);
     renderDisciplineChart(days);
+    renderMetricStats(days);
+    renderTagComparison(days);
+    renderPriorityStats(days);
+    renderHabitGrid(days);
+
+    UI.toggle('#analytics-locked', Encryption.isEnabled() && !Encryption.isUnlocked());
+    decryptForStats();
+}
+
+/**
+ * Render the habit grid: one row per habit, one cell per day, with
+ * each habit's streaks and completion rate
+ * @param {number} days 
+ */
+function renderHabitGrid(days) {
+    const container = UI.$('#habit-grid');
+    if (!container) return;
+
+    const { dates, rows } = Analytics.getHabitGrid(Math.min(days, HABIT_GRID_DAYS));
+    const stats = new Map(Analytics.getHabitStats(days).map(stat => [stat.habit.key, stat]));
+
+    container.innerHTML = '';
+    container.style.setProperty('--habit-days', dates.length);
+
+    if (rows.length === 0) {
+        container.appendChild(UI.createElement('p', { className: 'timeline-empty' }, 'Add habits to a template to track them here.'));
+        return;
+    }
+
+    for (const { habit, cells } of rows) {
+        const { streak, longest, rate } = stats.get(habit.key);
+
+        container.appendChild(UI.createElement('div', { className: 'habit-row' },
+            UI.createElement('span', { className: 'habit-name', title: habit.title }, habit.label),
+            UI.createElement('div', { className: 'habit-cells' },
+                ...cells.map((done, i) => UI.createElement('span', {
+                    className: `habit-cell${done === true ? ' done' : done === false ? ' missed' : ''}`,
+                    title: `${Journal.formatDate(dates[i])}: ${done === null ? 'no entry' : done ? 'done' : 'not done'}`
+                }))
+            ),
+            UI.createElement('span', { className: 'habit-stat', title: `Longest streak: ${longest}` }, `🔥 ${streak}`),
+            UI.createElement('span', { className: 'habit-stat' }, `${rate}%`)
+        ));
+    }
+}
+
+/**
+ * Render priority completion and carry-over
+ * @param {number} days 
+ */
+function renderPriorityStats(days) {
+    const stats = Analytics.getPriorityStats(days);
+
+    UI.$('#priority-completion').textContent = `${stats.completionRate}%`;
+    UI.$('#priority-carry-rate').textContent = `${stats.carryOverRate}%`;
+    UI.$('#priority-dropped').textContent = stats.dropped.toString();
+    UI.$('#priority-total').textContent = stats.total.toString();
+
+    const list = UI.$('#priority-most-carried');
+    list.innerHTML = '';
+    for (const { text, times } of stats.mostCarried) {
+        list.appendChild(UI.createElement('li', {},
+            UI.createElement('label', {},
+                text,
+                UI.createElement('span', { className: 'carry-over-times' }, `carried ${times}×`)
+            )
+        ));
+    }
+}
+
+/**
+ * Render how a metric averages on days with each tag, against all days
+ * @param {number} days 
+ */
+function renderTagComparison(days) {
+    const select = UI.$('#tag-metric');
+    const list = UI.$('#tag-comparison');
+    if (!select || !list) return;
+
+    const metrics = Templates.getAllMetrics();
+    const selected = metrics.find(metric => metric.key === select.value) || metrics[0];
+
+    select.innerHTML = '';
+    for (const metric of metrics) {
+        select.appendChild(UI.createElement('option', { value: metric.key }, metric.label || metric.key));
+    }
+    select.value = selected ? selected.key : '';
+
+    list.innerHTML = '';
+    if (!selected) return;
+
+    const { overall, tags } = Analytics.getTagComparison(selected.key, days);
+    if (tags.length === 0) {
+        list.appendChild(UI.createElement('p', { className: 'timeline-empty' }, 'Tag entries to compare them here.'));
+        return;
+    }
+
+    const values = [overall, ...tags].map(row => row.average).filter(value => value !== null);
+    const low = Math.min(0, selected.min ?? 0, ...values);
+    const high = Math.max(selected.max ?? 0, ...values);
+
+    const row = (label, { count, average }, isOverall = false) => {
+        const delta = average - overall.average;
+        const shown = selected.type === 'boolean' ? `${Math.round(delta * 100)}%` : String(Math.round(delta * 10) / 10);
+        const width = high > low ? ((average - low) / (high - low)) * 100 : 0;
+
+        return UI.createElement('div', { className: 'tag-row', title: `${count} ${count === 1 ? 'entry' : 'entries'}` },
+            UI.createElement('span', {}, label),
+            UI.createElement('div', { className: 'tag-row-bar' },
+                UI.createElement('span', { style: `width: ${width.toFixed(1)}%` })
+            ),
+            UI.createElement('span', { className: 'tag-row-value' }, formatMetricValue(selected, average)),
+            isOverall
+                ? UI.createElement('span', { className: 'tag-row-delta' }, String(count))
+                : UI.createElement('span', { className: `tag-row-delta ${delta > 0 ? 'up' : delta < 0 ? 'down' : ''}` },
+                    `${delta > 0 ? '+' : ''}${shown}`)
+        );
+    };
+
+    list.appendChild(row('All entries', overall, true));
+    for (const tag of tags.slice(0, 12)) {
+        list.appendChild(row(`#${tag.tag}`, tag));
+    }
+}
+
+/**
+ * Format a metric average for display
+ * @param {Object} metric 
+ * @param {number} value 
+ * @returns {string}
+ */
+function formatMetricValue(metric, value) {
+    switch (metric.type) {
+        case 'boolean':
+            return `${Math.round(value * 100)}%`;
+        case 'duration':
+            return Journal.formatDuration(value);
+        case 'scale':
+            return `${value.toFixed(1)}/${metric.max}`;
+        default:
+            return `${Math.round(value * 100) / 100}${metric.unit ? ` ${metric.unit}` : ''}`;
+    }
+}
+
+/**
+ * Render the average of every tracked metric
+ * @param {number} days 
+ */
+function renderMetricStats(days) {
+    const list = UI.$('#metric-stats');
+    if (!list) return;
+
+    list.innerHTML = '';
+
+    for (const { metric, count, average, total } of Analytics.getMetricStats(days)) {
+        const detail = metric.type === 'boolean'
+            ? `${Math.round(total)} of ${count} days`
+            : metric.type === 'number' && count > 0
+                ? `total ${Math.round(total * 100) / 100}`
+                : `${count} ${count === 1 ? 'day' : 'days'}`;
+
+        list.appendChild(UI.createElement('div', { className: 'average-item' },
+            UI.createElement('span', { className: 'average-label' }, metric.label || metric.key),
+            UI.createElement('span', { className: 'metric-stat-detail' }, detail),
+            UI.createElement('span', { className: 'average-value' }, average === null ? '-' : formatMetricValue(metric, average))
+        ));
+    }
 }
 
 /**
@@ -861,7 +3807,9 @@ function renderTrendsChart(days) {
     if (!canvas) return;
 
     const ctx = canvas.getContext('2d');
-    const metrics = Analytics.getAllMetricsTrend(days);
+    // Scales share the chart; ones with another range are stretched onto 0-10
+    const scales = Templates.getAllMetrics().filter(metric => metric.type === 'scale');
+    const metrics = Analytics.getAllMetricsTrend(days, scales);
 
     const width = canvas.width;
     const height = canvas.height;
@@ -895,45 +3843,49 @@ function renderTrendsChart(days) {
         return;
     }
 
-    const colors = {
-        score: '#d4af37',
-        discipline: '#4a9eff',
-        focus: '#22c55e',
-        energy: '#f59e0b',
-        mood: '#a855f7'
-    };
-
     const stepX = chartWidth / Math.max(metrics.dates.length - 1, 1);
 
-    for (const [metric, color] of Object.entries(colors)) {
-        const data = metrics[metric];
+    scales.forEach((metric, n) => {
+        const color = CHART_COLORS[n % CHART_COLORS.length];
+        const range = metric.max - metric.min;
+        let drawing = false;
 
         ctx.strokeStyle = color;
         ctx.lineWidth = 2;
         ctx.beginPath();
 
-        data.forEach((value, i) => {
+        // Days without a value leave a gap in the line
+        metrics[metric.key].forEach((value, i) => {
+            if (value === null) {
+                drawing = false;
+                return;
+            }
+
             const x = padding + i * stepX;
-            const y = padding + chartHeight - (value / 10) * chartHeight;
+            const y = padding + chartHeight - ((value - metric.min) / range) * chartHeight;
 
-            if (i === 0) {
-                ctx.moveTo(x, y);
-            } else {
+            if (drawing) {
                 ctx.lineTo(x, y);
+            } else {
+                ctx.moveTo(x, y);
+                drawing = true;
             }
         });
 
         ctx.stroke();
-    }
+    });
 
-    const legendY = height - 15;
     const legendSpacing = 100;
-    const legendStart = (width - (Object.keys(colors).length * legendSpacing)) / 2;
+    const perRow = Math.max(1, Math.floor(width / legendSpacing));
+    const rows = Math.ceil(scales.length / perRow);
 
-    Object.entries(colors).forEach(([metric, color], i) => {
-        const x = legendStart + i * legendSpacing;
+    scales.forEach((metric, i) => {
+        const row = Math.floor(i / perRow);
+        const inRow = Math.min(perRow, scales.length - row * perRow);
+        const x = (width - inRow * legendSpacing) / 2 + (i % perRow) * legendSpacing;
+        const legendY = height - 15 - (rows - 1 - row) * 16;
 
-        ctx.fillStyle = color;
+        ctx.fillStyle = CHART_COLORS[i % CHART_COLORS.length];
         ctx.beginPath();
         ctx.arc(x, legendY, 5, 0, Math.PI * 2);
         ctx.fill();
@@ -941,7 +3893,7 @@ function renderTrendsChart(days) {
         ctx.fillStyle = '#a0a0b0';
         ctx.font = '11px Inter, sans-serif';
         ctx.textAlign = 'left';
-        ctx.fillText(metric.charAt(0).toUpperCase() + metric.slice(1), x + 10, legendY + 4);
+        ctx.fillText(metric.label || metric.key, x + 10, legendY + 4);
     });
 }
 
@@ -955,6 +3907,7 @@ function renderDisciplineChart(days) {
 
     const ctx = canvas.getContext('2d');
     const breakdown = Analytics.getDisciplineBreakdown(days);
+    const scales = Templates.getAllMetrics().filter(metric => metric.key in breakdown);
 
     const width = canvas.width;
     const height = canvas.height;
@@ -964,10 +3917,18 @@ function renderDisciplineChart(days) {
 
     ctx.clearRect(0, 0, width, height);
 
-    const metrics = ['discipline', 'focus', 'energy', 'mood'];
-    const colors = ['#4a9eff', '#22c55e', '#f59e0b', '#a855f7'];
+    const metrics = scales.map(metric => metric.key);
+    const colors = scales.map((_, i) => CHART_COLORS[(i + 1) % CHART_COLORS.length]);
     const angleStep = (Math.PI * 2) / metrics.length;
 
+    if (metrics.length === 0) {
+        ctx.fillStyle = '#6b7280';
+        ctx.font = '14px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText('No scales tracked', centerX, centerY);
+        return;
+    }
+
     for (let i = 1; i <= 5; i++) {
         const r = (radius * i) / 5;
         ctx.strokeStyle = '#2a2a3a';
@@ -994,9 +3955,9 @@ function renderDisciplineChart(days) {
     ctx.lineWidth = 2;
     ctx.beginPath();
 
-    metrics.forEach((metric, i) => {
-        const value = breakdown[metric] || 0;
-        const r = (radius * value) / 10;
+    scales.forEach((metric, i) => {
+        const value = breakdown[metric.key] || 0;
+        const r = (radius * Math.max(0, value - metric.min)) / (metric.max - metric.min);
         const angle = i * angleStep - Math.PI / 2;
         const x = centerX + Math.cos(angle) * r;
         const y = centerY + Math.sin(angle) * r;
@@ -1012,7 +3973,7 @@ function renderDisciplineChart(days) {
     ctx.fill();
     ctx.stroke();
 
-    metrics.forEach((metric, i) => {
+    scales.forEach((metric, i) => {
         const angle = i * angleStep - Math.PI / 2;
         const labelR = radius + 20;
         const x = centerX + Math.cos(angle) * labelR;
@@ -1022,9 +3983,9 @@ function renderDisciplineChart(days) {
         ctx.font = '12px Inter, sans-serif';
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
-        ctx.fillText(metric.charAt(0).toUpperCase() + metric.slice(1), x, y);
+        ctx.fillText(metric.label || metric.key, x, y);
 
-        const value = breakdown[metric] || 0;
+        const value = breakdown[metric.key] || 0;
         ctx.fillStyle = '#e8e8ed';
         ctx.font = 'bold 11px Inter, sans-serif';
         ctx.fillText(value.toFixed(1), x, y + 14);
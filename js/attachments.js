@@ -0,0 +1,238 @@
+/**
+ * Empire OS - Attachments Module
+ * Preparing images and files for an entry and linking them from its markdown
+ */
+
+import { getAssetLink, parseAssetLink } from './layout.js';
+import { encryptBlob } from './encryption.js';
+
+const MAX_IMAGE_DIMENSION = 1600;
+const IMAGE_QUALITY = 0.85;
+const MAX_IMAGE_BYTES = 1024 * 1024;
+const MAX_FILE_SIZE = 10 * 1024 * 1024;
+
+// Formats a canvas re-encodes without losing what makes them useful
+const RESIZABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+const LINK_PATTERN = /!?\[[^\]]*\]\(([^)\s]+)\)/g;
+
+// Encrypted attachments are stored as '<name>.enc' and linked as '...#key=<key>'
+const ENCRYPTED_SUFFIX = '.enc';
+const KEY_FRAGMENT = /#key=([A-Za-z0-9_-]+)$/;
+
+/**
+ * Check if a file is an image
+ * @param {{type: string}} file
+ * @returns {boolean}
+ */
+function isImage(file) {
+    return (file.type || '').startsWith('image/');
+}
+
+/**
+ * Turn a file name into a safe, unique attachment name
+ * @param {string} filename
+ * @param {string} [extension] - Replaces the original extension
+ * @returns {string} e.g. 'm1abcd-whiteboard.jpg'
+ */
+function createName(filename, extension) {
+    const dot = filename.lastIndexOf('.');
+    const base = dot > 0 ? filename.slice(0, dot) : filename;
+    const ext = extension || (dot > 0 ? filename.slice(dot + 1) : '');
+
+    const slug = base
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 40) || 'file';
+
+    const safeExt = ext.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return `${Date.now().toString(36)}-${slug}${safeExt ? `.${safeExt}` : ''}`;
+}
+
+/**
+ * Load an image file into an element that can be drawn
+ * @param {File} file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function loadImage(file) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(file);
+    }
+
+    const url = URL.createObjectURL(file);
+    try {
+        const img = new Image();
+        img.src = url;
+        await img.decode();
+        return img;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Scale an image down so its longest side fits MAX_IMAGE_DIMENSION
+ * (or re-compress it if it is too heavy anyway).
+ * PNGs stay PNG (screenshots, transparency); everything else becomes JPEG.
+ * @param {File} file
+ * @returns {Promise<{blob: Blob, type: string, extension: string}|null>} null if it is already small enough
+ */
+async function resizeImage(file) {
+    const image = await loadImage(file);
+    const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(image.width, image.height));
+
+    if (scale === 1 && file.size <= MAX_IMAGE_BYTES) {
+        return null;
+    }
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, type, IMAGE_QUALITY));
+
+    if (!blob) {
+        throw new Error(`Could not resize ${file.name}`);
+    }
+
+    return { blob, type, extension: type === 'image/png' ? 'png' : 'jpg' };
+}
+
+/**
+ * Resize an image if needed and name the file uniquely
+ * @param {File} file
+ * @returns {Promise<{name: string, type: string, blob: Blob}>}
+ */
+async function shrink(file) {
+    if (RESIZABLE_TYPES.includes(file.type)) {
+        const resized = await resizeImage(file);
+        if (resized) {
+            return {
+                name: createName(file.name, resized.extension),
+                type: resized.type,
+                blob: resized.blob
+            };
+        }
+    }
+
+    if (file.size > MAX_FILE_SIZE) {
+        const error = new Error(`${file.name} is larger than ${MAX_FILE_SIZE / 1024 / 1024} MB`);
+        error.status = 413;
+        throw error;
+    }
+
+    return {
+        name: createName(file.name),
+        type: file.type || 'application/octet-stream',
+        blob: file
+    };
+}
+
+/**
+ * Prepare a picked file for storage: resize images, name it uniquely and,
+ * for an encrypted journal, encrypt it. The blob is what gets cached and
+ * uploaded; `type` is the type of the file it decrypts to.
+ * @param {File} file
+ * @param {{encrypt?: boolean}} [options]
+ * @returns {Promise<{name: string, type: string, blob: Blob, key?: string}>}
+ */
+async function prepare(file, { encrypt = false } = {}) {
+    const attachment = await shrink(file);
+    if (!encrypt) return attachment;
+
+    const { blob, key } = await encryptBlob(attachment.blob);
+    return { ...attachment, name: attachment.name + ENCRYPTED_SUFFIX, blob, key };
+}
+
+/**
+ * Build the markdown that references an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {{name: string, type: string, key?: string}} attachment
+ * @param {string} label - Alt text / link text
+ * @param {{layout?: string}} options - Where entries live
+ * @returns {string}
+ */
+function toMarkdown(date, attachment, label, options) {
+    const text = (label || attachment.name).replace(/[[\]]/g, '');
+    const fragment = attachment.key ? `#key=${attachment.key}` : '';
+    const link = `[${text}](${getAssetLink(date, attachment.name, options)}${fragment})`;
+    return isImage(attachment) ? `!${link}` : link;
+}
+
+/**
+ * Find every attachment referenced from markdown
+ * @param {string} markdown
+ * @returns {Array<{date: string, name: string, key: string|null}>} key: for encrypted attachments
+ */
+function findLinks(markdown) {
+    const found = new Map();
+
+    for (const match of (markdown || '').matchAll(LINK_PATTERN)) {
+        const asset = parseAssetLink(match[1]);
+        if (asset) {
+            const key = match[1].match(KEY_FRAGMENT);
+            found.set(`${asset.date}/${asset.name}`, { ...asset, key: key ? key[1] : null });
+        }
+    }
+
+    return [...found.values()];
+}
+
+/**
+ * Get the name an encrypted attachment had before encryption
+ * @param {string} name - e.g. 'm1abcd-whiteboard.jpg.enc'
+ * @returns {string} e.g. 'm1abcd-whiteboard.jpg'
+ */
+function getPlainName(name) {
+    return name.endsWith(ENCRYPTED_SUFFIX) ? name.slice(0, -ENCRYPTED_SUFFIX.length) : name;
+}
+
+/**
+ * Guess a MIME type from an attachment name (of the decrypted file, for
+ * encrypted ones)
+ * @param {string} name
+ * @returns {string}
+ */
+function guessType(name) {
+    const plain = getPlainName(name);
+    const ext = plain.slice(plain.lastIndexOf('.') + 1).toLowerCase();
+    const types = {
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        png: 'image/png',
+        gif: 'image/gif',
+        webp: 'image/webp',
+        svg: 'image/svg+xml',
+        pdf: 'application/pdf',
+        txt: 'text/plain'
+    };
+    return types[ext] || 'application/octet-stream';
+}
+
+/**
+ * Encode a blob as base64 (for APIs that take file content as text)
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+async function blobToBase64(blob) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+export {
+    MAX_FILE_SIZE,
+    isImage,
+    prepare,
+    toMarkdown,
+    findLinks,
+    getPlainName,
+    guessType,
+    blobToBase64
+};
@@ -0,0 +1,447 @@
+/**
+ * Empire OS - Backend Module
+ * Sync backend interface and the active backend
+ *
+ * A backend is a module exporting:
+ *   ID, LABEL, SUPPORTS_BRANCHES
+ *   init(config)                     - {pat, repo, url, branch, basePath, layout}
+ *   getConfig(), getOptions(), getEntryPath(date, options)
+ *   validate(config)                 - Check (or ask for) access before setup is saved;
+ *                                      reports `private: false` for public repositories
+ *   listEntries()                    - [{date, sha}] newest first
+ *   getEntryFile(date)               - {content, sha} or null
+ *   saveEntry(date, markdown, sha)   - {sha}; throws status 409 when sha is stale
+ *   deleteEntry(date, sha)
+ *   saveAttachment(date, name, blob) - {sha}; stored under <basePath>/assets/<date>/
+ *   getAttachment(date, name)        - Blob or null
+ *   getConfigFile(path), saveConfigFile(path, content, sha), listConfigFiles(path)
+ *                                    - App files such as .empire/templates.json
+ *                                      and reviews/2025-W52.md
+ *   moveEntries(from, to)            - Number of entries moved, with their attachments, to a new location
+ *   isOnline()
+ * and optionally isReady(), reconnect() (asks again for access isReady
+ * found missing; needs a user gesture), saveEntries(entries, message)
+ * (one commit), createRepository(config)
+ * and the rate limit functions.
+ * `sha` is an opaque version token: a blob SHA for Git hosts, a
+ * modification stamp for local files.
+ */
+
+import * as GitHub from './github.js';
+import * as Gitea from './gitea.js';
+import * as LocalFolder from './local-folder.js';
+import { decryptMarkdown } from './encryption.js';
+
+const BACKENDS = {
+    [GitHub.ID]: GitHub,
+    [Gitea.ID]: Gitea,
+    [LocalFolder.ID]: LocalFolder
+};
+
+const DEFAULT_BACKEND = GitHub.ID;
+
+let _active = GitHub;
+
+/**
+ * Get a backend module by id
+ * @param {string} id
+ * @returns {Object}
+ */
+function getBackend(id) {
+    const backend = BACKENDS[id];
+    if (!backend) {
+        throw new Error(`Unknown backend: ${id}`);
+    }
+    return backend;
+}
+
+/**
+ * Check if a backend works in this browser
+ * @param {string} id
+ * @returns {boolean}
+ */
+function isSupported(id) {
+    const backend = getBackend(id);
+    return backend.isSupported ? backend.isSupported() : true;
+}
+
+/**
+ * Select the active backend
+ * @param {string} id - One of the BACKENDS keys
+ */
+function use(id) {
+    _active = getBackend(id || DEFAULT_BACKEND);
+}
+
+/**
+ * Get the active backend's id
+ * @returns {string}
+ */
+function getType() {
+    return _active.ID;
+}
+
+/**
+ * Get the active backend's display name
+ * @returns {string}
+ */
+function getLabel() {
+    return _active.LABEL;
+}
+
+/**
+ * Check if the active backend stores entries on branches
+ * @returns {boolean}
+ */
+function supportsBranches() {
+    return _active.SUPPORTS_BRANCHES;
+}
+
+/**
+ * Initialize the active backend
+ * @param {Object} config
+ */
+function init(config) {
+    _active.init(config);
+}
+
+/**
+ * Get the active backend's configuration
+ * @returns {Object}
+ */
+function getConfig() {
+    return _active.getConfig();
+}
+
+/**
+ * Get where entries live (branch, base folder, layout)
+ * @returns {{branch: string, basePath: string, layout: string}}
+ */
+function getOptions() {
+    return _active.getOptions();
+}
+
+/**
+ * Build the path of an entry file
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} [options]
+ * @returns {string}
+ */
+function getEntryPath(date, options) {
+    return _active.getEntryPath(date, options);
+}
+
+/**
+ * Validate a configuration with the backend it names
+ * @param {string} id - Backend id
+ * @param {Object} config
+ * @returns {Promise<{login: string|null, name: string}>} name is the journal's location
+ */
+function validate(id, config) {
+    return getBackend(id).validate(config);
+}
+
+/**
+ * Check if a backend can create a new journal repository during setup
+ * @param {string} id
+ * @returns {boolean}
+ */
+function canCreateRepository(id) {
+    return typeof getBackend(id).createRepository === 'function';
+}
+
+/**
+ * Create a new private journal repository with the backend it names
+ * @param {string} id - Backend id
+ * @param {Object} config - repo holds the new repository's name
+ * @returns {Promise<{login: string|null, name: string, private: boolean}>}
+ */
+function createRepository(id, config) {
+    if (!canCreateRepository(id)) {
+        return Promise.reject(new Error(`${getBackend(id).LABEL} cannot create repositories`));
+    }
+    return getBackend(id).createRepository(config);
+}
+
+/**
+ * Check if the backend can be used without asking the user again
+ * @returns {Promise<boolean>}
+ */
+async function isReady() {
+    return _active.isReady ? _active.isReady() : true;
+}
+
+/**
+ * Check if the active backend can ask again for access it lost
+ * @returns {boolean}
+ */
+function canReconnect() {
+    return typeof _active.reconnect === 'function';
+}
+
+/**
+ * Ask again for access to the active backend's storage. Call from a
+ * click handler: browsers only show the permission prompt during a user gesture.
+ * @returns {Promise<{login: string|null, name: string}>}
+ */
+function reconnect() {
+    return _active.reconnect();
+}
+
+/**
+ * Check if the backend is reachable
+ * @returns {boolean}
+ */
+function isOnline() {
+    return _active.isOnline();
+}
+
+/**
+ * List all journal entries with their version tokens
+ * @returns {Promise<Array<{date: string, sha: string}>>} Newest first
+ */
+function listEntries() {
+    return _active.listEntries();
+}
+
+/**
+ * Get journal entry file as stored (not decrypted)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+function getEntryFile(date) {
+    return _active.getEntryFile(date);
+}
+
+/**
+ * Download many entry files with bounded concurrency
+ * @param {string[]} dates
+ * @param {Function} onFile - Awaited with (date, file|null) as each download finishes
+ * @param {{concurrency?: number, signal?: AbortSignal}} options
+ * @returns {Promise<{done: number, failed: string[]}>}
+ */
+async function getEntryFiles(dates, onFile, { concurrency = 4, signal = null } = {}) {
+    const queue = [...dates];
+    const failed = [];
+    let done = 0;
+
+    const worker = async () => {
+        while (queue.length > 0 && !(signal && signal.aborted)) {
+            const date = queue.shift();
+            try {
+                await onFile(date, await getEntryFile(date));
+                done++;
+            } catch {
+                failed.push(date);
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, queue.length) }, worker);
+    await Promise.all(workers);
+
+    return { done, failed };
+}
+
+/**
+ * Get journal entry, decrypting it if needed
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{content: string, raw: string, sha: string}|null>}
+ */
+async function getEntry(date) {
+    const file = await getEntryFile(date);
+    if (!file) return null;
+
+    try {
+        return {
+            content: await decryptMarkdown(file.content),
+            raw: file.content,
+            sha: file.sha
+        };
+    } catch (error) {
+        error.raw = file.content;
+        throw error;
+    }
+}
+
+/**
+ * Save journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} markdown - Entry content
+ * @param {string} sha - Known version (for updates)
+ * @returns {Promise<{sha: string}>}
+ */
+function saveEntry(date, markdown, sha = null) {
+    return _active.saveEntry(date, markdown, sha);
+}
+
+/**
+ * Save several entries. Uses the backend's batch commit when it has one,
+ * otherwise saves one by one. Stale entries are reported as conflicts;
+ * on any other failure the entries saved so far are returned.
+ * @param {Array<{date: string, markdown: string, sha: string|null}>} entries
+ * @param {string} [message] - Commit message for backends that commit
+ * @returns {Promise<{synced: Object, conflicts: string[]}>} date -> version, and conflicting dates
+ */
+async function saveEntries(entries, message) {
+    if (_active.saveEntries) {
+        return _active.saveEntries(entries, message);
+    }
+
+    const synced = {};
+    const conflicts = [];
+
+    for (const entry of entries) {
+        try {
+            const result = await _active.saveEntry(entry.date, entry.markdown, entry.sha);
+            synced[entry.date] = result.sha;
+        } catch (error) {
+            if (error.status === 409) {
+                conflicts.push(entry.date);
+            } else if (Object.keys(synced).length === 0) {
+                throw error;
+            } else {
+                break;
+            }
+        }
+    }
+
+    return { synced, conflicts };
+}
+
+/**
+ * Delete journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} sha - Known version
+ * @returns {Promise<Object>}
+ */
+function deleteEntry(date, sha) {
+    return _active.deleteEntry(date, sha);
+}
+
+/**
+ * Upload an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @param {Blob} blob
+ * @returns {Promise<{sha: string|null}>}
+ */
+function saveAttachment(date, name, blob) {
+    return _active.saveAttachment(date, name, blob);
+}
+
+/**
+ * Download an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @returns {Promise<Blob|null>}
+ */
+function getAttachment(date, name) {
+    return _active.getAttachment(date, name);
+}
+
+/**
+ * Read an app file that is not an entry
+ * @param {string} path - e.g. '.empire/templates.json'
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+function getConfigFile(path) {
+    return _active.getConfigFile(path);
+}
+
+/**
+ * Write an app file that is not an entry
+ * @param {string} path
+ * @param {string} content
+ * @param {string|null} sha - Known version; throws status 409 when stale
+ * @returns {Promise<{sha: string}>}
+ */
+function saveConfigFile(path, content, sha = null) {
+    return _active.saveConfigFile(path, content, sha);
+}
+
+/**
+ * List the app files below a folder
+ * @param {string} path - e.g. 'reviews'
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+function listConfigFiles(path) {
+    return _active.listConfigFiles(path);
+}
+
+/**
+ * Move every entry and its attachments to a new branch, folder or layout
+ * @param {Object} from
+ * @param {Object} to
+ * @returns {Promise<number>}
+ */
+function moveEntries(from, to) {
+    return _active.moveEntries(from, to);
+}
+
+/**
+ * Get last known API quota, if the backend has one
+ * @returns {{limit: number|null, remaining: number|null, resetAt: number|null, pausedUntil: number}}
+ */
+function getRateLimit() {
+    return _active.getRateLimit
+        ? _active.getRateLimit()
+        : { limit: null, remaining: null, resetAt: null, pausedUntil: 0 };
+}
+
+/**
+ * Check if requests are paused until the quota resets
+ * @returns {boolean}
+ */
+function isRateLimited() {
+    return _active.isRateLimited ? _active.isRateLimited() : false;
+}
+
+/**
+ * Subscribe to quota changes of every backend that reports them
+ * @param {Function} listener
+ */
+function onRateLimitChange(listener) {
+    for (const backend of Object.values(BACKENDS)) {
+        if (backend.onRateLimitChange) {
+            backend.onRateLimitChange(listener);
+        }
+    }
+}
+
+export {
+    BACKENDS,
+    DEFAULT_BACKEND,
+    isSupported,
+    use,
+    getType,
+    getLabel,
+    supportsBranches,
+    init,
+    getConfig,
+    getOptions,
+    getEntryPath,
+    validate,
+    canCreateRepository,
+    createRepository,
+    isReady,
+    canReconnect,
+    reconnect,
+    isOnline,
+    listEntries,
+    getEntryFile,
+    getEntryFiles,
+    getEntry,
+    saveEntry,
+    saveEntries,
+    deleteEntry,
+    saveAttachment,
+    getAttachment,
+    getConfigFile,
+    saveConfigFile,
+    listConfigFiles,
+    moveEntries,
+    getRateLimit,
+    isRateLimited,
+    onRateLimitChange
+};
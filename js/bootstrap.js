@@ -0,0 +1,106 @@
+/**
+ * Empire OS - Bootstrap Module
+ * Files written into a newly created journal repository
+ */
+
+import { normalizeOptions, getEntryPath } from './layout.js';
+import { TEMPLATES_PATH } from './templates.js';
+
+const CONFIG_PATH = '.empire/config.json';
+const FORMAT_VERSION = 1;
+const COMMIT_MESSAGE = 'Set up Empire OS journal';
+const REPO_DESCRIPTION = 'Private Empire OS journal';
+
+/**
+ * Build the journal config stored in the repository
+ * @param {{basePath?: string, layout?: string}} options
+ * @returns {Object}
+ */
+function buildConfig(options) {
+    const { basePath, layout } = normalizeOptions(options);
+
+    return {
+        app: 'empire-os',
+        formatVersion: FORMAT_VERSION,
+        basePath,
+        layout,
+        createdAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Build the README describing the entry format
+ * @param {{basePath?: string, layout?: string}} options
+ * @returns {string}
+ */
+function buildReadme(options) {
+    const normalized = normalizeOptions(options);
+    const example = getEntryPath('2025-01-31', normalized);
+
+    return `# Empire OS Journal
+
+This private repository holds a daily journal written with Empire OS.
+
+## Format
+
+Every day is one Markdown file, e.g. \`${example}\`.
+Entries live under \`${normalized.basePath}/\`.
+
+Each file starts with YAML frontmatter holding the date and daily metrics,
+followed by one heading per journal section:
+
+\`\`\`markdown
+---
+schema: 3
+date: 2025-01-31
+template: empire@1
+tags: [travel]
+score: 8
+discipline: 9
+focus: 7
+energy: 8
+mood: 8
+net_worth_delta: 0
+---
+
+# 1. Identity & North Star
+...
+
+# 2. Top 1-3 Priorities
+...
+\`\`\`
+
+Entries can be encrypted with a passphrase in the app's settings; encrypted
+files keep the \`.md\` name but hold ciphertext.
+
+\`${CONFIG_PATH}\` records how this journal is laid out; \`${TEMPLATES_PATH}\`
+holds the section templates entries refer to by \`template: id@version\`.
+Weekly, monthly and yearly reviews live in \`reviews/\` (\`2025-W05.md\`,
+\`2025-01.md\`, \`2025.md\`).
+
+Keep this repository **private**.
+`;
+}
+
+/**
+ * Get the files a new journal repository starts with
+ * @param {{basePath?: string, layout?: string}} options
+ * @returns {Array<{path: string, content: string}>}
+ */
+function getBootstrapFiles(options = {}) {
+    const { basePath } = normalizeOptions(options);
+
+    return [
+        { path: `${basePath}/.gitkeep`, content: '' },
+        { path: 'README.md', content: buildReadme(options) },
+        { path: CONFIG_PATH, content: JSON.stringify(buildConfig(options), null, 2) + '\n' }
+    ];
+}
+
+export {
+    CONFIG_PATH,
+    FORMAT_VERSION,
+    COMMIT_MESSAGE,
+    REPO_DESCRIPTION,
+    getBootstrapFiles
+};
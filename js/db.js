@@ -0,0 +1,208 @@
+/**
+ * Empire OS - Database Module
+ * Promise wrapper around IndexedDB for per-entry records
+ */
+
+const DB_NAME = 'empire_os';
+const DB_VERSION = 6;
+
+const STORES = {
+    ENTRIES: 'entries',
+    HANDLES: 'handles',
+    TRASH: 'trash',
+    META: 'meta',
+    ATTACHMENTS: 'attachments',
+    REVIEWS: 'reviews'
+};
+
+let _db = null;
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} req
+ * @returns {Promise<*>}
+ */
+function promisify(req) {
+    return new Promise((resolve, reject) => {
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    });
+}
+
+/**
+ * Check if IndexedDB is available in this browser
+ * @returns {boolean}
+ */
+function isSupported() {
+    return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Open (and upgrade if needed) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+async function open() {
+    if (_db) return _db;
+
+    if (!isSupported()) {
+        throw new Error('IndexedDB is not supported');
+    }
+
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+
+    req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of Object.values(STORES)) {
+            if (!db.objectStoreNames.contains(name)) {
+                db.createObjectStore(name);
+            }
+        }
+    };
+
+    _db = await promisify(req);
+
+    _db.onversionchange = () => {
+        _db.close();
+        _db = null;
+    };
+
+    return _db;
+}
+
+/**
+ * Run a single request inside a transaction and wait for it to commit
+ * @param {string} storeName
+ * @param {IDBTransactionMode} mode
+ * @param {Function} fn - Receives the object store, returns an IDBRequest
+ * @returns {Promise<*>}
+ */
+async function run(storeName, mode, fn) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const req = fn(tx.objectStore(storeName));
+        let result;
+
+        req.onsuccess = () => {
+            result = req.result;
+        };
+
+        tx.oncomplete = () => resolve(result);
+        tx.onerror = () => reject(tx.error || req.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Get a record by key
+ * @param {string} storeName
+ * @param {string} key
+ * @returns {Promise<*>}
+ */
+function get(storeName, key) {
+    return run(storeName, 'readonly', store => store.get(key));
+}
+
+/**
+ * Get all records as a key -> value map
+ * @param {string} storeName
+ * @returns {Promise<Object>}
+ */
+async function getAll(storeName) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const req = tx.objectStore(storeName).openCursor();
+        const records = {};
+
+        req.onsuccess = () => {
+            const cursor = req.result;
+            if (cursor) {
+                records[cursor.key] = cursor.value;
+                cursor.continue();
+            }
+        };
+
+        tx.oncomplete = () => resolve(records);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all records whose key starts with a prefix
+ * @param {string} storeName
+ * @param {string} prefix
+ * @returns {Promise<Array<*>>}
+ */
+function getByPrefix(storeName, prefix) {
+    const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+    return run(storeName, 'readonly', store => store.getAll(range));
+}
+
+/**
+ * Put a record
+ * @param {string} storeName
+ * @param {string} key
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+async function put(storeName, key, value) {
+    await run(storeName, 'readwrite', store => store.put(value, key));
+}
+
+/**
+ * Put many records in a single transaction
+ * @param {string} storeName
+ * @param {Object} records - Map of key -> value
+ * @returns {Promise<void>}
+ */
+async function putMany(storeName, records) {
+    const db = await open();
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+
+        for (const [key, value] of Object.entries(records)) {
+            store.put(value, key);
+        }
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Delete a record
+ * @param {string} storeName
+ * @param {string} key
+ * @returns {Promise<void>}
+ */
+async function remove(storeName, key) {
+    await run(storeName, 'readwrite', store => store.delete(key));
+}
+
+/**
+ * Delete all records in a store
+ * @param {string} storeName
+ * @returns {Promise<void>}
+ */
+async function clear(storeName) {
+    await run(storeName, 'readwrite', store => store.clear());
+}
+
+export {
+    STORES,
+    isSupported,
+    open,
+    get,
+    getAll,
+    getByPrefix,
+    put,
+    putMany,
+    remove,
+    clear
+};
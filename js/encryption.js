@@ -0,0 +1,562 @@
+/**
+ * Empire OS - Encryption Module
+ * Passphrase-derived AES-GCM encryption of entry markdown (WebCrypto).
+ * Attachments are encrypted with a random key of their own, kept in the
+ * link of the (encrypted) entry, so changing the passphrase never needs
+ * to rewrite them.
+ */
+
+import { getAllMetrics } from './templates.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const KDF = 'pbkdf2-sha256';
+const DEFAULT_ITERATIONS = 310000;
+const VERIFIER_TEXT = 'empire-os';
+const LINE_WIDTH = 76;
+
+// Prefix of encrypted attachment bytes, followed by the IV and ciphertext
+const BLOB_MAGIC = new TextEncoder().encode('EMPIRE-ENC1\n');
+const IV_LENGTH = 12;
+
+const HEADER_KEYS = ['encryption', 'kdf', 'iterations', 'salt', 'iv'];
+const CLEAR_KEYS = ['schema', 'date'];
+
+let _passphrase = null;
+let _previousPassphrase = null;
+let _config = null;
+const _keys = new Map();
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binary += String.fromCharCode(bytes[i]);
+    }
+    return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Encode bytes as URL-safe base64 without padding (for link fragments)
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode URL-safe base64
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return base64ToBytes(base64 + '='.repeat((4 - base64.length % 4) % 4));
+}
+
+/**
+ * Generate a random salt for key derivation
+ * @returns {string} Base64 salt
+ */
+function generateSalt() {
+    return bytesToBase64(crypto.getRandomValues(new Uint8Array(16)));
+}
+
+/**
+ * Set active encryption config
+ * @param {{salt: string, iterations: number, clearMetrics: boolean}|null} config
+ */
+function configure(config) {
+    _config = config ? { iterations: DEFAULT_ITERATIONS, ...config } : null;
+}
+
+/**
+ * Get active encryption config
+ * @returns {Object|null}
+ */
+function getConfig() {
+    return _config ? { ..._config } : null;
+}
+
+/**
+ * Check if encryption is enabled
+ * @returns {boolean}
+ */
+function isEnabled() {
+    return !!_config;
+}
+
+/**
+ * Check if a passphrase is held for this session
+ * @returns {boolean}
+ */
+function isUnlocked() {
+    return _passphrase !== null;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64ToBytes(salt), iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Get (and cache) the key for a salt, using the session passphrase
+ * unless another one is given
+ * @param {string} salt
+ * @param {number} iterations
+ * @param {string} [passphrase] - e.g. the previous passphrase during a change
+ * @returns {Promise<CryptoKey>}
+ */
+async function getKey(salt, iterations, passphrase = _passphrase) {
+    if (!isUnlocked()) {
+        const error = new Error('Journal is locked');
+        error.code = 'LOCKED';
+        throw error;
+    }
+
+    const cacheKey = `${passphrase}\n${salt}:${iterations}`;
+    if (!_keys.has(cacheKey)) {
+        _keys.set(cacheKey, await deriveKey(passphrase, salt, iterations));
+    }
+    return _keys.get(cacheKey);
+}
+
+/**
+ * Encrypt a string with a key
+ * @param {CryptoKey} key
+ * @param {string} text
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const cipher = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(text)
+    );
+
+    return {
+        iv: bytesToBase64(iv),
+        data: bytesToBase64(new Uint8Array(cipher))
+    };
+}
+
+/**
+ * Decrypt a string with a key
+ * @param {CryptoKey} key
+ * @param {string} iv - Base64 IV
+ * @param {string} data - Base64 ciphertext
+ * @returns {Promise<string>}
+ */
+async function decryptText(key, iv, data) {
+    try {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(iv) },
+            key,
+            base64ToBytes(data)
+        );
+        return new TextDecoder().decode(plain);
+    } catch {
+        const error = new Error('Wrong passphrase or corrupted entry');
+        error.code = 'DECRYPT_FAILED';
+        throw error;
+    }
+}
+
+/**
+ * Create a verifier for the active config, used to check a passphrase later
+ * @param {string} passphrase
+ * @param {{salt: string, iterations: number}} config
+ * @returns {Promise<{iv: string, data: string}>}
+ */
+async function createVerifier(passphrase, config) {
+    const key = await deriveKey(passphrase, config.salt, config.iterations || DEFAULT_ITERATIONS);
+    return encryptText(key, VERIFIER_TEXT);
+}
+
+/**
+ * Check a passphrase against a config's verifier, if it has one
+ * @param {string} passphrase
+ * @param {{salt: string, iterations?: number, verifier?: {iv: string, data: string}}} config
+ * @returns {Promise<void>}
+ */
+async function checkPassphrase(passphrase, config) {
+    if (!config || !config.verifier) return;
+
+    const key = await deriveKey(passphrase, config.salt, config.iterations || DEFAULT_ITERATIONS);
+    const text = await decryptText(key, config.verifier.iv, config.verifier.data);
+    if (text !== VERIFIER_TEXT) {
+        throw new Error('Wrong passphrase');
+    }
+}
+
+/**
+ * Hold a passphrase for this session, checking it against the verifier if one is set.
+ * While a passphrase change is unfinished, the old passphrase is needed too
+ * for the entries not re-encrypted yet.
+ * @param {string} passphrase
+ * @param {string|null} [previousPassphrase] - Checked against the previous config's verifier
+ * @returns {Promise<void>}
+ */
+async function unlock(passphrase, previousPassphrase = null) {
+    await checkPassphrase(passphrase, _config);
+
+    if (previousPassphrase && _config && _config.previous) {
+        try {
+            await checkPassphrase(previousPassphrase, _config.previous);
+        } catch {
+            throw new Error('Old passphrase is wrong');
+        }
+    }
+
+    _passphrase = passphrase;
+    if (previousPassphrase) {
+        _previousPassphrase = previousPassphrase;
+    }
+    _keys.clear();
+}
+
+/**
+ * Switch to a new passphrase and config. The config should stay marked
+ * as rotating (with the previous config) until every entry is
+ * re-encrypted; the previous passphrase is kept for this session so
+ * entries not yet re-encrypted can still be read.
+ * @param {string} passphrase - New passphrase
+ * @param {Object} config - New config
+ * @param {string} [previousPassphrase] - Defaults to the current passphrase
+ */
+function rotate(passphrase, config, previousPassphrase) {
+    _previousPassphrase = previousPassphrase || _passphrase;
+    _passphrase = passphrase;
+    configure(config);
+    _keys.clear();
+}
+
+/**
+ * Check if a passphrase change has not re-encrypted every entry yet
+ * @returns {boolean}
+ */
+function isRotating() {
+    return !!(_config && _config.rotating);
+}
+
+/**
+ * Check if entries may still be encrypted with an old passphrase that
+ * this session does not hold
+ * @returns {boolean}
+ */
+function needsPreviousPassphrase() {
+    return !!(_config && _config.previous) && _previousPassphrase === null;
+}
+
+/**
+ * Mark the passphrase change as done: the previous config is dropped
+ * @returns {Object} The config to store
+ */
+function finishRotation() {
+    const { rotating, previous, ...config } = _config;
+    configure(config);
+    _previousPassphrase = null;
+    return getConfig();
+}
+
+/**
+ * Switch to a config changed on another device (encryption enabled or
+ * the passphrase changed there). The session passphrase is kept if it
+ * still matches; if it is the one being replaced, it is kept as the
+ * previous passphrase and the new one has to be entered.
+ * @param {Object} config
+ * @returns {Promise<boolean>} True if the journal is still unlocked
+ */
+async function adoptConfig(config) {
+    const passphrase = _passphrase;
+    const previousPassphrase = _previousPassphrase;
+    lock();
+    configure(config);
+
+    if (passphrase === null) return false;
+
+    try {
+        await checkPassphrase(passphrase, _config);
+        _passphrase = passphrase;
+        if (_config.previous) {
+            _previousPassphrase = previousPassphrase;
+        }
+        return true;
+    } catch {
+    }
+
+    if (_config.previous) {
+        try {
+            await checkPassphrase(passphrase, _config.previous);
+            _previousPassphrase = passphrase;
+        } catch {
+        }
+    }
+    return false;
+}
+
+/**
+ * Forget the session passphrase and derived keys
+ */
+function lock() {
+    _passphrase = null;
+    _previousPassphrase = null;
+    _keys.clear();
+}
+
+/**
+ * Split markdown into raw frontmatter lines and body
+ * @param {string} markdown
+ * @returns {{lines: string[], body: string}}
+ */
+function splitFrontmatter(markdown) {
+    const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+    if (!match) {
+        return { lines: [], body: markdown };
+    }
+    return { lines: match[1].split(/\r?\n/), body: match[2] };
+}
+
+/**
+ * Read encryption headers from frontmatter lines
+ * @param {string[]} lines
+ * @returns {Object}
+ */
+function readHeaders(lines) {
+    const headers = {};
+    for (const line of lines) {
+        const colonIndex = line.indexOf(':');
+        if (colonIndex > 0) {
+            const key = line.slice(0, colonIndex).trim();
+            if (HEADER_KEYS.includes(key)) {
+                headers[key] = line.slice(colonIndex + 1).trim();
+            }
+        }
+    }
+    return headers;
+}
+
+/**
+ * Check if markdown is an encrypted entry
+ * @param {string} markdown
+ * @returns {boolean}
+ */
+function isEncrypted(markdown) {
+    if (!markdown) return false;
+    const { lines } = splitFrontmatter(markdown);
+    return readHeaders(lines).encryption === ALGORITHM;
+}
+
+/**
+ * Check if an encrypted entry keeps metrics, tags or habits in its clear
+ * frontmatter, i.e. whether the journal was encrypted with clearMetrics
+ * @param {string} markdown
+ * @returns {boolean}
+ */
+function hasClearMetrics(markdown) {
+    return splitFrontmatter(markdown).lines.some(line => {
+        if (/^[\s-]/.test(line) || line.indexOf(':') <= 0) return false;
+        const key = line.slice(0, line.indexOf(':')).trim();
+        return !CLEAR_KEYS.includes(key) && !HEADER_KEYS.includes(key);
+    });
+}
+
+/**
+ * Check if markdown is encrypted with the active config's key
+ * (already re-encrypted after a passphrase change)
+ * @param {string} markdown
+ * @returns {boolean}
+ */
+function usesActiveKey(markdown) {
+    if (!_config || !isEncrypted(markdown)) return false;
+    return readHeaders(splitFrontmatter(markdown).lines).salt === _config.salt;
+}
+
+/**
+ * Encrypt entry markdown with the active config.
+ * The whole plaintext is encrypted; schema and date (and the metrics,
+ * tags and habits, when clearMetrics is set) are copied into a clear
+ * frontmatter.
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function encryptMarkdown(markdown) {
+    if (!_config) {
+        throw new Error('Encryption is not configured');
+    }
+    if (isEncrypted(markdown)) {
+        return markdown;
+    }
+
+    const key = await getKey(_config.salt, _config.iterations);
+    const { iv, data } = await encryptText(key, markdown);
+
+    const { lines } = splitFrontmatter(markdown);
+    const metricKeys = ['tags', 'habits', ...getAllMetrics().map(metric => metric.key)];
+    let keep = false;
+    const clear = lines.filter(line => {
+        // Indented and list lines continue the key above them
+        if (/^[\s-]/.test(line)) return keep;
+
+        const key = line.slice(0, line.indexOf(':')).trim();
+        keep = CLEAR_KEYS.includes(key) || (_config.clearMetrics && metricKeys.includes(key));
+        return keep;
+    });
+
+    const out = ['---', ...clear];
+    out.push(`encryption: ${ALGORITHM}`);
+    out.push(`kdf: ${KDF}`);
+    out.push(`iterations: ${_config.iterations}`);
+    out.push(`salt: ${_config.salt}`);
+    out.push(`iv: ${iv}`);
+    out.push('---');
+
+    for (let i = 0; i < data.length; i += LINE_WIDTH) {
+        out.push(data.slice(i, i + LINE_WIDTH));
+    }
+
+    return out.join('\n');
+}
+
+/**
+ * Decrypt entry markdown. Plaintext markdown is returned unchanged.
+ * @param {string} markdown
+ * @returns {Promise<string>}
+ */
+async function decryptMarkdown(markdown) {
+    if (!isEncrypted(markdown)) {
+        return markdown;
+    }
+
+    const { lines, body } = splitFrontmatter(markdown);
+    const headers = readHeaders(lines);
+    const iterations = Number(headers.iterations);
+    const key = await getKey(headers.salt, iterations);
+
+    try {
+        return await decryptText(key, headers.iv, body);
+    } catch (error) {
+        if (!_previousPassphrase) throw error;
+        const previous = await getKey(headers.salt, iterations, _previousPassphrase);
+        return decryptText(previous, headers.iv, body);
+    }
+}
+
+/**
+ * Check if attachment bytes are encrypted
+ * @param {Blob} blob
+ * @returns {Promise<boolean>}
+ */
+async function isEncryptedBlob(blob) {
+    const head = new Uint8Array(await blob.slice(0, BLOB_MAGIC.length).arrayBuffer());
+    return head.length === BLOB_MAGIC.length && head.every((byte, i) => byte === BLOB_MAGIC[i]);
+}
+
+/**
+ * Encrypt attachment bytes with a new random key. Needs no passphrase:
+ * the key is stored in the entry's link to the attachment.
+ * @param {Blob} blob
+ * @returns {Promise<{blob: Blob, key: string}>} key: URL-safe base64
+ */
+async function encryptBlob(blob) {
+    const raw = crypto.getRandomValues(new Uint8Array(32));
+    const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt']);
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+
+    return {
+        blob: new Blob([BLOB_MAGIC, iv, cipher], { type: 'application/octet-stream' }),
+        key: bytesToBase64Url(raw)
+    };
+}
+
+/**
+ * Decrypt attachment bytes. Bytes that are not encrypted are returned unchanged.
+ * @param {Blob} blob
+ * @param {string} key - From the entry's link
+ * @param {string} [type] - MIME type of the decrypted file
+ * @returns {Promise<Blob>}
+ */
+async function decryptBlob(blob, key, type = '') {
+    if (!(await isEncryptedBlob(blob))) {
+        return blob;
+    }
+
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const iv = bytes.subarray(BLOB_MAGIC.length, BLOB_MAGIC.length + IV_LENGTH);
+
+    try {
+        const cryptoKey = await crypto.subtle.importKey('raw', base64UrlToBytes(key || ''), 'AES-GCM', false, ['decrypt']);
+        const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, cryptoKey, bytes.subarray(BLOB_MAGIC.length + IV_LENGTH));
+        return new Blob([plain], { type });
+    } catch {
+        const error = new Error('Attachment key is missing or wrong');
+        error.code = 'DECRYPT_FAILED';
+        throw error;
+    }
+}
+
+export {
+    ALGORITHM,
+    DEFAULT_ITERATIONS,
+    generateSalt,
+    configure,
+    getConfig,
+    isEnabled,
+    isUnlocked,
+    createVerifier,
+    unlock,
+    rotate,
+    isRotating,
+    needsPreviousPassphrase,
+    finishRotation,
+    adoptConfig,
+    lock,
+    isEncrypted,
+    hasClearMetrics,
+    usesActiveKey,
+    encryptMarkdown,
+    decryptMarkdown,
+    isEncryptedBlob,
+    encryptBlob,
+    decryptBlob
+};
@@ -1,10 +1,14 @@
 /**
  * Empire OS - Export Module
- * Export entries as ZIP or JSON
+ * Export entries (and, in ZIPs, attachments and reviews) as ZIP or JSON
  */
 
 import * as Storage from './storage.js';
 import * as Index from './index.js';
+import * as Backend from './backend.js';
+import * as Attachments from './attachments.js';
+import { decryptMarkdown, decryptBlob } from './encryption.js';
+import { REVIEWS_PATH, getReviewPath, parseReviewPath } from './reviews.js';
 
 /**
  * Download file to user's computer
@@ -60,7 +64,101 @@ async function exportAsJSON() {
 }
 
 /**
- * Create ZIP file from entries (using browser APIs)
+ * Gather attachments for the backup: everything stored on this device,
+ * plus (when online) files linked from readable entries but never downloaded.
+ * Encrypted attachments are decrypted with the key in their entry's link
+ * when the entry can be read (unlocked); the others stay as stored.
+ * @param {Object} entries - date -> entry record
+ * @param {string[]} dates
+ * @returns {Promise<Map<string, Blob>>} 'date/name' -> file
+ */
+async function collectAttachments(entries, dates) {
+    const files = new Map();
+    const links = new Map();
+
+    for (const attachment of await Storage.getAttachments()) {
+        files.set(`${attachment.date}/${attachment.name}`, attachment);
+    }
+
+    for (const date of dates) {
+        const markdown = entries[date]?.markdown;
+        if (!markdown) continue;
+
+        let plain;
+        try {
+            plain = await decryptMarkdown(markdown);
+        } catch {
+            continue;
+        }
+
+        for (const link of Attachments.findLinks(plain)) {
+            links.set(`${link.date}/${link.name}`, link);
+        }
+    }
+
+    if (Backend.isOnline()) {
+        for (const [id, { date, name }] of links) {
+            if (files.has(id)) continue;
+            try {
+                const blob = await Backend.getAttachment(date, name);
+                if (blob) {
+                    files.set(id, { date, name, type: Attachments.guessType(name), blob });
+                }
+            } catch {
+            }
+        }
+    }
+
+    const result = new Map();
+    for (const [id, file] of files) {
+        const key = links.get(id)?.key;
+        if (!key) {
+            result.set(id, file.blob);
+            continue;
+        }
+
+        try {
+            result.set(`${file.date}/${Attachments.getPlainName(file.name)}`, await decryptBlob(file.blob, key, file.type));
+        } catch {
+            result.set(id, file.blob);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Gather reviews for the backup: the ones cached on this device, plus
+ * (when online) those in the repository never opened here
+ * @returns {Promise<Map<string, string>>} period id -> markdown as stored
+ */
+async function collectReviews() {
+    const reviews = new Map();
+
+    for (const [id, review] of Object.entries(Storage.getReviews())) {
+        reviews.set(id, review.markdown);
+    }
+
+    if (Backend.isOnline()) {
+        try {
+            for (const file of await Backend.listConfigFiles(REVIEWS_PATH)) {
+                const id = parseReviewPath(file.path);
+                if (!id || reviews.has(id)) continue;
+
+                const remote = await Backend.getConfigFile(file.path);
+                if (remote) {
+                    reviews.set(id, remote.content);
+                }
+            }
+        } catch {
+        }
+    }
+
+    return reviews;
+}
+
+/**
+ * Create ZIP file from entries, their attachments and reviews (using browser APIs)
  * Simple ZIP implementation without external libraries
  * @returns {Promise<Blob>}
  */
@@ -80,6 +178,20 @@ async function createZipBlob() {
         }
     }
 
+    for (const [key, blob] of await collectAttachments(entries, index)) {
+        files.push({
+            name: `entries/assets/${key}`,
+            content: new Uint8Array(await blob.arrayBuffer())
+        });
+    }
+
+    for (const [id, markdown] of await collectReviews()) {
+        files.push({
+            name: getReviewPath(id),
+            content: markdown
+        });
+    }
+
     const textEncoder = new TextEncoder();
     const zip = [];
     const centralDirectory = [];
@@ -87,7 +199,9 @@ async function createZipBlob() {
 
     for (const file of files) {
         const nameBytes = textEncoder.encode(file.name);
-        const contentBytes = textEncoder.encode(file.content);
+        const contentBytes = typeof file.content === 'string'
+            ? textEncoder.encode(file.content)
+            : file.content;
 
         const localHeader = new Uint8Array(30 + nameBytes.length);
         const view = new DataView(localHeader.buffer);
@@ -211,7 +325,7 @@ async function importFromJSON(file) {
             continue;
         }
 
-        Storage.saveEntry(date, {
+        await Storage.saveEntry(date, {
             markdown: entry.markdown,
             sha: entry.sha || null,
             synced: false
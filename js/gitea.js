@@ -0,0 +1,829 @@
+/**
+ * Empire OS - Gitea Module
+ * Gitea / Forgejo REST API backend for self-hosted repositories
+ */
+
+import { COMMIT_MESSAGE, REPO_DESCRIPTION, getBootstrapFiles } from './bootstrap.js';
+import { blobToBase64 } from './attachments.js';
+import { DEFAULT_OPTIONS, normalizeOptions, getEntryPath as buildEntryPath, parseEntryPath, getAssetPath, parseAssetPath, relinkAssets } from './layout.js';
+
+const ID = 'gitea';
+const LABEL = 'Gitea / Forgejo';
+const SUPPORTS_BRANCHES = true;
+const TREE_PAGE_SIZE = 1000;
+
+let _url = null;
+let _pat = null;
+let _repo = null;
+let _branch = null;
+let _options = null;
+const _paths = new Map();
+
+/**
+ * Strip trailing slashes and an /api/v1 suffix from a server URL
+ * @param {string} url
+ * @returns {string}
+ */
+function normalizeUrl(url) {
+    return (url || '').trim().replace(/\/+$/, '').replace(/\/api\/v1$/, '');
+}
+
+/**
+ * Initialize Gitea module with server and credentials
+ * @param {{url: string, pat: string, repo: string, branch?: string, basePath?: string, layout?: string}} config
+ *   Server URL, access token, repository (owner/repo) and where entries live
+ */
+function init(config) {
+    _url = normalizeUrl(config.url);
+    _pat = config.pat;
+    _repo = config.repo;
+    _branch = null;
+    _options = normalizeOptions(config);
+    _paths.clear();
+}
+
+/**
+ * Get current configuration
+ * @returns {{url: string, pat: string, repo: string, branch: string, basePath: string, layout: string}}
+ */
+function getConfig() {
+    return { url: _url, pat: _pat, repo: _repo, ...getOptions() };
+}
+
+/**
+ * Get repository options (branch, base folder, layout)
+ * @returns {{branch: string, basePath: string, layout: string}}
+ */
+function getOptions() {
+    return { ...(_options || DEFAULT_OPTIONS) };
+}
+
+/**
+ * Build the path of an entry file
+ * @param {string} date - YYYY-MM-DD
+ * @param {{basePath: string, layout: string}} options - Defaults to the active options
+ * @returns {string}
+ */
+function getEntryPath(date, options = getOptions()) {
+    return buildEntryPath(date, options);
+}
+
+/**
+ * Get the path an entry is stored at, preferring the last listing
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function entryPath(date) {
+    return _paths.get(date) || getEntryPath(date);
+}
+
+/**
+ * Encode text as base64 (UTF-8 safe)
+ * @param {string} content
+ * @returns {string}
+ */
+function encodeContent(content) {
+    return btoa(unescape(encodeURIComponent(content)));
+}
+
+/**
+ * Decode base64 content (UTF-8 safe)
+ * @param {string} content
+ * @returns {string}
+ */
+function decodeContent(content) {
+    return decodeURIComponent(escape(atob(content.replace(/\n/g, ''))));
+}
+
+/**
+ * Make authenticated request to the Gitea API
+ * @param {string} endpoint - Path below /api/v1
+ * @param {Object} options
+ * @param {{url: string, pat: string}} [credentials] - Defaults to the stored ones
+ * @returns {Promise<Response>}
+ */
+async function request(endpoint, options = {}, credentials = { url: _url, pat: _pat }) {
+    const headers = {
+        'Authorization': `token ${credentials.pat}`,
+        'Accept': 'application/json',
+        ...options.headers
+    };
+
+    if (options.body && typeof options.body === 'object') {
+        headers['Content-Type'] = 'application/json';
+        options.body = JSON.stringify(options.body);
+    }
+
+    return fetch(`${normalizeUrl(credentials.url)}/api/v1${endpoint}`, { ...options, headers });
+}
+
+/**
+ * Make a request and parse the JSON response
+ * @param {string} endpoint
+ * @param {Object} options
+ * @param {string} failMessage
+ * @returns {Promise<Object>}
+ */
+async function apiRequest(endpoint, options, failMessage) {
+    const response = await request(endpoint, options);
+
+    if (!response.ok) {
+        const error = new Error(failMessage);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Retry request with exponential backoff
+ * @param {Function} fn - Async function to retry
+ * @param {number} maxRetries
+ * @returns {Promise<*>}
+ */
+async function withRetry(fn, maxRetries = 3) {
+    let lastError;
+
+    for (let i = 0; i < maxRetries; i++) {
+        try {
+            return await fn();
+        } catch (error) {
+            lastError = error;
+
+            if (error.status >= 400 && error.status < 500) {
+                throw error;
+            }
+
+            const delay = Math.pow(2, i) * 1000;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    throw lastError;
+}
+
+/**
+ * Check the server is reachable and the token belongs to a user
+ * @param {{url: string, pat: string}} credentials
+ * @returns {Promise<{login: string}>}
+ */
+async function validateUser(credentials) {
+    if (!normalizeUrl(credentials.url)) {
+        throw new Error('Server URL is required');
+    }
+
+    let user;
+    try {
+        user = await request('/user', {}, credentials);
+    } catch {
+        throw new Error('Server unreachable - check the URL and that it allows this origin (CORS)');
+    }
+
+    if (!user.ok) {
+        const error = new Error('Invalid token');
+        error.status = user.status;
+        throw error;
+    }
+
+    return user.json();
+}
+
+/**
+ * Validate a configuration before it is stored
+ * @param {{url: string, pat: string, repo: string}} config
+ * @returns {Promise<{login: string, name: string, private: boolean}>}
+ */
+async function validate(config) {
+    const credentials = { url: config.url, pat: config.pat };
+    const { login } = await validateUser(credentials);
+
+    const response = await request(`/repos/${config.repo}`, {}, credentials);
+
+    if (!response.ok) {
+        const error = new Error('Repository not found or inaccessible');
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    if (data.permissions && !data.permissions.push) {
+        throw new Error('You do not have write access to this repository');
+    }
+
+    return { login, name: config.repo, private: data.private };
+}
+
+/**
+ * Create a private journal repository for the token's user and commit
+ * the starter files
+ * @param {{url: string, pat: string, repo: string, basePath?: string, layout?: string}} config - repo is the new name
+ * @returns {Promise<{login: string, name: string, private: boolean}>}
+ */
+async function createRepository(config) {
+    const credentials = { url: config.url, pat: config.pat };
+    const { login } = await validateUser(credentials);
+
+    const response = await request('/user/repos', {
+        method: 'POST',
+        body: {
+            name: config.repo,
+            description: REPO_DESCRIPTION,
+            private: true,
+            auto_init: false
+        }
+    }, credentials);
+
+    if (!response.ok) {
+        const error = new Error(response.status === 409
+            ? 'A repository with that name already exists'
+            : 'Token cannot create repositories');
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    const files = getBootstrapFiles(config).map(file => ({
+        operation: 'create',
+        path: file.path,
+        content: encodeContent(file.content)
+    }));
+
+    const commit = await request(`/repos/${data.full_name}/contents`, {
+        method: 'POST',
+        body: { files, message: COMMIT_MESSAGE }
+    }, credentials);
+
+    if (!commit.ok) {
+        const error = new Error('Repository created, but writing the starter files failed');
+        error.status = commit.status;
+        throw error;
+    }
+
+    return { login, name: data.full_name, private: data.private };
+}
+
+/**
+ * Get the repository's default branch
+ * @returns {Promise<string>}
+ */
+async function getDefaultBranch() {
+    if (_branch) return _branch;
+
+    const data = await apiRequest(`/repos/${_repo}`, {}, 'Failed to get repository');
+    _branch = data.default_branch;
+    return _branch;
+}
+
+/**
+ * Get the branch entries are committed to: the configured one, or the default branch
+ * @returns {Promise<string>}
+ */
+async function getBranch() {
+    return getOptions().branch || getDefaultBranch();
+}
+
+/**
+ * Check if a branch exists
+ * @param {string} branch
+ * @returns {Promise<boolean>}
+ */
+async function branchExists(branch) {
+    const response = await request(`/repos/${_repo}/branches/${encodeURIComponent(branch)}`);
+
+    if (response.status === 404) {
+        return false;
+    }
+
+    if (!response.ok) {
+        const error = new Error('Failed to get branch');
+        error.status = response.status;
+        throw error;
+    }
+
+    return true;
+}
+
+/**
+ * Create a branch from another branch
+ * @param {string} branch - New branch name
+ * @param {string} from - Existing branch
+ * @returns {Promise<Object>}
+ */
+async function createBranch(branch, from) {
+    return apiRequest(`/repos/${_repo}/branches`, {
+        method: 'POST',
+        body: { new_branch_name: branch, old_branch_name: from }
+    }, 'Failed to create branch');
+}
+
+/**
+ * Get file content from repository
+ * @param {string} path - File path in repo
+ * @param {string} [branch] - Defaults to the configured branch
+ * @param {string} encoding - 'utf-8' for text, 'base64' to keep the content encoded
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getFile(path, branch = getOptions().branch, encoding = 'utf-8') {
+    const query = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+    const response = await request(`/repos/${_repo}/contents/${path}${query}`);
+
+    if (response.status === 404) {
+        return null;
+    }
+
+    if (!response.ok) {
+        const error = new Error('Failed to get file');
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    return {
+        content: encoding === 'base64' ? data.content.replace(/\n/g, '') : decodeContent(data.content),
+        sha: data.sha
+    };
+}
+
+/**
+ * Create or update file in repository
+ * @param {string} path - File path
+ * @param {string} content - File content
+ * @param {string} message - Commit message
+ * @param {string} sha - Existing file SHA (for updates)
+ * @param {string} encoding - 'utf-8' for text, 'base64' if content is already encoded
+ * @returns {Promise<{sha: string}>}
+ */
+async function putFile(path, content, message, sha = null, encoding = 'utf-8') {
+    const body = { message, content: encoding === 'base64' ? content : encodeContent(content) };
+
+    if (sha) {
+        body.sha = sha;
+    }
+
+    if (getOptions().branch) {
+        body.branch = getOptions().branch;
+    }
+
+    const response = await request(`/repos/${_repo}/contents/${path}`, {
+        method: sha ? 'PUT' : 'POST',
+        body
+    });
+
+    if (!response.ok) {
+        const error = new Error('Failed to save file');
+        error.status = response.status;
+
+        // Gitea reports a stale SHA, or creating a file that already exists, as 422
+        if (response.status === 409 || response.status === 422) {
+            error.status = 409;
+            error.message = 'Conflict: file was modified externally';
+        }
+
+        throw error;
+    }
+
+    const data = await response.json();
+    return { sha: data.content.sha };
+}
+
+/**
+ * Delete file from repository
+ * @param {string} path - File path
+ * @param {string} sha - File SHA
+ * @param {string} message - Commit message
+ * @returns {Promise<Object>}
+ */
+async function deleteFile(path, sha, message) {
+    const body = { message, sha };
+
+    if (getOptions().branch) {
+        body.branch = getOptions().branch;
+    }
+
+    const response = await request(`/repos/${_repo}/contents/${path}`, {
+        method: 'DELETE',
+        body
+    });
+
+    if (!response.ok) {
+        const error = new Error('Failed to delete file');
+        error.status = response.status === 422 ? 409 : response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Apply several file operations as one commit
+ * @param {Array<{operation: string, path: string, content?: string, sha?: string}>} files
+ * @param {string} message
+ * @param {string} branch
+ * @returns {Promise<Object>}
+ */
+async function changeFiles(files, message, branch) {
+    return apiRequest(`/repos/${_repo}/contents`, {
+        method: 'POST',
+        body: { files, message, branch }
+    }, 'Failed to commit files');
+}
+
+/**
+ * List every blob on a branch, following the paginated tree listing
+ * @param {string} branch
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listBranchFiles(branch) {
+    const head = await apiRequest(`/repos/${_repo}/branches/${encodeURIComponent(branch)}`, {}, 'Failed to get branch');
+    const files = [];
+
+    for (let page = 1; ; page++) {
+        const data = await apiRequest(
+            `/repos/${_repo}/git/trees/${head.commit.id}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`,
+            {},
+            'Failed to get tree'
+        );
+        const tree = data.tree || [];
+
+        for (const item of tree) {
+            if (item.type === 'blob') {
+                files.push({ path: item.path, sha: item.sha });
+            }
+        }
+
+        if (!data.truncated || tree.length === 0) {
+            return files;
+        }
+    }
+}
+
+/**
+ * Find entry files below a base folder, in either layout
+ * @param {{branch: string, basePath: string}} options
+ * @returns {Promise<Array<{date: string, path: string, sha: string}>>} Newest first
+ */
+async function findEntryFiles(options) {
+    const { basePath } = normalizeOptions(options);
+    const branch = options.branch || await getDefaultBranch();
+    const files = await withRetry(() => listBranchFiles(branch));
+
+    return files
+        .filter(f => f.path.startsWith(`${basePath}/`))
+        .map(f => ({ date: parseEntryPath(f.path), path: f.path, sha: f.sha }))
+        .filter(f => f.date)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Find attachment files below a base folder
+ * @param {{branch: string, basePath: string}} options
+ * @returns {Promise<Array<{date: string, name: string, path: string, sha: string}>>}
+ */
+async function findAssetFiles(options) {
+    const branch = options.branch || await getDefaultBranch();
+    const files = await withRetry(() => listBranchFiles(branch));
+
+    return files
+        .map(f => ({ ...parseAssetPath(f.path, options), path: f.path, sha: f.sha }))
+        .filter(f => f.date);
+}
+
+/**
+ * Get journal entry file as stored in the repository (not decrypted)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getEntryFile(date) {
+    return withRetry(() => getFile(entryPath(date)));
+}
+
+/**
+ * Save journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} markdown - Entry content
+ * @param {string} sha - Existing SHA (for updates)
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveEntry(date, markdown, sha = null) {
+    const message = sha
+        ? `Update entry: ${date}`
+        : `Add entry: ${date}`;
+
+    return withRetry(() => putFile(entryPath(date), markdown, message, sha));
+}
+
+/**
+ * Build the commit message for a batch of entries
+ * @param {string[]} dates
+ * @returns {string}
+ */
+function batchMessage(dates) {
+    const sorted = [...dates].sort();
+    const subject = sorted.length === 1
+        ? `Sync entry: ${sorted[0]}`
+        : `Sync ${sorted.length} entries: ${sorted[0]} to ${sorted[sorted.length - 1]}`;
+
+    return [subject, '', ...sorted.map(d => `- ${d}`)].join('\n');
+}
+
+/**
+ * Save several journal entries as a single commit. Entries whose remote
+ * file changed since their known SHA are left out and reported as conflicts.
+ * @param {Array<{date: string, markdown: string, sha: string|null}>} entries
+ * @param {string} [message] - Commit message (defaults to listing the dates)
+ * @returns {Promise<{synced: Object, conflicts: string[]}>} date -> blob SHA, and conflicting dates
+ */
+async function saveEntries(entries, message) {
+    if (entries.length === 0) {
+        return { synced: {}, conflicts: [] };
+    }
+
+    return withRetry(async () => {
+        const branch = getOptions().branch || await getDefaultBranch();
+        const remote = {};
+        for (const file of await listBranchFiles(branch)) {
+            remote[file.path] = file.sha;
+        }
+
+        const conflicts = [];
+        const included = [];
+
+        for (const entry of entries) {
+            const path = entryPath(entry.date);
+            const remoteSha = remote[path];
+
+            if (remoteSha && remoteSha !== entry.sha) {
+                conflicts.push(entry.date);
+            } else {
+                included.push({ entry, path, remoteSha });
+            }
+        }
+
+        if (included.length === 0) {
+            return { synced: {}, conflicts };
+        }
+
+        const result = await changeFiles(included.map(({ entry, path, remoteSha }) => remoteSha
+            ? { operation: 'update', path, content: encodeContent(entry.markdown), sha: remoteSha }
+            : { operation: 'create', path, content: encodeContent(entry.markdown) }
+        ), message || batchMessage(included.map(i => i.entry.date)), branch);
+
+        const shas = {};
+        for (const file of result.files || []) {
+            if (file) shas[file.path] = file.sha;
+        }
+
+        const synced = {};
+        for (const { entry, path } of included) {
+            synced[entry.date] = shas[path] || null;
+        }
+
+        return { synced, conflicts };
+    });
+}
+
+/**
+ * Read an app file that is not an entry (e.g. under .empire/)
+ * @param {string} path - Path from the repository root
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getConfigFile(path) {
+    return withRetry(() => getFile(path));
+}
+
+/**
+ * List the app files below a folder (e.g. reviews/)
+ * @param {string} path - Folder path from the repository root
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listConfigFiles(path) {
+    const branch = await getBranch();
+    const files = await withRetry(() => listBranchFiles(branch));
+    return files.filter(f => f.path.startsWith(`${path}/`));
+}
+
+/**
+ * Write an app file that is not an entry
+ * @param {string} path - Path from the repository root
+ * @param {string} content
+ * @param {string|null} sha - Known version; throws status 409 when stale
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveConfigFile(path, content, sha = null) {
+    return withRetry(() => putFile(path, content, `Update ${path}`, sha));
+}
+
+/**
+ * Upload an attachment next to its entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name - Unique attachment name
+ * @param {Blob} blob
+ * @returns {Promise<{sha: string|null}>}
+ */
+async function saveAttachment(date, name, blob) {
+    const content = await blobToBase64(blob);
+
+    try {
+        return await withRetry(() => putFile(getAssetPath(date, name, getOptions()), content, `Attach ${name} to ${date}`, null, 'base64'));
+    } catch (error) {
+        // Names are unique, so an existing file is an earlier upload whose response was lost
+        if (error.status === 409) {
+            return { sha: null };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Download an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @returns {Promise<Blob|null>}
+ */
+async function getAttachment(date, name) {
+    const branch = getOptions().branch;
+    const query = branch ? `?ref=${encodeURIComponent(branch)}` : '';
+
+    return withRetry(async () => {
+        const response = await request(`/repos/${_repo}/raw/${getAssetPath(date, name, getOptions())}${query}`);
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            const error = new Error('Failed to get attachment');
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.blob();
+    });
+}
+
+/**
+ * Delete journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} sha - File SHA
+ * @returns {Promise<Object>}
+ */
+async function deleteEntry(date, sha) {
+    return withRetry(() => deleteFile(entryPath(date), sha, `Delete entry: ${date}`));
+}
+
+/**
+ * List all journal entries with their blob SHAs
+ * @returns {Promise<Array<{date: string, sha: string}>>} Newest first
+ */
+async function listEntries() {
+    const files = await findEntryFiles(getOptions());
+
+    _paths.clear();
+    for (const file of files) {
+        _paths.set(file.date, file.path);
+    }
+
+    return files.map(f => ({ date: f.date, sha: f.sha }));
+}
+
+/**
+ * Move every entry from one branch/folder/layout to another with its
+ * attachments, mirroring the GitHub backend: copy to the new location
+ * (creating the branch if needed), pointing attachment links at the new
+ * layout, then remove the old files.
+ * @param {{branch?: string, basePath?: string, layout?: string}} from
+ * @param {{branch?: string, basePath?: string, layout?: string}} to
+ * @returns {Promise<number>} Number of entries moved
+ */
+async function moveEntries(from, to) {
+    const source = normalizeOptions(from);
+    const target = normalizeOptions(to);
+    const sourceBranch = source.branch || await getDefaultBranch();
+    const targetBranch = target.branch || await getDefaultBranch();
+    const sameBranch = sourceBranch === targetBranch;
+
+    const files = await findEntryFiles({ ...source, branch: sourceBranch });
+    const moves = files.filter(f => !sameBranch || f.path !== getEntryPath(f.date, target));
+
+    const assets = await findAssetFiles({ ...source, branch: sourceBranch });
+    const assetMoves = assets.filter(f => !sameBranch || f.path !== getAssetPath(f.date, f.name, target));
+    const assetDates = new Set(assets.map(f => f.date));
+
+    // The branch is the new location even when there is nothing to move yet
+    if (!sameBranch && !(await branchExists(targetBranch))) {
+        await createBranch(targetBranch, sourceBranch);
+    }
+
+    if (moves.length === 0 && assetMoves.length === 0) {
+        return 0;
+    }
+
+    const targetFiles = {};
+    for (const file of await listBranchFiles(targetBranch)) {
+        targetFiles[file.path] = file.sha;
+    }
+
+    const operations = [];
+
+    /**
+     * Queue a file's move: write the content (null when the target already
+     * holds it) and delete the old path on the target branch
+     * @param {{path: string}} file
+     * @param {string} path - New path
+     * @param {string|null} content - Base64 content
+     */
+    const queueMove = (file, path, content) => {
+        if (content !== null) {
+            operations.push(targetFiles[path]
+                ? { operation: 'update', path, content, sha: targetFiles[path] }
+                : { operation: 'create', path, content });
+        }
+
+        if (file.path !== path && targetFiles[file.path]) {
+            operations.push({ operation: 'delete', path: file.path, sha: targetFiles[file.path] });
+        }
+    };
+
+    for (const file of moves) {
+        const path = getEntryPath(file.date, target);
+        const current = targetFiles[path] === file.sha;
+
+        // Links are relative to the entry file, so a new layout changes them
+        const relink = assetDates.has(file.date);
+
+        if (current && !relink) {
+            queueMove(file, path, null);
+            continue;
+        }
+
+        const { content } = await getFile(file.path, sourceBranch);
+        const markdown = relink ? relinkAssets(content, target) : content;
+        queueMove(file, path, current && markdown === content ? null : encodeContent(markdown));
+    }
+
+    for (const file of assetMoves) {
+        const path = getAssetPath(file.date, file.name, target);
+        queueMove(file, path, targetFiles[path] === file.sha ? null : (await getFile(file.path, sourceBranch, 'base64')).content);
+    }
+
+    const items = [`${moves.length} ${moves.length === 1 ? 'entry' : 'entries'}`];
+    if (assetMoves.length > 0) {
+        items.push(`${assetMoves.length} ${assetMoves.length === 1 ? 'attachment' : 'attachments'}`);
+    }
+
+    if (operations.length > 0) {
+        await changeFiles(operations, `Move ${items.join(' and ')} to ${getEntryPath('YYYY-MM-DD', target)}`, targetBranch);
+    }
+
+    if (!sameBranch) {
+        await changeFiles(
+            [...moves, ...assetMoves].map(f => ({ operation: 'delete', path: f.path, sha: f.sha })),
+            `Move ${items.join(' and ')} to branch ${targetBranch}`,
+            sourceBranch
+        );
+    }
+
+    _paths.clear();
+    return moves.length;
+}
+
+/**
+ * Check if online
+ * @returns {boolean}
+ */
+function isOnline() {
+    return navigator.onLine;
+}
+
+export {
+    ID,
+    LABEL,
+    SUPPORTS_BRANCHES,
+    init,
+    getConfig,
+    getOptions,
+    getEntryPath,
+    validate,
+    createRepository,
+    getDefaultBranch,
+    getBranch,
+    getFile,
+    putFile,
+    deleteFile,
+    getEntryFile,
+    saveEntry,
+    saveEntries,
+    deleteEntry,
+    saveAttachment,
+    getAttachment,
+    getConfigFile,
+    saveConfigFile,
+    listConfigFiles,
+    listEntries,
+    moveEntries,
+    isOnline
+};
@@ -3,27 +3,149 @@
  * GitHub API wrapper for file operations
  */
 
+import { COMMIT_MESSAGE, REPO_DESCRIPTION, getBootstrapFiles } from './bootstrap.js';
+import { blobToBase64 } from './attachments.js';
+import { DEFAULT_OPTIONS, normalizeOptions, getEntryPath as buildEntryPath, parseEntryPath, getAssetPath, parseAssetPath, relinkAssets } from './layout.js';
+
+const ID = 'github';
+const LABEL = 'GitHub';
+const SUPPORTS_BRANCHES = true;
+
 const API_BASE = 'https://api.github.com';
+const MAX_RETRY_WAIT = 60 * 1000;
+const SECONDARY_LIMIT_WAIT = 60 * 1000;
 
 let _pat = null;
 let _repo = null;
+let _branch = null;
+let _options = null;
+let _rateLimit = { limit: null, remaining: null, resetAt: null, pausedUntil: 0 };
+const _rateLimitListeners = [];
+const _paths = new Map();
 
 /**
  * Initialize GitHub module with credentials
- * @param {string} pat - Personal Access Token
- * @param {string} repo - Repository (username/repo)
+ * @param {{pat: string, repo: string, branch?: string, basePath?: string, layout?: string}} config
+ *   Token, repository (username/repo) and where entries live
  */
-function init(pat, repo) {
-    _pat = pat;
-    _repo = repo;
+function init(config) {
+    _pat = config.pat;
+    _repo = config.repo;
+    _branch = null;
+    _options = normalizeOptions(config);
+    _paths.clear();
 }
 
 /**
  * Get current configuration
- * @returns {{pat: string, repo: string}}
+ * @returns {{pat: string, repo: string, branch: string, basePath: string, layout: string}}
  */
 function getConfig() {
-    return { pat: _pat, repo: _repo };
+    return { pat: _pat, repo: _repo, ...getOptions() };
+}
+
+/**
+ * Get repository options (branch, base folder, layout)
+ * @returns {{branch: string, basePath: string, layout: string}}
+ */
+function getOptions() {
+    return { ...(_options || DEFAULT_OPTIONS) };
+}
+
+/**
+ * Build the path of an entry file
+ * @param {string} date - YYYY-MM-DD
+ * @param {{basePath: string, layout: string}} options - Defaults to the active options
+ * @returns {string}
+ */
+function getEntryPath(date, options = getOptions()) {
+    return buildEntryPath(date, options);
+}
+
+/**
+ * Get the path an entry is stored at. Uses the path found by the last
+ * listing, so files not yet moved to the current layout stay reachable.
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function entryPath(date) {
+    return _paths.get(date) || getEntryPath(date);
+}
+
+/**
+ * Build the query string selecting the configured branch for the Contents API
+ * @returns {string}
+ */
+function refQuery() {
+    const { branch } = getOptions();
+    return branch ? `?ref=${encodeURIComponent(branch)}` : '';
+}
+
+/**
+ * Get last known API quota
+ * @returns {{limit: number|null, remaining: number|null, resetAt: number|null, pausedUntil: number}}
+ */
+function getRateLimit() {
+    return { ..._rateLimit };
+}
+
+/**
+ * Check if requests are paused until the quota resets
+ * @returns {boolean}
+ */
+function isRateLimited() {
+    return _rateLimit.pausedUntil > Date.now();
+}
+
+/**
+ * Subscribe to quota changes
+ * @param {Function} listener - Called with getRateLimit()
+ */
+function onRateLimitChange(listener) {
+    _rateLimitListeners.push(listener);
+}
+
+/**
+ * Read quota headers from a response and pause requests when the primary
+ * limit is exhausted or a secondary limit asks us to back off
+ * @param {Response} response 
+ */
+function trackRateLimit(response) {
+    const remaining = response.headers.get('x-ratelimit-remaining');
+    const reset = response.headers.get('x-ratelimit-reset');
+    const retryAfter = response.headers.get('retry-after');
+
+    if (remaining !== null) {
+        _rateLimit.limit = Number(response.headers.get('x-ratelimit-limit'));
+        _rateLimit.remaining = Number(remaining);
+        _rateLimit.resetAt = Number(reset) * 1000;
+    }
+
+    if (response.status === 403 || response.status === 429) {
+        if (retryAfter !== null) {
+            _rateLimit.pausedUntil = Date.now() + Number(retryAfter) * 1000;
+        } else if (remaining === '0') {
+            _rateLimit.pausedUntil = _rateLimit.resetAt;
+        } else if (response.status === 429) {
+            _rateLimit.pausedUntil = Date.now() + SECONDARY_LIMIT_WAIT;
+        }
+    }
+
+    for (const listener of _rateLimitListeners) {
+        listener(getRateLimit());
+    }
+}
+
+/**
+ * Create the error thrown while requests are paused
+ * @returns {Error}
+ */
+function rateLimitError() {
+    const error = new Error(`GitHub rate limit reached - resumes at ${new Date(_rateLimit.pausedUntil).toLocaleTimeString()}`);
+    error.status = 429;
+    error.rateLimited = true;
+    error.resetAt = _rateLimit.pausedUntil;
+    return error;
 }
 
 /**
@@ -47,12 +169,20 @@ async function request(endpoint, options = {}) {
         options.body = JSON.stringify(options.body);
     }
 
+    if (isRateLimited()) {
+        throw rateLimitError();
+    }
+
     const response = await fetch(url, { ...options, headers });
+    trackRateLimit(response);
+
     return response;
 }
 
 /**
- * Retry request with exponential backoff
+ * Retry request with exponential backoff. Rate-limited requests wait for
+ * Retry-After or the quota reset when it is close; otherwise they fail
+ * with `error.rateLimited` set so callers can resume later.
  * @param {Function} fn - Async function to retry
  * @param {number} maxRetries 
  * @returns {Promise<*>}
@@ -66,7 +196,16 @@ async function withRetry(fn, maxRetries = 3) {
         } catch (error) {
             lastError = error;
 
-            if (error.status === 401 || error.status === 403 || error.status === 404) {
+            if ((error.status === 403 || error.status === 429) && isRateLimited()) {
+                const wait = _rateLimit.pausedUntil - Date.now();
+                if (wait > MAX_RETRY_WAIT || i === maxRetries - 1) {
+                    throw rateLimitError();
+                }
+                await new Promise(resolve => setTimeout(resolve, wait));
+                continue;
+            }
+
+            if (error.status === 401 || error.status === 403 || error.status === 404 || error.status === 409) {
                 throw error;
             }
 
@@ -78,18 +217,70 @@ async function withRetry(fn, maxRetries = 3) {
     throw lastError;
 }
 
+const TOKEN_TYPES = {
+    CLASSIC: 'classic',
+    FINE_GRAINED: 'fine-grained',
+    APP_INSTALLATION: 'app-installation',
+    APP_USER: 'app-user',
+    OAUTH: 'oauth',
+    UNKNOWN: 'unknown'
+};
+
+/**
+ * Detect token type from its prefix
+ * @param {string} token 
+ * @returns {string} One of TOKEN_TYPES
+ */
+function getTokenType(token) {
+    if (token.startsWith('github_pat_')) return TOKEN_TYPES.FINE_GRAINED;
+    if (token.startsWith('ghp_')) return TOKEN_TYPES.CLASSIC;
+    if (token.startsWith('ghs_')) return TOKEN_TYPES.APP_INSTALLATION;
+    if (token.startsWith('ghu_')) return TOKEN_TYPES.APP_USER;
+    if (token.startsWith('gho_')) return TOKEN_TYPES.OAUTH;
+    return TOKEN_TYPES.UNKNOWN;
+}
+
 /**
- * Validate PAT and get user info
+ * Make a request with an explicit token (used before credentials are stored)
+ * @param {string} endpoint 
  * @param {string} pat 
- * @returns {Promise<Object>}
+ * @param {Object} options 
+ * @returns {Promise<Response>}
  */
-async function validateToken(pat) {
-    const response = await fetch(`${API_BASE}/user`, {
-        headers: {
-            'Authorization': `Bearer ${pat}`,
-            'Accept': 'application/vnd.github.v3+json'
-        }
+function requestWithToken(endpoint, pat, options = {}) {
+    const headers = {
+        'Authorization': `Bearer ${pat}`,
+        'Accept': 'application/vnd.github.v3+json',
+        'X-GitHub-Api-Version': '2022-11-28'
+    };
+
+    if (options.body) {
+        headers['Content-Type'] = 'application/json';
+    }
+
+    return fetch(`${API_BASE}${endpoint}`, {
+        ...options,
+        headers,
+        body: options.body ? JSON.stringify(options.body) : undefined
     });
+}
+
+/**
+ * Validate token and detect its type. Classic and OAuth tokens must carry
+ * the "repo" scope; fine-grained and GitHub App tokens have no scopes and
+ * are checked against the repository in validateRepo instead.
+ * @param {string} pat 
+ * @returns {Promise<{type: string, login: string|null}>}
+ */
+async function validateToken(pat) {
+    const type = getTokenType(pat);
+
+    // Installation tokens act as the app, not a user, so /user is not available
+    if (type === TOKEN_TYPES.APP_INSTALLATION) {
+        return { type, login: null };
+    }
+
+    const response = await requestWithToken('/user', pat);
 
     if (!response.ok) {
         const error = new Error('Invalid token');
@@ -97,35 +288,124 @@ async function validateToken(pat) {
         throw error;
     }
 
-    const scopes = response.headers.get('x-oauth-scopes') || '';
-    if (!scopes.includes('repo')) {
+    const scopes = response.headers.get('x-oauth-scopes');
+    if (scopes !== null && !scopes.split(',').map(s => s.trim()).includes('repo')) {
         throw new Error('Token requires "repo" scope');
     }
 
-    return response.json();
+    const user = await response.json();
+    return { type, login: user.login };
 }
 
 /**
- * Check if repository exists and is accessible
+ * Check if repository exists and the token can read and write its contents.
+ * Access is verified by reading the commit list and creating an unreferenced
+ * blob, since a fine-grained token's permissions are not reported anywhere.
  * @param {string} repo - username/repo
  * @param {string} pat 
  * @returns {Promise<Object>}
  */
 async function validateRepo(repo, pat) {
-    const response = await fetch(`${API_BASE}/repos/${repo}`, {
-        headers: {
-            'Authorization': `Bearer ${pat}`,
-            'Accept': 'application/vnd.github.v3+json'
+    const response = await requestWithToken(`/repos/${repo}`, pat);
+
+    if (!response.ok) {
+        const error = new Error('Repository not found or inaccessible');
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+
+    if (data.permissions && !data.permissions.push) {
+        throw new Error('You do not have write access to this repository');
+    }
+
+    // 409 means the repository is still empty, which is fine
+    const read = await requestWithToken(`/repos/${repo}/commits?per_page=1`, pat);
+    if (!read.ok && read.status !== 409) {
+        const error = new Error('Token needs "Contents: Read and write" permission on this repository');
+        error.status = read.status;
+        throw error;
+    }
+
+    const write = await requestWithToken(`/repos/${repo}/git/blobs`, pat, {
+        method: 'POST',
+        body: { content: '', encoding: 'utf-8' }
+    });
+    if (!write.ok && write.status !== 409) {
+        const error = new Error('Token needs "Contents: Read and write" permission on this repository');
+        error.status = write.status;
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Validate a configuration before it is stored
+ * @param {{pat: string, repo: string}} config 
+ * @returns {Promise<{login: string|null, name: string, private: boolean}>}
+ */
+async function validate(config) {
+    const { login } = await validateToken(config.pat);
+    const data = await validateRepo(config.repo, config.pat);
+    return { login, name: config.repo, private: data.private };
+}
+
+/**
+ * Create a private journal repository for the token's user and commit
+ * the starter files. Fine-grained tokens need "Administration: Read and
+ * write" on all repositories for this.
+ * @param {{pat: string, repo: string, basePath?: string, layout?: string}} config - repo is the new name
+ * @returns {Promise<{login: string, name: string, private: boolean}>}
+ */
+async function createRepository(config) {
+    const { type, login } = await validateToken(config.pat);
+
+    if (type === TOKEN_TYPES.APP_INSTALLATION) {
+        throw new Error('App installation tokens cannot create repositories');
+    }
+
+    const response = await requestWithToken('/user/repos', config.pat, {
+        method: 'POST',
+        body: {
+            name: config.repo,
+            description: REPO_DESCRIPTION,
+            private: true,
+            has_issues: false,
+            has_projects: false,
+            has_wiki: false
         }
     });
 
     if (!response.ok) {
-        const error = new Error('Repository not found or inaccessible');
+        const error = new Error(response.status === 422
+            ? 'A repository with that name already exists'
+            : 'Token cannot create repositories');
         error.status = response.status;
         throw error;
     }
 
-    return response.json();
+    const data = await response.json();
+
+    // The repository is empty, so files go through the contents API one by one
+    for (const file of getBootstrapFiles(config)) {
+        const put = await requestWithToken(`/repos/${data.full_name}/contents/${file.path}`, config.pat, {
+            method: 'PUT',
+            body: {
+                message: COMMIT_MESSAGE,
+                content: btoa(unescape(encodeURIComponent(file.content)))
+            }
+        });
+
+        if (!put.ok) {
+            const error = new Error(`Repository created, but writing ${file.path} failed`);
+            error.status = put.status;
+            throw error;
+        }
+    }
+
+    return { login, name: data.full_name, private: data.private };
 }
 
 /**
@@ -134,7 +414,7 @@ async function validateRepo(repo, pat) {
  * @returns {Promise<{content: string, sha: string}|null>}
  */
 async function getFile(path) {
-    const response = await request(`/repos/${_repo}/contents/${path}`);
+    const response = await request(`/repos/${_repo}/contents/${path}${refQuery()}`);
 
     if (response.status === 404) {
         return null;
@@ -161,18 +441,23 @@ async function getFile(path) {
  * @param {string} content - File content
  * @param {string} message - Commit message
  * @param {string} sha - Existing file SHA (for updates)
+ * @param {string} encoding - 'utf-8' for text, 'base64' if content is already encoded
  * @returns {Promise<{sha: string, commit: Object}>}
  */
-async function putFile(path, content, message, sha = null) {
+async function putFile(path, content, message, sha = null, encoding = 'utf-8') {
     const body = {
         message,
-        content: btoa(unescape(encodeURIComponent(content)))
+        content: encoding === 'base64' ? content : btoa(unescape(encodeURIComponent(content)))
     };
 
     if (sha) {
         body.sha = sha;
     }
 
+    if (getOptions().branch) {
+        body.branch = getOptions().branch;
+    }
+
     const response = await request(`/repos/${_repo}/contents/${path}`, {
         method: 'PUT',
         body
@@ -204,9 +489,15 @@ async function putFile(path, content, message, sha = null) {
  * @returns {Promise<Object>}
  */
 async function deleteFile(path, sha, message) {
+    const body = { message, sha };
+
+    if (getOptions().branch) {
+        body.branch = getOptions().branch;
+    }
+
     const response = await request(`/repos/${_repo}/contents/${path}`, {
         method: 'DELETE',
-        body: { message, sha }
+        body
     });
 
     if (!response.ok) {
@@ -224,7 +515,7 @@ async function deleteFile(path, sha, message) {
  * @returns {Promise<Array<{name: string, path: string, sha: string, type: string}>>}
  */
 async function listFiles(path) {
-    const response = await request(`/repos/${_repo}/contents/${path}`);
+    const response = await request(`/repos/${_repo}/contents/${path}${refQuery()}`);
 
     if (response.status === 404) {
         return [];
@@ -251,12 +542,240 @@ async function listFiles(path) {
 }
 
 /**
- * Get journal entry from GitHub
+ * Make a Git Data API request and parse the JSON response
+ * @param {string} endpoint - Path below /repos/{repo}/git
+ * @param {Object} options 
+ * @param {string} failMessage 
+ * @returns {Promise<Object>}
+ */
+async function gitRequest(endpoint, options, failMessage) {
+    const response = await request(`/repos/${_repo}/git${endpoint}`, options);
+
+    if (!response.ok) {
+        const error = new Error(failMessage);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Get the repository's default branch
+ * @returns {Promise<string>}
+ */
+async function getDefaultBranch() {
+    if (_branch) return _branch;
+
+    const response = await request(`/repos/${_repo}`);
+    if (!response.ok) {
+        const error = new Error('Failed to get repository');
+        error.status = response.status;
+        throw error;
+    }
+
+    const data = await response.json();
+    _branch = data.default_branch;
+    return _branch;
+}
+
+/**
+ * Get the branch entries are committed to: the configured one, or the default branch
+ * @returns {Promise<string>}
+ */
+async function getBranch() {
+    return getOptions().branch || getDefaultBranch();
+}
+
+/**
+ * Check if a branch exists
+ * @param {string} branch 
+ * @returns {Promise<boolean>}
+ */
+async function branchExists(branch) {
+    const response = await request(`/repos/${_repo}/git/ref/heads/${branch}`);
+
+    if (response.status === 404) {
+        return false;
+    }
+
+    if (!response.ok) {
+        const error = new Error('Failed to get branch');
+        error.status = response.status;
+        throw error;
+    }
+
+    return true;
+}
+
+/**
+ * Create a branch pointing at the head of another branch
+ * @param {string} branch - New branch name
+ * @param {string} from - Existing branch
+ * @returns {Promise<Object>}
+ */
+async function createBranch(branch, from) {
+    const source = await gitRequest(`/ref/heads/${from}`, {}, 'Failed to get branch');
+
+    return gitRequest('/refs', {
+        method: 'POST',
+        body: { ref: `refs/heads/${branch}`, sha: source.object.sha }
+    }, 'Failed to create branch');
+}
+
+/**
+ * Get tree entries of a commit's tree
+ * @param {string} treeSha 
+ * @param {boolean} recursive 
+ * @returns {Promise<{tree: Array<{path: string, sha: string, type: string}>, truncated: boolean}>}
+ */
+async function getTree(treeSha, recursive = false) {
+    const query = recursive ? '?recursive=1' : '';
+    return gitRequest(`/trees/${treeSha}${query}`, {}, 'Failed to get tree');
+}
+
+/**
+ * Get the head commit of a branch
+ * @param {string} [branch] - Defaults to the entries branch
+ * @returns {Promise<{branch: string, commit: string, tree: string}>}
+ */
+async function getHead(branch = null) {
+    branch = branch || await getBranch();
+    const ref = await gitRequest(`/ref/heads/${branch}`, {}, 'Failed to get branch');
+    const commit = await gitRequest(`/commits/${ref.object.sha}`, {}, 'Failed to get commit');
+
+    return { branch, commit: commit.sha, tree: commit.tree.sha };
+}
+
+/**
+ * List every blob below a tree. Uses one recursive request and falls back
+ * to walking the tree level by level when GitHub truncates the response.
+ * @param {string} treeSha 
+ * @param {string} prefix - Path prefix for returned paths
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listTreeFiles(treeSha, prefix = '') {
+    const recursive = await getTree(treeSha, true);
+
+    if (!recursive.truncated) {
+        return recursive.tree
+            .filter(item => item.type === 'blob')
+            .map(item => ({ path: prefix + item.path, sha: item.sha }));
+    }
+
+    const level = await getTree(treeSha, false);
+    const files = [];
+
+    for (const item of level.tree) {
+        if (item.type === 'blob') {
+            files.push({ path: prefix + item.path, sha: item.sha });
+        } else if (item.type === 'tree') {
+            files.push(...await listTreeFiles(item.sha, `${prefix}${item.path}/`));
+        }
+    }
+
+    return files;
+}
+
+/**
+ * List every blob below a directory on a branch
+ * @param {string} path - Directory path, e.g. 'entries' or 'journal/entries'
+ * @param {string} [branch] - Defaults to the entries branch
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listDirectoryFiles(path, branch = null) {
+    const head = await getHead(branch);
+    let treeSha = head.tree;
+
+    for (const segment of path.split('/')) {
+        const level = await getTree(treeSha, false);
+        const dir = level.tree.find(item => item.path === segment && item.type === 'tree');
+
+        if (!dir) {
+            return [];
+        }
+
+        treeSha = dir.sha;
+    }
+
+    return listTreeFiles(treeSha, `${path}/`);
+}
+
+/**
+ * Commit several file changes at once using the Git Data API
+ * (blobs → tree → commit → ref update). A null content deletes the file;
+ * a `sha` instead of content points the path at an existing blob.
+ * @param {Function} prepare - Called with the head tree's path -> blob SHA map,
+ *   returns {files: Array<{path: string, content?: string|null, sha?: string}>, message: string}
+ *   or null to commit nothing
+ * @param {string} [branch] - Defaults to the entries branch
+ * @returns {Promise<{commit: string, blobs: Object}|null>} Commit SHA and path -> blob SHA
+ */
+async function commitFiles(prepare, branch = null) {
+    const head = await getHead(branch);
+
+    const headBlobs = {};
+    for (const file of await listTreeFiles(head.tree)) {
+        headBlobs[file.path] = file.sha;
+    }
+
+    const changes = prepare(headBlobs);
+    if (!changes || changes.files.length === 0) {
+        return null;
+    }
+
+    const blobs = {};
+    const treeEntries = [];
+
+    for (const file of changes.files) {
+        if (file.sha) {
+            blobs[file.path] = file.sha;
+            treeEntries.push({ path: file.path, mode: '100644', type: 'blob', sha: file.sha });
+            continue;
+        }
+
+        if (file.content === null) {
+            treeEntries.push({ path: file.path, mode: '100644', type: 'blob', sha: null });
+            continue;
+        }
+
+        const blob = await gitRequest('/blobs', {
+            method: 'POST',
+            body: {
+                content: btoa(unescape(encodeURIComponent(file.content))),
+                encoding: 'base64'
+            }
+        }, 'Failed to create blob');
+
+        blobs[file.path] = blob.sha;
+        treeEntries.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+    }
+
+    const tree = await gitRequest('/trees', {
+        method: 'POST',
+        body: { base_tree: head.tree, tree: treeEntries }
+    }, 'Failed to create tree');
+
+    const commit = await gitRequest('/commits', {
+        method: 'POST',
+        body: { message: changes.message, tree: tree.sha, parents: [head.commit] }
+    }, 'Failed to create commit');
+
+    await gitRequest(`/refs/heads/${head.branch}`, {
+        method: 'PATCH',
+        body: { sha: commit.sha, force: false }
+    }, 'Failed to update branch');
+
+    return { commit: commit.sha, blobs };
+}
+
+/**
+ * Get journal entry file as stored in the repository (not decrypted)
  * @param {string} date - YYYY-MM-DD
  * @returns {Promise<{content: string, sha: string}|null>}
  */
-async function getEntry(date) {
-    return withRetry(() => getFile(`entries/${date}.md`));
+async function getEntryFile(date) {
+    return withRetry(() => getFile(entryPath(date)));
 }
 
 /**
@@ -271,7 +790,7 @@ async function saveEntry(date, markdown, sha = null) {
         ? `Update entry: ${date}`
         : `Add entry: ${date}`;
 
-    return withRetry(() => putFile(`entries/${date}.md`, markdown, message, sha));
+    return withRetry(() => putFile(entryPath(date), markdown, message, sha));
 }
 
 /**
@@ -281,22 +800,284 @@ async function saveEntry(date, markdown, sha = null) {
  * @returns {Promise<Object>}
  */
 async function deleteEntry(date, sha) {
-    return withRetry(() => deleteFile(`entries/${date}.md`, sha, `Delete entry: ${date}`));
+    return withRetry(() => deleteFile(entryPath(date), sha, `Delete entry: ${date}`));
 }
 
 /**
- * List all journal entries
- * @returns {Promise<string[]>} Array of dates
+ * Read an app file that is not an entry (e.g. under .empire/)
+ * @param {string} path - Path from the repository root
+ * @returns {Promise<{content: string, sha: string}|null>}
  */
-async function listEntries() {
-    const files = await withRetry(() => listFiles('entries'));
+async function getConfigFile(path) {
+    return withRetry(() => getFile(path));
+}
+
+/**
+ * List the app files below a folder (e.g. reviews/)
+ * @param {string} path - Folder path from the repository root
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listConfigFiles(path) {
+    return withRetry(() => listDirectoryFiles(path));
+}
+
+/**
+ * Write an app file that is not an entry
+ * @param {string} path - Path from the repository root
+ * @param {string} content
+ * @param {string|null} sha - Known version; throws status 409 when stale
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveConfigFile(path, content, sha = null) {
+    return withRetry(() => putFile(path, content, `Update ${path}`, sha));
+}
+
+/**
+ * Upload an attachment next to its entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name - Unique attachment name
+ * @param {Blob} blob
+ * @returns {Promise<{sha: string|null}>}
+ */
+async function saveAttachment(date, name, blob) {
+    const content = await blobToBase64(blob);
+
+    try {
+        return await withRetry(() => putFile(getAssetPath(date, name, getOptions()), content, `Attach ${name} to ${date}`, null, 'base64'));
+    } catch (error) {
+        // Names are unique, so an existing file is an earlier upload whose response was lost
+        if (error.status === 409 || error.status === 422) {
+            return { sha: null };
+        }
+        throw error;
+    }
+}
+
+/**
+ * Download an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @returns {Promise<Blob|null>}
+ */
+async function getAttachment(date, name) {
+    const path = getAssetPath(date, name, getOptions());
+
+    return withRetry(async () => {
+        const response = await request(`/repos/${_repo}/contents/${path}${refQuery()}`, {
+            headers: { 'Accept': 'application/vnd.github.raw' }
+        });
+
+        if (response.status === 404) {
+            return null;
+        }
+
+        if (!response.ok) {
+            const error = new Error('Failed to get attachment');
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.blob();
+    });
+}
+
+/**
+ * Build a batch commit message listing the dates
+ * @param {string[]} dates 
+ * @returns {string}
+ */
+function batchMessage(dates) {
+    const sorted = [...dates].sort();
+    const subject = sorted.length === 1
+        ? `Sync entry: ${sorted[0]}`
+        : `Sync ${sorted.length} entries: ${sorted[0]} to ${sorted[sorted.length - 1]}`;
+
+    return [subject, '', ...sorted.map(d => `- ${d}`)].join('\n');
+}
+
+/**
+ * Save several journal entries as a single commit. Entries whose remote
+ * file changed since their known SHA are left out and reported as conflicts.
+ * @param {Array<{date: string, markdown: string, sha: string|null}>} entries 
+ * @param {string} [message] - Commit message (defaults to listing the dates)
+ * @returns {Promise<{synced: Object, conflicts: string[]}>} date -> blob SHA, and conflicting dates
+ */
+async function saveEntries(entries, message) {
+    if (entries.length === 0) {
+        return { synced: {}, conflicts: [] };
+    }
+
+    let conflicts = [];
+
+    const result = await withRetry(() => commitFiles(headBlobs => {
+        conflicts = [];
+        const included = [];
+
+        for (const entry of entries) {
+            const remoteSha = headBlobs[entryPath(entry.date)];
+            if (remoteSha && remoteSha !== entry.sha) {
+                conflicts.push(entry.date);
+            } else {
+                included.push(entry);
+            }
+        }
+
+        if (included.length === 0) return null;
+
+        return {
+            files: included.map(e => ({ path: entryPath(e.date), content: e.markdown })),
+            message: message || batchMessage(included.map(e => e.date))
+        };
+    }));
+
+    const synced = {};
+    if (result) {
+        for (const [path, sha] of Object.entries(result.blobs)) {
+            synced[parseEntryPath(path)] = sha;
+        }
+    }
+
+    return { synced, conflicts };
+}
+
+/**
+ * Find entry files below a base folder, in either layout
+ * @param {{branch: string, basePath: string}} options 
+ * @returns {Promise<Array<{date: string, path: string, sha: string}>>} Newest first
+ */
+async function findEntryFiles(options) {
+    const { basePath } = normalizeOptions(options);
+    const branch = options.branch || await getDefaultBranch();
+    const files = await withRetry(() => listDirectoryFiles(basePath, branch));
 
     return files
-        .filter(f => f.type === 'file' && f.name.endsWith('.md') && f.name !== '.gitkeep')
-        .map(f => f.name.replace('.md', ''))
-        .filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date))
-        .sort()
-        .reverse();
+        .map(f => ({ date: parseEntryPath(f.path), path: f.path, sha: f.sha }))
+        .filter(f => f.date)
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Find attachment files below a base folder
+ * @param {{branch: string, basePath: string}} options
+ * @returns {Promise<Array<{date: string, name: string, path: string, sha: string}>>}
+ */
+async function findAssetFiles(options) {
+    const { basePath } = normalizeOptions(options);
+    const branch = options.branch || await getDefaultBranch();
+    const files = await withRetry(() => listDirectoryFiles(`${basePath}/assets`, branch));
+
+    return files
+        .map(f => ({ ...parseAssetPath(f.path, options), path: f.path, sha: f.sha }))
+        .filter(f => f.date);
+}
+
+/**
+ * List all journal entries with their blob SHAs. Files directly in the
+ * base folder and in year/month subfolders are both found, and their
+ * paths remembered for later reads and writes.
+ * @returns {Promise<Array<{date: string, sha: string}>>} Newest first
+ */
+async function listEntries() {
+    const files = await findEntryFiles(getOptions());
+
+    _paths.clear();
+    for (const file of files) {
+        _paths.set(file.date, file.path);
+    }
+
+    return files.map(f => ({ date: f.date, sha: f.sha }));
+}
+
+/**
+ * Move every entry from one branch/folder/layout to another, together
+ * with its attachments. Files are re-pointed at their existing blobs;
+ * only entries with attachments are downloaded, to point their links at
+ * the new layout. When the branch changes, the files are copied to the
+ * new branch (created from the old one if missing) and then removed
+ * from the old branch.
+ * @param {{branch?: string, basePath?: string, layout?: string}} from 
+ * @param {{branch?: string, basePath?: string, layout?: string}} to 
+ * @returns {Promise<number>} Number of entries moved
+ */
+async function moveEntries(from, to) {
+    const source = normalizeOptions(from);
+    const target = normalizeOptions(to);
+    const sourceBranch = source.branch || await getDefaultBranch();
+    const targetBranch = target.branch || await getDefaultBranch();
+    const sameBranch = sourceBranch === targetBranch;
+
+    const files = await findEntryFiles({ ...source, branch: sourceBranch });
+    const moves = files.filter(f => !sameBranch || f.path !== getEntryPath(f.date, target));
+
+    const assets = await findAssetFiles({ ...source, branch: sourceBranch });
+    const assetMoves = assets.filter(f => !sameBranch || f.path !== getAssetPath(f.date, f.name, target));
+    const assetDates = new Set(assets.map(f => f.date));
+
+    // The branch is the new location even when there is nothing to move yet
+    if (!sameBranch && !(await branchExists(targetBranch))) {
+        await createBranch(targetBranch, sourceBranch);
+    }
+
+    if (moves.length === 0 && assetMoves.length === 0) {
+        return 0;
+    }
+
+    // Links are relative to the entry file, so a new layout changes them
+    const relinked = {};
+    for (const file of moves) {
+        if (!assetDates.has(file.date)) continue;
+
+        const { content } = await withRetry(() => getFile(file.path));
+        const markdown = relinkAssets(content, target);
+        if (markdown !== content) {
+            relinked[file.path] = markdown;
+        }
+    }
+
+    const items = [`${moves.length} ${moves.length === 1 ? 'entry' : 'entries'}`];
+    if (assetMoves.length > 0) {
+        items.push(`${assetMoves.length} ${assetMoves.length === 1 ? 'attachment' : 'attachments'}`);
+    }
+    const message = `Move ${items.join(' and ')} to ${getEntryPath('YYYY-MM-DD', target)}`;
+
+    await withRetry(() => commitFiles(headBlobs => {
+        const changes = [];
+
+        for (const file of moves) {
+            const path = getEntryPath(file.date, target);
+            changes.push(file.path in relinked ? { path, content: relinked[file.path] } : { path, sha: file.sha });
+
+            if (file.path !== path && headBlobs[file.path]) {
+                changes.push({ path: file.path, content: null });
+            }
+        }
+
+        for (const file of assetMoves) {
+            const path = getAssetPath(file.date, file.name, target);
+            changes.push({ path, sha: file.sha });
+
+            if (file.path !== path && headBlobs[file.path]) {
+                changes.push({ path: file.path, content: null });
+            }
+        }
+
+        return { files: changes, message };
+    }, targetBranch));
+
+    if (!sameBranch) {
+        await withRetry(() => commitFiles(headBlobs => {
+            const removed = [...moves, ...assetMoves].filter(f => headBlobs[f.path]);
+            if (removed.length === 0) return null;
+
+            return {
+                files: removed.map(f => ({ path: f.path, content: null })),
+                message: `Move ${items.join(' and ')} to branch ${targetBranch}`
+            };
+        }, sourceBranch));
+    }
+
+    _paths.clear();
+    return moves.length;
 }
 
 /**
@@ -308,18 +1089,45 @@ function isOnline() {
 }
 
 export {
+    ID,
+    LABEL,
+    SUPPORTS_BRANCHES,
+    TOKEN_TYPES,
     init,
     getConfig,
+    getOptions,
+    getEntryPath,
+    getRateLimit,
+    isRateLimited,
+    onRateLimitChange,
+    getTokenType,
     validateToken,
     validateRepo,
+    validate,
+    createRepository,
     getFile,
     putFile,
     deleteFile,
     listFiles,
-    getEntry,
+    getDefaultBranch,
+    getBranch,
+    branchExists,
+    createBranch,
+    getHead,
+    getTree,
+    listTreeFiles,
+    commitFiles,
+    getEntryFile,
     saveEntry,
+    saveEntries,
     deleteEntry,
+    saveAttachment,
+    getAttachment,
+    getConfigFile,
+    saveConfigFile,
+    listConfigFiles,
     listEntries,
+    moveEntries,
     isOnline,
     withRetry
 };
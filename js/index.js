@@ -1,15 +1,20 @@
 /**
  * Empire OS - Index Module
- * Entry listing, pagination, and search
+ * Entry listing, pagination, search and tag filters
  */
 
 import * as Storage from './storage.js';
+import { fromMarkdown, normalizeTags } from './journal.js';
 
 const PAGE_SIZE = 50;
 
 let _index = [];
 let _currentPage = 1;
 let _searchQuery = '';
+let _tagFilter = [];
+
+// Parsed tags per date, reused until the entry's markdown changes
+const _tagCache = new Map();
 
 /**
  * Initialize index from storage
@@ -18,6 +23,8 @@ function init() {
     _index = Storage.getIndex();
     _currentPage = 1;
     _searchQuery = '';
+    _tagFilter = [];
+    _tagCache.clear();
 }
 
 /**
@@ -76,15 +83,79 @@ function setSearchQuery(query) {
 }
 
 /**
- * Get filtered dates based on search
+ * Only list entries that have every one of these tags
+ * @param {string[]} tags - Empty to list all entries
+ */
+function setTagFilter(tags) {
+    _tagFilter = normalizeTags(tags);
+    _currentPage = 1;
+}
+
+/**
+ * Get the tags entries are filtered by
+ * @returns {string[]}
+ */
+function getTagFilter() {
+    return [..._tagFilter];
+}
+
+/**
+ * Get the tags of an entry (readable from encrypted entries only when
+ * their metrics are kept in the clear)
+ * @param {string} date 
+ * @returns {string[]}
+ */
+function getTags(date) {
+    const entry = Storage.getEntry(date);
+    if (!entry || !entry.markdown) {
+        return [];
+    }
+
+    const cached = _tagCache.get(date);
+    if (cached && cached.markdown === entry.markdown) {
+        return cached.tags;
+    }
+
+    const { tags } = fromMarkdown(entry.markdown);
+    _tagCache.set(date, { markdown: entry.markdown, tags });
+    return tags;
+}
+
+/**
+ * Get every tag used, most used first
+ * @returns {Array<{tag: string, count: number}>}
+ */
+function getAllTags() {
+    const counts = new Map();
+
+    for (const date of _index) {
+        for (const tag of getTags(date)) {
+            counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+    }
+
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Get filtered dates based on search and tags
  * @returns {string[]}
  */
 function getFilteredDates() {
+    const tagged = _tagFilter.length === 0
+        ? _index
+        : _index.filter(date => {
+            const tags = getTags(date);
+            return _tagFilter.every(tag => tags.includes(tag));
+        });
+
     if (!_searchQuery) {
-        return _index;
+        return tagged;
     }
 
-    return _index.filter(date => {
+    return tagged.filter(date => {
         if (date.includes(_searchQuery)) {
             return true;
         }
@@ -215,6 +286,10 @@ export {
     getAllDates,
     getTotalCount,
     setSearchQuery,
+    setTagFilter,
+    getTagFilter,
+    getTags,
+    getAllTags,
     getFilteredDates,
     getPage,
     nextPage,
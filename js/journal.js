@@ -1,59 +1,59 @@
 /**
  * Empire OS - Journal Module
- * Schema validation, markdown conversion, and entry management
- */
-
-const CURRENT_SCHEMA = 1;
-
-const SECTIONS = [
-  { id: 1, title: 'Identity & North Star', key: 'section_1' },
-  { id: 2, title: 'Top 1-3 Priorities', key: 'section_2' },
-  { id: 3, title: 'Time & Focus Plan', key: 'section_3' },
-  { id: 4, title: 'Execution Checklist', key: 'section_4', subsections: ['Health', 'Skill', 'Money', 'Leverage', 'Mind'] },
-  { id: 5, title: 'Personal Balance Sheet', key: 'section_5' },
-  { id: 6, title: 'Decisions & Thinking Log', key: 'section_6' },
-  { id: 7, title: 'Failure & Weakness Audit', key: 'section_7' },
-  { id: 8, title: 'Fix & Upgrade Plan', key: 'section_8' },
-  { id: 9, title: 'Wins & Progress', key: 'section_9' },
-  { id: 10, title: 'Self-Score (0-10)', key: 'section_10' },
-  { id: 11, title: 'Night Close Reflection', key: 'section_11' }
-];
-
-const DEFAULT_SCORES = {
-  score: 5,
-  discipline: 5,
-  focus: 5,
-  energy: 5,
-  mood: 5,
-  net_worth_delta: 0
-};
+ * Schema validation, markdown conversion, and entry management.
+ * Which sections an entry has comes from its template (templates.js).
+ */
+
+import { LEGACY_REF, getRef, getTemplate, getActive, getFields, getHabits, getMetrics } from './templates.js';
+
+/*
+ * Schema history:
+ *   1 - metrics frontmatter and free-text sections
+ *   2 - adds `tags` to the frontmatter; checklist sections hold task
+ *       items (`- [ ] text` / `- [x] text`) with their done state
+ *   3 - priorities sections hold task items too, and `- [-] text`
+ *       marks an item as dropped
+ */
+const CURRENT_SCHEMA = 3;
+
+// Frontmatter keys every entry has; the template adds its metrics, and
+// any others are kept in `entry.frontmatter`
+const ENTRY_KEYS = ['schema', 'date', 'template', 'tags', 'habits'];
+
+const DURATION_PATTERN = /^(?:(\d+):([0-5]\d)|(?:(\d+(?:\.\d+)?)\s*h)?\s*(?:(\d+)\s*m(?:in)?)?)$/i;
+
+const SECTION_HEADING = /^#\s+\d+\.\s*(.*?)\s*$/;
+const SUBSECTION_HEADING = /^##\s+(.+?)\s*$/;
+const FENCE_PATTERN = /^\s{0,3}(```|~~~)/;
+
+const TASK_PATTERN = /^(\s*[-*+]\s+\[)([ xX-])(\]\s+)(.*)$/;
+const TASK_STATES = { ' ': 'open', x: 'done', X: 'done', '-': 'dropped' };
+const TASK_MARKS = { open: ' ', done: 'x', dropped: '-' };
+const BULLET_PATTERN = /^(\s*)(?:[-*+]|\d+[.)])\s+(.*)$/;
+const DONE_PATTERN = /^(?:\[[xX]\]|[✓✔✅])\s*/;
+const HASHTAG_PATTERN = /(^|\s)#([a-z0-9][a-z0-9_/-]*)/gi;
 
 /**
  * Create a new empty journal entry
  * @param {string} date - ISO date string (YYYY-MM-DD)
+ * @param {Object} template - Defaults to the active template
  * @returns {Object} New entry object
  */
-function createEntry(date) {
+function createEntry(date, template = getActive()) {
   const entry = {
     schema: CURRENT_SCHEMA,
     date: date,
-    ...DEFAULT_SCORES,
-    section_1: '',
-    section_2: '',
-    section_3: '',
-    section_4a: '',
-    section_4b: '',
-    section_4c: '',
-    section_4d: '',
-    section_4e: '',
-    section_5: '',
-    section_6: '',
-    section_7: '',
-    section_8: '',
-    section_9: '',
-    section_10: '',
-    section_11: ''
+    template: getRef(template),
+    tags: [],
+    habits: [],
+    ...getMetricDefaults(template),
+    frontmatter: {}
   };
+  
+  for (const field of getFields(template)) {
+    entry[field.key] = '';
+  }
+  
   return entry;
 }
 
@@ -74,228 +74,1372 @@ function validateEntry(entry) {
     errors.push('Invalid date format. Expected YYYY-MM-DD');
   }
   
-  const scoreFields = ['score', 'discipline', 'focus', 'energy', 'mood'];
-  for (const field of scoreFields) {
-    if (entry[field] !== undefined) {
-      const val = Number(entry[field]);
-      if (isNaN(val) || val < 0 || val > 10) {
-        errors.push(`${field} must be a number between 0 and 10`);
-      }
+  for (const metric of getMetrics(getTemplate(entry.template))) {
+    const error = checkMetric(metric, entry[metric.key]);
+    if (error) {
+      errors.push(error);
     }
   }
   
-  if (entry.net_worth_delta !== undefined && isNaN(Number(entry.net_worth_delta))) {
-    errors.push('net_worth_delta must be a number');
+  if (entry.tags !== undefined && (!Array.isArray(entry.tags) || entry.tags.some(tag => !normalizeTag(tag)))) {
+    errors.push('tags must be a list of words');
+  }
+  
+  if (entry.habits && (!Array.isArray(entry.habits) || entry.habits.some(habit => typeof habit !== 'string'))) {
+    errors.push('habits must be a list of habit keys');
   }
   
   return { valid: errors.length === 0, errors };
 }
 
 /**
- * Convert entry object to Markdown string
+ * Get the value a metric starts at in a new entry
+ * @param {Object} metric - From the template
+ * @returns {*} null when the metric has no value until one is entered
+ */
+function getMetricDefault(metric) {
+  if (metric.default !== undefined) {
+    return metric.default;
+  }
+  return metric.type === 'scale' ? metric.min : null;
+}
+
+/**
+ * Get the starting value of every metric of a template
+ * @param {Object} template
+ * @returns {Object} key → value
+ */
+function getMetricDefaults(template) {
+  const defaults = {};
+  for (const metric of getMetrics(template)) {
+    defaults[metric.key] = getMetricDefault(metric);
+  }
+  return defaults;
+}
+
+/**
+ * Get the frontmatter keys the app reads for entries of a template
+ * @param {Object} template
+ * @returns {string[]}
+ */
+function getFrontmatterKeys(template) {
+  return [...ENTRY_KEYS, ...getMetrics(template).map(metric => metric.key)];
+}
+
+/**
+ * Parse a duration into minutes
+ * @param {string|number} text - '1:30', '1h 30m', '90m', '1.5h' or minutes
+ * @returns {number|null} null if it is not a duration
+ */
+function parseDuration(text) {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) ? Math.round(text) : null;
+  }
+  
+  const trimmed = String(text ?? '').trim();
+  if (/^\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+  
+  const match = trimmed.match(DURATION_PATTERN);
+  if (!trimmed || !match) {
+    return null;
+  }
+  if (match[1] !== undefined) {
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+  return Math.round(parseFloat(match[3] || '0') * 60) + parseInt(match[4] || '0', 10);
+}
+
+/**
+ * Format minutes as h:mm
+ * @param {number} minutes
+ * @returns {string} e.g. '1:05'
+ */
+function formatDuration(minutes) {
+  if (minutes === null || minutes === undefined || !Number.isFinite(Number(minutes))) {
+    return '';
+  }
+  const total = Math.round(Number(minutes));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Convert a stored or entered metric value to its type
+ * @param {Object} metric - From the template
+ * @param {*} value
+ * @returns {*} null if empty, undefined if missing, the value unchanged if it does not convert
+ */
+function coerceMetric(metric, value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === '') {
+    return null;
+  }
+  
+  switch (metric.type) {
+    case 'boolean':
+      if (typeof value === 'boolean') return value;
+      if (/^(?:true|yes|y|1|x)$/i.test(String(value).trim())) return true;
+      if (/^(?:false|no|n|0)$/i.test(String(value).trim())) return false;
+      return value;
+    case 'duration':
+      return parseDuration(value) ?? value;
+    default: {
+      const number = Number(value);
+      return typeof value !== 'boolean' && Number.isFinite(number) ? number : value;
+    }
+  }
+}
+
+/**
+ * Check a metric value against its definition
+ * @param {Object} metric - From the template
+ * @param {*} value
+ * @returns {string|null} The problem, or null if the value is fine (empty values are)
+ */
+function checkMetric(metric, value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  
+  const { key, type, min, max } = metric;
+  
+  if (type === 'boolean') {
+    return typeof value === 'boolean' ? null : `${key} must be true or false`;
+  }
+  if (type === 'duration') {
+    return Number.isInteger(value) && value >= 0 ? null : `${key} must be a duration in minutes`;
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return min !== undefined && max !== undefined
+      ? `${key} must be a number between ${min} and ${max}`
+      : `${key} must be a number`;
+  }
+  if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+    return `${key} must be a number between ${min ?? '-∞'} and ${max ?? '∞'}`;
+  }
+  return null;
+}
+
+/**
+ * Get an entry's done habits for its frontmatter. Entries that have
+ * habits record the list even when empty, so a day with none done
+ * differs from a day written before habits were tracked.
+ * @param {Object} entry
+ * @param {Object} template - The entry's template
+ * @returns {{habits?: string[]}}
+ */
+function getHabitValues(entry, template) {
+  if (!Array.isArray(entry.habits) && getHabits(template).length === 0) {
+    return {};
+  }
+  return { habits: entry.habits || [] };
+}
+
+/**
+ * Get an entry's metric values for its frontmatter, empty ones left out
+ * @param {Object} entry
+ * @param {Object} template - The entry's template
+ * @returns {Object}
+ */
+function getMetricValues(entry, template) {
+  const values = {};
+  for (const metric of getMetrics(template)) {
+    const value = entry[metric.key];
+    if (value !== null && value !== undefined && value !== '') {
+      values[metric.key] = value;
+    }
+  }
+  return values;
+}
+
+/**
+ * Convert entry object to Markdown string, laid out by the entry's template.
+ * Text kept in `entry.extra` is written back where it was found.
  * @param {Object} entry - Entry object
  * @returns {string} Markdown string
  */
 function toMarkdown(entry) {
+  const template = getTemplate(entry.template);
   const lines = [];
   
   lines.push('---');
-  lines.push(`schema: ${entry.schema || CURRENT_SCHEMA}`);
-  lines.push(`date: ${entry.date}`);
-  lines.push(`score: ${entry.score}`);
-  lines.push(`discipline: ${entry.discipline}`);
-  lines.push(`focus: ${entry.focus}`);
-  lines.push(`energy: ${entry.energy}`);
-  lines.push(`mood: ${entry.mood}`);
-  lines.push(`net_worth_delta: ${entry.net_worth_delta}`);
+  lines.push(...stringifyYaml({
+    schema: entry.schema || CURRENT_SCHEMA,
+    date: entry.date,
+    template: entry.template || getRef(template),
+    tags: entry.tags || [],
+    ...getHabitValues(entry, template),
+    ...getMetricValues(entry, template),
+    ...omitKeys(entry.frontmatter || {}, getFrontmatterKeys(template))
+  }));
   lines.push('---');
   lines.push('');
   
-  lines.push('# 1. Identity & North Star');
-  lines.push(entry.section_1 || '');
-  lines.push('');
-  
-  lines.push('# 2. Top 1-3 Priorities');
-  lines.push(entry.section_2 || '');
-  lines.push('');
-  
-  lines.push('# 3. Time & Focus Plan');
-  lines.push(entry.section_3 || '');
-  lines.push('');
-  
-  lines.push('# 4. Execution Checklist');
-  lines.push('');
-  lines.push('## Health');
-  lines.push(entry.section_4a || '');
-  lines.push('');
-  lines.push('## Skill');
-  lines.push(entry.section_4b || '');
-  lines.push('');
-  lines.push('## Money');
-  lines.push(entry.section_4c || '');
-  lines.push('');
-  lines.push('## Leverage');
-  lines.push(entry.section_4d || '');
-  lines.push('');
-  lines.push('## Mind');
-  lines.push(entry.section_4e || '');
-  lines.push('');
-  
-  lines.push('# 5. Personal Balance Sheet');
-  lines.push(entry.section_5 || '');
-  lines.push('');
-  
-  lines.push('# 6. Decisions & Thinking Log');
-  lines.push(entry.section_6 || '');
-  lines.push('');
-  
-  lines.push('# 7. Failure & Weakness Audit');
-  lines.push(entry.section_7 || '');
-  lines.push('');
-  
-  lines.push('# 8. Fix & Upgrade Plan');
-  lines.push(entry.section_8 || '');
-  lines.push('');
+  const extra = entry.extra || {};
+  if (extra.preamble) {
+    lines.push(extra.preamble);
+    lines.push('');
+  }
   
-  lines.push('# 9. Wins & Progress');
-  lines.push(entry.section_9 || '');
-  lines.push('');
+  template.sections.forEach((section, i) => {
+    if (i > 0) {
+      lines.push('');
+    }
+    lines.push(`# ${i + 1}. ${section.title}`);
+    
+    if (section.subsections && section.subsections.length > 0) {
+      lines.push('');
+      if (extra.intros && extra.intros[section.key]) {
+        lines.push(extra.intros[section.key]);
+        lines.push('');
+      }
+      section.subsections.forEach((sub, j) => {
+        if (j > 0) {
+          lines.push('');
+        }
+        lines.push(`## ${sub.title}`);
+        lines.push(entry[sub.key] || '');
+      });
+    } else {
+      lines.push(entry[section.key] || '');
+    }
+  });
   
-  lines.push('# 10. Self-Score (0-10)');
-  lines.push(entry.section_10 || '');
-  lines.push('');
+  return lines.join('\n');
+}
+
+/*
+ * Frontmatter YAML. A subset of YAML 1.2 that covers what people and
+ * other tools write in frontmatter: block mappings and sequences, flow
+ * [lists] and {maps}, plain, 'single' and "double" quoted scalars,
+ * multi-line plain scalars and | / > block scalars, and comments.
+ * Anchors, aliases, tags and multiple documents are not supported.
+ * Plain numbers with leading zeros (007) stay strings here, but are
+ * written quoted, as is anything else other YAML 1.2 tools read as a
+ * number (YAML_CORE_NUMBER).
+ */
+
+const YAML_NULL = /^(?:~|null|Null|NULL)?$/;
+const YAML_BOOL = /^(?:true|True|TRUE|false|False|FALSE)$/;
+const YAML_NUMBER = /^[-+]?(?:(?:0|[1-9][0-9]*)(?:\.[0-9]*)?|\.[0-9]+)(?:[eE][-+]?[0-9]+)?$/;
+// Ints and floats of the YAML 1.2 core schema: 007, 0o17, 0x1F, .inf, .nan
+const YAML_CORE_NUMBER = /^(?:[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?|0o[0-7]+|0x[0-9a-fA-F]+|[-+]?\.(?:inf|Inf|INF)|\.(?:nan|NaN|NAN))$/;
+const YAML_ESCAPES = {
+  '0': '\0', a: '\x07', b: '\b', t: '\t', '\t': '\t', n: '\n', v: '\v', f: '\f', r: '\r', e: '\x1b',
+  ' ': ' ', '"': '"', '/': '/', '\\': '\\', N: '\x85', _: '\xa0', L: '\u2028', P: '\u2029'
+};
+const YAML_HEX_LENGTHS = { x: 2, u: 4, U: 8 };
+const YAML_LINE_WIDTH = 80;
+
+/**
+ * Build a frontmatter syntax error
+ * @param {string} message
+ * @param {number} line - 1-based line within the frontmatter
+ * @returns {Error}
+ */
+function yamlError(message, line) {
+  const error = new Error(`Frontmatter line ${line}: ${message}`);
+  error.status = 422;
+  error.line = line;
+  return error;
+}
+
+/**
+ * Resolve a plain (unquoted) scalar to null, a boolean, a number or a string
+ * @param {string} text
+ * @returns {*}
+ */
+function resolvePlain(text) {
+  if (YAML_NULL.test(text)) return null;
+  if (YAML_BOOL.test(text)) return text.toLowerCase() === 'true';
+  if (YAML_NUMBER.test(text)) return Number(text);
+  return text;
+}
+
+/**
+ * Set a key without letting '__proto__' reach the prototype
+ * @param {Object} map
+ * @param {string} key
+ * @param {*} value
+ */
+function setKey(map, key, value) {
+  Object.defineProperty(map, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+/**
+ * Read a quoted scalar starting at `start`
+ * @param {string} text
+ * @param {number} start - Index of the opening quote
+ * @param {number} line - For errors
+ * @returns {{value: string, end: number}} end is the index after the closing quote
+ */
+function readQuoted(text, start, line) {
+  const quote = text[start];
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length) {
+    const ch = text[i];
+
+    if (quote === "'") {
+      if (ch === "'") {
+        if (text[i + 1] === "'") {
+          value += "'";
+          i += 2;
+          continue;
+        }
+        return { value, end: i + 1 };
+      }
+      value += ch;
+      i++;
+      continue;
+    }
+
+    if (ch === '"') {
+      return { value, end: i + 1 };
+    }
+
+    if (ch !== '\\') {
+      value += ch;
+      i++;
+      continue;
+    }
+
+    const code = text[i + 1];
+    if (code in YAML_ESCAPES) {
+      value += YAML_ESCAPES[code];
+      i += 2;
+    } else if (code in YAML_HEX_LENGTHS) {
+      const hex = text.slice(i + 2, i + 2 + YAML_HEX_LENGTHS[code]);
+      if (!/^[0-9a-fA-F]+$/.test(hex) || hex.length !== YAML_HEX_LENGTHS[code]) {
+        throw yamlError(`invalid escape \\${code}${hex}`, line);
+      }
+      value += String.fromCodePoint(parseInt(hex, 16));
+      i += 2 + hex.length;
+    } else {
+      throw yamlError(`invalid escape \\${code || ''}`, line);
+    }
+  }
+
+  throw yamlError(`missing closing ${quote}`, line);
+}
+
+/**
+ * Check that only a comment (or nothing) follows a value
+ * @param {string} rest
+ * @param {number} line
+ */
+function expectEnd(rest, line) {
+  const trimmed = rest.trim();
+  if (trimmed && !(trimmed.startsWith('#') && /^\s/.test(rest))) {
+    throw yamlError(`unexpected "${trimmed}"`, line);
+  }
+}
+
+/**
+ * Parse a flow collection ([a, b] or {a: 1}) or a flow scalar within one
+ * @param {string} text
+ * @param {number} line
+ * @returns {*}
+ */
+function parseFlow(text, line) {
+  let i = 0;
+
+  const skipSpace = () => {
+    while (text[i] === ' ' || text[i] === '\t') i++;
+  };
+
+  const readPlain = (inMap) => {
+    const start = i;
+    while (i < text.length && !',[]{}'.includes(text[i])
+      && !(inMap && text[i] === ':' && /[\s,\]}]/.test(text[i + 1] || ' '))) {
+      i++;
+    }
+    return text.slice(start, i).trim();
+  };
+
+  const readValue = (inMap) => {
+    skipSpace();
+
+    if (text[i] === '"' || text[i] === "'") {
+      const { value, end } = readQuoted(text, i, line);
+      i = end;
+      return value;
+    }
+
+    if (text[i] === '[') {
+      i++;
+      const list = [];
+      for (;;) {
+        skipSpace();
+        if (text[i] === ']') {
+          i++;
+          return list;
+        }
+        list.push(readValue(false));
+        skipSpace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] !== ']') {
+          throw yamlError('expected "," or "]"', line);
+        }
+      }
+    }
+
+    if (text[i] === '{') {
+      i++;
+      const map = {};
+      for (;;) {
+        skipSpace();
+        if (text[i] === '}') {
+          i++;
+          return map;
+        }
+        const key = text[i] === '"' || text[i] === "'" ? readValue(true) : readPlain(true);
+        skipSpace();
+        let value = null;
+        if (text[i] === ':') {
+          i++;
+          value = readValue(true);
+        }
+        setKey(map, String(key), value);
+        skipSpace();
+        if (text[i] === ',') {
+          i++;
+        } else if (text[i] !== '}') {
+          throw yamlError('expected "," or "}"', line);
+        }
+      }
+    }
+
+    return resolvePlain(readPlain(inMap));
+  };
+
+  const value = readValue(false);
+  expectEnd(` ${text.slice(i)}`, line);
+  return value;
+}
+
+/**
+ * Parse a scalar or flow collection written on one (folded) line
+ * @param {string} text
+ * @param {number} line
+ * @returns {*}
+ */
+function parseInline(text, line) {
+  if (text[0] === '"' || text[0] === "'") {
+    const { value, end } = readQuoted(text, 0, line);
+    expectEnd(text.slice(end), line);
+    return value;
+  }
+
+  if (text[0] === '[' || text[0] === '{') {
+    return parseFlow(text, line);
+  }
+
+  const comment = text.search(/\s#/);
+  return resolvePlain((comment === -1 ? text : text.slice(0, comment)).trim());
+}
+
+/**
+ * Join the lines of a multi-line flow scalar: single breaks become
+ * spaces, each empty line a newline
+ * @param {string[]} parts - Trimmed lines
+ * @returns {string}
+ */
+function foldFlowLines(parts) {
+  let text = '';
+  let breaks = 0;
+
+  for (const part of parts) {
+    if (part === '') {
+      breaks++;
+      continue;
+    }
+    if (text) {
+      text += breaks > 0 ? '\n'.repeat(breaks) : ' ';
+    }
+    text += part;
+    breaks = 0;
+  }
+
+  return text;
+}
+
+/**
+ * Join the lines of a folded (>) block scalar. More-indented lines
+ * keep their line breaks.
+ * @param {string[]} lines - Lines with the block indentation removed
+ * @returns {string}
+ */
+function foldBlockLines(lines) {
+  let text = '';
+  let breaks = 0;
+  let started = false;
+  let previousIndented = false;
+
+  for (const line of lines) {
+    if (line === '') {
+      breaks++;
+      continue;
+    }
+
+    const indented = /^\s/.test(line);
+    if (!started) {
+      text += '\n'.repeat(breaks);
+    } else if (breaks === 0 && !indented && !previousIndented) {
+      text += ' ';
+    } else {
+      text += '\n'.repeat(breaks + (indented || previousIndented ? 1 : 0));
+    }
+
+    text += line;
+    started = true;
+    breaks = 0;
+    previousIndented = indented;
+  }
+
+  return text;
+}
+
+/**
+ * Parse YAML frontmatter
+ * @param {string} text - The block between the --- lines
+ * @returns {Object}
+ * @throws {Error} With status 422 and the offending line
+ */
+function parseYaml(text) {
+  const lines = text.split(/\r?\n/).map((raw, i) => ({
+    raw,
+    indent: raw.match(/^ */)[0].length,
+    text: raw.trim(),
+    number: i + 1
+  }));
+  let pos = 0;
+
+  const isBlank = (line) => line.text === '' || line.text.startsWith('#');
+  const isItem = (line) => line.text === '-' || line.text.startsWith('- ');
+
+  const peek = () => {
+    while (pos < lines.length && isBlank(lines[pos])) pos++;
+    const line = lines[pos] || null;
+    if (line && line.raw[line.indent] === '\t') {
+      throw yamlError('tabs cannot be used for indentation', line.number);
+    }
+    return line;
+  };
+
+  const parseBlockScalar = (header, indent, line) => {
+    const match = header.match(/^([|>])([-+]?)([1-9]?)([-+]?)(\s+#.*)?$/);
+    if (!match || (match[2] && match[4])) {
+      throw yamlError(`invalid block scalar header "${header}"`, line.number);
+    }
+
+    const chomp = match[2] || match[4];
+    const body = [];
+    while (pos < lines.length && (lines[pos].text === '' || lines[pos].indent > indent)) {
+      body.push(lines[pos].raw);
+      pos++;
+    }
+
+    const first = body.find(raw => raw.trim() !== '');
+    const contentIndent = match[3]
+      ? indent + parseInt(match[3], 10)
+      : first ? first.match(/^ */)[0].length : indent + 1;
+
+    const content = body.map(raw => raw.trim() === '' ? '' : raw.slice(contentIndent));
+    let trailing = 0;
+    while (content.length > 0 && content[content.length - 1] === '') {
+      content.pop();
+      trailing++;
+    }
+
+    const value = match[1] === '|' ? content.join('\n') : foldBlockLines(content);
+    if (chomp === '-' || (content.length === 0 && chomp !== '+')) return value;
+    if (chomp === '+') return `${value}\n${'\n'.repeat(trailing)}`;
+    return `${value}\n`;
+  };
+
+  const parseValue = (rest, indent, line, inMapping) => {
+    if (rest === '' || rest.startsWith('#')) {
+      const next = peek();
+      if (next && (next.indent > indent || (inMapping && next.indent === indent && isItem(next)))) {
+        return isItem(next) ? parseSequence(next.indent) : parseMapping(next.indent);
+      }
+      return null;
+    }
+
+    if (rest[0] === '|' || rest[0] === '>') {
+      return parseBlockScalar(rest, indent, line);
+    }
+
+    const parts = [rest];
+    while (pos < lines.length && (lines[pos].text === '' || lines[pos].indent > indent)) {
+      parts.push(lines[pos].text);
+      pos++;
+    }
+    while (parts[parts.length - 1] === '') parts.pop();
+
+    return parseInline(foldFlowLines(parts), line.number);
+  };
+
+  const checkDedent = (indent) => {
+    const next = peek();
+    if (next && next.indent > indent) {
+      throw yamlError('unexpected indentation', next.number);
+    }
+  };
+
+  const parseMapping = (indent) => {
+    const map = {};
+
+    for (let line = peek(); line && line.indent === indent && !isItem(line); line = peek()) {
+      let key;
+      let rest;
+
+      if (line.text[0] === '"' || line.text[0] === "'") {
+        const { value, end } = readQuoted(line.text, 0, line.number);
+        if (line.text[end] !== ':') throw yamlError('expected ":" after key', line.number);
+        key = value;
+        rest = line.text.slice(end + 1).trim();
+      } else {
+        const colon = line.text.search(/:(?:\s|$)/);
+        if (colon <= 0) throw yamlError('expected "key: value"', line.number);
+        key = line.text.slice(0, colon).trim();
+        rest = line.text.slice(colon + 1).trim();
+      }
+
+      if (Object.prototype.hasOwnProperty.call(map, key)) {
+        throw yamlError(`duplicate key "${key}"`, line.number);
+      }
+
+      pos++;
+      setKey(map, key, parseValue(rest, indent, line, true));
+    }
+
+    checkDedent(indent);
+    return map;
+  };
+
+  const parseSequence = (indent) => {
+    const list = [];
+
+    for (let line = peek(); line && line.indent === indent && isItem(line); line = peek()) {
+      const rest = line.text.slice(1).trim();
+
+      // "- key: value" starts a mapping indented past the dash
+      if (rest && !/^[#|>"'[{]/.test(rest) && /:(?:\s|$)/.test(rest)) {
+        const offset = line.indent + line.text.length - line.text.slice(1).trimStart().length;
+        lines[pos] = { ...line, indent: offset, text: rest };
+        list.push(parseMapping(offset));
+        continue;
+      }
+
+      pos++;
+      list.push(parseValue(rest, indent, line, false));
+    }
+
+    checkDedent(indent);
+    return list;
+  };
+
+  const first = peek();
+  if (!first) return {};
+  if (first.indent !== 0 || isItem(first)) {
+    throw yamlError('frontmatter must be a list of "key: value" lines', first.number);
+  }
+
+  const data = parseMapping(0);
+  const extra = peek();
+  if (extra) {
+    throw yamlError('unexpected content', extra.number);
+  }
+
+  return data;
+}
+
+/**
+ * Check if a string must be quoted to read back as the same string
+ * @param {string} text
+ * @param {boolean} inFlow - Inside [ ] or { }
+ * @returns {boolean}
+ */
+function needsQuotes(text, inFlow) {
+  return text === ''
+    || text !== text.trim()
+    || resolvePlain(text) !== text
+    || YAML_CORE_NUMBER.test(text)
+    || /^[-?:,[\]{}#&*!|>'"%@`]/.test(text)
+    || /: |:$| #|[\x00-\x1f\x7f\x85\u2028\u2029]/.test(text)
+    || (inFlow && /[,[\]{}]/.test(text));
+}
+
+/**
+ * Format a scalar for YAML
+ * @param {*} value
+ * @param {boolean} [inFlow]
+ * @returns {string}
+ */
+function formatScalar(value, inFlow = false) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'boolean') return String(value);
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : 'null';
+
+  const text = String(value);
+  return needsQuotes(text, inFlow) ? JSON.stringify(text) : text;
+}
+
+/**
+ * Check if a string reads best as a literal (|) block
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isLiteralBlock(value) {
+  return typeof value === 'string'
+    && value.includes('\n')
+    && /[^\n]/.test(value)
+    && !/^\n*[ \t]/.test(value)
+    && !/[\x00-\x08\x0b-\x1f\x7f\x85\u2028\u2029]/.test(value);
+}
+
+/**
+ * Check if a value is a (non-array) object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Format one mapping entry or sequence item as YAML lines
+ * @param {string} prefix - 'key:' or '-', already indented
+ * @param {*} value
+ * @param {number} indent - Indentation of the prefix
+ * @returns {string[]}
+ */
+function formatYamlValue(prefix, value, indent) {
+  const pad = ' '.repeat(indent + 2);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${prefix} []`];
+
+    const scalars = value.every(item => item === null || typeof item !== 'object');
+    const flow = `[${value.map(item => formatScalar(item, true)).join(', ')}]`;
+    if (scalars && !value.some(isLiteralBlock) && prefix.length + flow.length < YAML_LINE_WIDTH) {
+      return [`${prefix} ${flow}`];
+    }
+
+    return [prefix, ...value.flatMap(item => {
+      const lines = isPlainObject(item) ? stringifyYaml(item, indent + 4) : [];
+      if (lines.length === 0) {
+        return formatYamlValue(`${pad}-`, item, indent + 2);
+      }
+      // A mapping item starts on the dash line: "- key: value"
+      lines[0] = `${pad}- ${lines[0].trimStart()}`;
+      return lines;
+    })];
+  }
+
+  if (isPlainObject(value)) {
+    const lines = stringifyYaml(value, indent + 2);
+    return lines.length === 0 ? [`${prefix} {}`] : [prefix, ...lines];
+  }
+
+  if (isLiteralBlock(value)) {
+    const chomp = !value.endsWith('\n') ? '-' : value.endsWith('\n\n') ? '+' : '';
+    const body = chomp === '-' ? value : value.slice(0, -1);
+    return [`${prefix} |${chomp}`, ...body.split('\n').map(line => line ? `${pad}${line}` : '')];
+  }
+
+  return [`${prefix} ${formatScalar(value)}`];
+}
+
+/**
+ * Serialize an object as YAML frontmatter lines. parseYaml() reads the
+ * result back to equal values, in the same key order.
+ * @param {Object} data
+ * @param {number} [indent]
+ * @returns {string[]}
+ */
+function stringifyYaml(data, indent = 0) {
+  const lines = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+    const name = /^[A-Za-z0-9_][\w.-]*$/.test(key) && resolvePlain(key) === key ? key : JSON.stringify(key);
+    lines.push(...formatYamlValue(`${' '.repeat(indent)}${name}:`, value, indent));
+  }
+
+  return lines;
+}
+
+/**
+ * Read frontmatter that is not valid YAML line by line, so a
+ * hand-edited file still opens with whatever could be read
+ * @param {string} block
+ * @returns {Object}
+ */
+function parseLooseFrontmatter(block) {
+  const frontmatter = {};
   
-  lines.push('# 11. Night Close Reflection');
-  lines.push(entry.section_11 || '');
+  for (const line of block.split(/\r?\n/)) {
+    const colonIndex = line.indexOf(':');
+    if (colonIndex > 0 && !/^\s/.test(line)) {
+      const key = line.slice(0, colonIndex).trim();
+      const value = line.slice(colonIndex + 1).trim();
+      
+      try {
+        setKey(frontmatter, key, parseInline(value, 0));
+      } catch {
+        setKey(frontmatter, key, value);
+      }
+    }
+  }
   
-  return lines.join('\n');
+  return frontmatter;
 }
 
 /**
  * Parse frontmatter from markdown string
  * @param {string} markdown - Markdown string
- * @returns {{frontmatter: Object, content: string}}
+ * @returns {{frontmatter: Object, content: string, warnings: string[]}}
  */
 function parseFrontmatter(markdown) {
-  const frontmatter = {};
+  let frontmatter = {};
   let content = markdown;
+  const warnings = [];
   
   const match = markdown.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
   if (match) {
-    const yamlBlock = match[1];
     content = match[2];
     
-    const lines = yamlBlock.split(/\r?\n/);
-    for (const line of lines) {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const key = line.slice(0, colonIndex).trim();
-        let value = line.slice(colonIndex + 1).trim();
-        
-        if (!isNaN(Number(value))) {
-          value = Number(value);
-        }
-        
-        frontmatter[key] = value;
-      }
+    try {
+      frontmatter = parseYaml(match[1]);
+    } catch (error) {
+      warnings.push(error.message);
+      frontmatter = parseLooseFrontmatter(match[1]);
     }
   }
   
-  return { frontmatter, content };
+  return { frontmatter, content, warnings };
+}
+
+/**
+ * Copy an object without some keys
+ * @param {Object} object
+ * @param {string[]} keys
+ * @returns {Object}
+ */
+function omitKeys(object, keys) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    if (!keys.includes(key)) {
+      setKey(result, key, value);
+    }
+  }
+  return result;
+}
+
+/**
+ * Compare heading text with a template title (case and spacing ignored)
+ * @param {string} text
+ * @param {string} title
+ * @returns {boolean}
+ */
+function sameTitle(text, title) {
+  const simplify = (value) => value.trim().replace(/\s+/g, ' ').toLowerCase();
+  return simplify(text) === simplify(title);
+}
+
+/**
+ * Drop leading blank lines and trailing whitespace from a block of text
+ * @param {string} text
+ * @returns {string}
+ */
+function trimBlock(text) {
+  return text.replace(/^(?:[ \t]*\n)+/, '').replace(/\s+$/, '');
+}
+
+/**
+ * Find the `# N. Title` and `## Title` headings of a markdown body,
+ * skipping fenced code blocks
+ * @param {string[]} lines
+ * @returns {Array<{line: number, level: number, text: string, raw: string}>}
+ */
+function findHeadings(lines) {
+  const headings = [];
+  let fence = null;
+  
+  lines.forEach((raw, line) => {
+    const fenceMatch = raw.match(FENCE_PATTERN);
+    if (fenceMatch) {
+      if (!fence) {
+        fence = fenceMatch[1];
+      } else if (fenceMatch[1] === fence) {
+        fence = null;
+      }
+      return;
+    }
+    if (fence) return;
+    
+    const section = raw.match(SECTION_HEADING);
+    if (section) {
+      headings.push({ line, level: 1, text: section[1], raw });
+      return;
+    }
+    
+    const sub = raw.match(SUBSECTION_HEADING);
+    if (sub) {
+      headings.push({ line, level: 2, text: sub[1], raw });
+    }
+  });
+  
+  return headings;
 }
 
 /**
- * Parse section content from markdown
+ * Parse section content from markdown. Sections are anchored on their
+ * canonical `# N. Title` heading and subsections on `## Title` within
+ * their section, so headings people write inside a section stay part
+ * of its text. Text outside any field (before the first section, or
+ * under a section heading before its first subsection) is returned as
+ * `extra` for toMarkdown() to write back.
  * @param {string} content - Markdown content (without frontmatter)
- * @returns {Object} Sections object
+ * @param {Object} template - Template the entry was written with
+ * @returns {{fields: Object, extra: {preamble: string, intros: Object}|null, warnings: string[]}}
  */
-function parseSections(content) {
-  const sections = {};
+function parseSections(content, template) {
   const lines = content.split(/\r?\n/);
+  const headings = findHeadings(lines);
+  const used = new Set();
+  const warnings = [];
   
-  let currentSection = null;
-  let currentSubsection = null;
-  let buffer = [];
-  
-  const flushBuffer = () => {
-    if (currentSection !== null) {
-      const key = currentSubsection ? `section_${currentSection}${currentSubsection}` : `section_${currentSection}`;
-      sections[key] = buffer.join('\n').trim();
-    }
-    buffer = [];
+  const claim = (level, title, from, to) => {
+    const heading = headings.find(h => h.level === level && !used.has(h)
+      && h.line > from && h.line < to && sameTitle(h.text, title));
+    if (heading) used.add(heading);
+    return heading;
   };
   
-  for (const line of lines) {
-    const mainMatch = line.match(/^#\s+(\d+)\./);
-    if (mainMatch) {
-      flushBuffer();
-      currentSection = parseInt(mainMatch[1], 10);
-      currentSubsection = null;
-      continue;
+  const sectionAnchors = [];
+  for (const section of template.sections) {
+    const heading = claim(1, section.title, -1, lines.length);
+    if (heading) {
+      sectionAnchors.push({ line: heading.line, key: section.key, section });
     }
+  }
+  sectionAnchors.sort((a, b) => a.line - b.line);
+  
+  const anchors = [];
+  sectionAnchors.forEach((anchor, i) => {
+    const subsections = anchor.section.subsections || [];
+    anchors.push({ ...anchor, intro: subsections.length > 0 });
     
-    const subMatch = line.match(/^##\s+(Health|Skill|Money|Leverage|Mind)/i);
-    if (subMatch && currentSection === 4) {
-      flushBuffer();
-      const subName = subMatch[1].toLowerCase();
-      const subMap = { health: 'a', skill: 'b', money: 'c', leverage: 'd', mind: 'e' };
-      currentSubsection = subMap[subName];
-      continue;
+    const end = i + 1 < sectionAnchors.length ? sectionAnchors[i + 1].line : lines.length;
+    for (const sub of subsections) {
+      const heading = claim(2, sub.title, anchor.line, end);
+      if (heading) {
+        anchors.push({ line: heading.line, key: sub.key, intro: false });
+      }
+    }
+  });
+  anchors.sort((a, b) => a.line - b.line);
+  
+  const fields = {};
+  const intros = {};
+  const text = (from, to) => trimBlock(lines.slice(from, to).join('\n'));
+  const preamble = text(0, anchors.length > 0 ? anchors[0].line : lines.length);
+  
+  anchors.forEach((anchor, i) => {
+    const body = text(anchor.line + 1, i + 1 < anchors.length ? anchors[i + 1].line : lines.length);
+    if (!anchor.intro) {
+      fields[anchor.key] = body;
+    } else if (body) {
+      intros[anchor.key] = body;
+    }
+  });
+  
+  for (const heading of headings) {
+    if (heading.level === 1 && !used.has(heading)) {
+      warnings.push(`"${heading.raw.trim()}" is not a section of ${template.name}; kept as text`);
     }
-    
-    buffer.push(line);
   }
   
-  flushBuffer();
+  if (anchors.length === 0 && preamble) {
+    warnings.push(`No ${template.name} sections found; the text is kept as is`);
+  } else if (preamble) {
+    warnings.push('Text before the first section is kept as is');
+  }
   
-  return sections;
+  const extra = preamble || Object.keys(intros).length > 0 ? { preamble, intros } : null;
+  return { fields, extra, warnings };
 }
 
 /**
- * Convert Markdown string to entry object
+ * Parse entry markdown, reporting anything that did not fit the
+ * entry's template (nothing is dropped)
  * @param {string} markdown - Markdown string
- * @returns {Object} Entry object
+ * @param {{migrate?: boolean}} [options] - migrate: false keeps the stored schema
+ * @returns {{entry: Object, warnings: string[]}}
  */
-function fromMarkdown(markdown) {
-  const { frontmatter, content } = parseFrontmatter(markdown);
-  const sections = parseSections(content);
+function parseEntry(markdown, { migrate = true } = {}) {
+  const { frontmatter, content, warnings } = parseFrontmatter(markdown);
+  const ref = frontmatter.template ? String(frontmatter.template) : LEGACY_REF;
+  const template = getTemplate(ref);
+  const { fields, extra, warnings: sectionWarnings } = parseSections(content, template);
+  const metrics = {};
+  
+  for (const metric of getMetrics(template)) {
+    const value = coerceMetric(metric, frontmatter[metric.key]);
+    metrics[metric.key] = value === undefined ? getMetricDefault(metric) : value;
+    
+    const problem = checkMetric(metric, value);
+    if (problem) {
+      warnings.push(`${problem}; kept as written`);
+    }
+  }
+  
+  if (content === markdown && markdown.trim()) {
+    warnings.push('No frontmatter found; metrics use their defaults');
+  }
   
   const entry = {
-    schema: frontmatter.schema || 1,
-    date: frontmatter.date || '',
-    score: frontmatter.score ?? 5,
-    discipline: frontmatter.discipline ?? 5,
-    focus: frontmatter.focus ?? 5,
-    energy: frontmatter.energy ?? 5,
-    mood: frontmatter.mood ?? 5,
-    net_worth_delta: frontmatter.net_worth_delta ?? 0,
-    ...sections
+    schema: Number(frontmatter.schema) || 1,
+    date: frontmatter.date ? String(frontmatter.date) : '',
+    template: ref,
+    tags: normalizeTags(frontmatter.tags),
+    habits: frontmatter.habits === undefined ? null : parseHabits(frontmatter.habits),
+    ...metrics,
+    frontmatter: omitKeys(frontmatter, getFrontmatterKeys(template)),
+    ...fields
+  };
+  
+  if (extra) {
+    entry.extra = extra;
+  }
+  
+  return {
+    entry: migrate ? migrateEntry(entry) : entry,
+    warnings: [...warnings, ...sectionWarnings]
   };
+}
+
+/**
+ * Convert Markdown string to entry object, migrated to the current schema
+ * @param {string} markdown - Markdown string
+ * @param {{migrate?: boolean}} [options] - migrate: false keeps the stored schema
+ * @returns {Object} Entry object
+ */
+function fromMarkdown(markdown, options) {
+  return parseEntry(markdown, options).entry;
+}
+
+/**
+ * Normalize a tag: lowercase, no leading '#', words joined by '-'
+ * @param {string} tag
+ * @returns {string} Empty if nothing usable is left
+ */
+function normalizeTag(tag) {
+  return String(tag ?? '')
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9_/-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a list of tags, dropping empties and duplicates
+ * @param {Array<string>|string} tags - List, or comma-separated text
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Read the done habits from frontmatter
+ * @param {Array<string>|string|null} habits - List, or comma-separated text
+ * @returns {string[]} Habit keys
+ */
+function parseHabits(habits) {
+  const list = Array.isArray(habits) ? habits : String(habits ?? '').split(',');
+  return [...new Set(list.map(habit => String(habit ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Check whether an entry records a habit as done
+ * @param {Object} entry - Parsed entry
+ * @param {string} key - Habit key
+ * @returns {boolean|null} null if the entry predates habit tracking
+ */
+function isHabitDone(entry, key) {
+  if (!Array.isArray(entry.habits)) return null;
+  return entry.habits.includes(key);
+}
+
+/**
+ * Parse the task items of a checklist section
+ * @param {string} text - Section text
+ * @returns {Array<{text: string, done: boolean, state: string}>} state is 'open', 'done' or 'dropped'
+ */
+function parseChecklist(text) {
+  const items = [];
   
-  return migrateEntry(entry);
+  for (const line of (text || '').split(/\r?\n/)) {
+    const match = line.match(TASK_PATTERN);
+    if (match) {
+      const state = TASK_STATES[match[2]];
+      items.push({ text: match[4].trim(), done: state === 'done', state });
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Change the state of one task item in a section's text
+ * @param {string} text - Section text
+ * @param {number} index - Which task item (0-based, other lines not counted)
+ * @param {string} state - 'open', 'done' or 'dropped'
+ * @returns {string}
+ */
+function setTaskState(text, index, state) {
+  let n = 0;
+  
+  return (text || '')
+    .split('\n')
+    .map(line => {
+      const match = line.match(TASK_PATTERN);
+      if (!match || n++ !== index) return line;
+      return `${match[1]}${TASK_MARKS[state]}${match[3]}${match[4]}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Reduce a task's text to what identifies it across days
+ * @param {string} text
+ * @returns {string}
+ */
+function getTaskKey(text) {
+  return text.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Get the task items of an entry's priorities sections
+ * @param {Object} entry - Parsed entry
+ * @returns {Array<{key: string, text: string, done: boolean, state: string}>}
+ */
+function getPriorities(entry) {
+  const items = [];
+  
+  for (const field of getFields(getTemplate(entry.template))) {
+    if (!field.priorities) continue;
+    
+    for (const item of parseChecklist(entry[field.key])) {
+      items.push({ key: field.key, ...item });
+    }
+  }
+  
+  return items;
 }
 
 /**
- * Migrate entry to current schema version
+ * Get the priorities an entry left open that another entry does not
+ * already have, e.g. to carry over from yesterday to today
+ * @param {Object} previous - Earlier entry
+ * @param {Object} entry - Later entry
+ * @returns {string[]} Task texts
+ */
+function getCarryOver(previous, entry) {
+  const existing = new Set(getPriorities(entry).map(item => getTaskKey(item.text)));
+  
+  return getPriorities(previous)
+    .filter(item => item.state === 'open' && !existing.has(getTaskKey(item.text)))
+    .map(item => item.text);
+}
+
+/**
+ * Add open priorities to an entry (to its first priorities section)
+ * @param {Object} entry
+ * @param {string[]} texts - Task texts
+ * @returns {Object} Updated entry
+ */
+function addPriorities(entry, texts) {
+  const field = getFields(getTemplate(entry.template)).find(f => f.priorities);
+  if (!field || texts.length === 0) return entry;
+  
+  const current = (entry[field.key] || '').replace(/\s+$/, '');
+  const tasks = texts.map(text => `- [ ] ${text}`).join('\n');
+  
+  return { ...entry, [field.key]: current ? `${current}\n${tasks}` : tasks };
+}
+
+/**
+ * Get the task items of every checklist section of an entry
+ * @param {Object} entry - Parsed entry
+ * @returns {Array<{key: string, title: string, text: string, done: boolean}>}
+ */
+function getChecklist(entry) {
+  const items = [];
+  
+  for (const field of getFields(getTemplate(entry.template))) {
+    if (!field.checklist) continue;
+    
+    for (const item of parseChecklist(entry[field.key])) {
+      items.push({ key: field.key, title: field.title, ...item });
+    }
+  }
+  
+  return items;
+}
+
+/**
+ * Turn the bullet lines of a checklist section into task items.
+ * Bullets starting with a check mark (or `[x]`) are marked done.
+ * @param {string} text
+ * @returns {string}
+ */
+function bulletsToTasks(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => {
+      if (TASK_PATTERN.test(line)) return line;
+      
+      const match = line.match(BULLET_PATTERN);
+      if (!match || !match[2].trim()) return line;
+      
+      const done = DONE_PATTERN.test(match[2]);
+      return `${match[1]}- [${done ? 'x' : ' '}] ${match[2].replace(DONE_PATTERN, '')}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Collect #hashtags written in an entry's sections
+ * @param {Object} entry
+ * @returns {string[]}
+ */
+function findHashtags(entry) {
+  const tags = [];
+  
+  for (const field of getFields(getTemplate(entry.template))) {
+    for (const match of (entry[field.key] || '').matchAll(HASHTAG_PATTERN)) {
+      tags.push(match[2]);
+    }
+  }
+  
+  return tags;
+}
+
+/**
+ * Registered migrations, keyed by the schema they upgrade from.
+ * Each takes an entry of that version and returns a new entry one
+ * version up; they must not modify their input.
+ */
+const MIGRATIONS = {
+  /**
+   * 1 → 2: bullets in checklist sections become task items and
+   * #hashtags written in the text become tags
+   */
+  1: (entry) => {
+    const next = { ...entry, schema: 2 };
+    
+    for (const field of getFields(getTemplate(entry.template))) {
+      if (field.checklist && next[field.key]) {
+        next[field.key] = bulletsToTasks(next[field.key]);
+      }
+    }
+    
+    next.tags = normalizeTags([...(entry.tags || []), ...findHashtags(entry)]);
+    return next;
+  },
+  
+  /**
+   * 2 → 3: bullets and numbered lines in priorities sections become
+   * task items
+   */
+  2: (entry) => {
+    const next = { ...entry, schema: 3 };
+    
+    for (const field of getFields(getTemplate(entry.template))) {
+      if (field.priorities && next[field.key]) {
+        next[field.key] = bulletsToTasks(next[field.key]);
+      }
+    }
+    
+    return next;
+  }
+};
+
+/**
+ * Migrate entry to current schema version. Entries written by a newer
+ * version of the app are returned unchanged.
  * @param {Object} entry - Entry to migrate
  * @returns {Object} Migrated entry
  */
 function migrateEntry(entry) {
   let version = entry.schema || 1;
   
-  const migrations = {
-  };
-  
   while (version < CURRENT_SCHEMA) {
-    const key = `${version}→${version + 1}`;
-    if (migrations[key]) {
-      entry = migrations[key](entry);
+    const migrate = MIGRATIONS[version];
+    if (!migrate) {
+      throw new Error(`No migration from schema ${version}`);
     }
+    entry = migrate(entry);
     version++;
   }
   
-  entry.schema = CURRENT_SCHEMA;
-  return entry;
+  return { ...entry, schema: version };
+}
+
+/**
+ * Read the schema version of entry markdown (also readable when encrypted)
+ * @param {string} markdown
+ * @returns {number}
+ */
+function getSchema(markdown) {
+  return Number(parseFrontmatter(markdown || '').frontmatter.schema) || 1;
+}
+
+/**
+ * Describe what migrating an entry changes, for upgrade reports
+ * @param {Object} before - Entry as stored
+ * @param {Object} after - Migrated entry
+ * @returns {string[]} e.g. ['3 checklist items', 'tags: travel']
+ */
+function describeMigration(before, after) {
+  const changes = [];
+  const tasks = getChecklist(after).length - getChecklist(before).length;
+  
+  if (tasks > 0) {
+    changes.push(`${tasks} checklist ${tasks === 1 ? 'item' : 'items'}`);
+  }
+  if (after.tags && after.tags.length > 0) {
+    changes.push(`tags: ${after.tags.join(', ')}`);
+  }
+  
+  return changes;
+}
+
+/**
+ * Get the first filled-in section of an entry, for previews
+ * @param {Object} entry - Parsed entry
+ * @returns {string}
+ */
+function getPreview(entry) {
+  for (const field of getFields(getTemplate(entry.template))) {
+    if (entry[field.key]) {
+      return entry[field.key];
+    }
+  }
+  return '';
 }
 
 /**
@@ -359,13 +1503,32 @@ function parseDateParts(date) {
 
 export {
   CURRENT_SCHEMA,
-  SECTIONS,
-  DEFAULT_SCORES,
   createEntry,
   validateEntry,
   toMarkdown,
+  parseEntry,
   fromMarkdown,
   migrateEntry,
+  getMetricDefaults,
+  coerceMetric,
+  checkMetric,
+  parseDuration,
+  formatDuration,
+  getSchema,
+  describeMigration,
+  parseYaml,
+  stringifyYaml,
+  normalizeTag,
+  normalizeTags,
+  isHabitDone,
+  parseChecklist,
+  setTaskState,
+  getTaskKey,
+  getChecklist,
+  getPriorities,
+  getCarryOver,
+  addPriorities,
+  getPreview,
   getTodayDate,
   getPreviousDate,
   getNextDate,
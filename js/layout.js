@@ -0,0 +1,139 @@
+/**
+ * Empire OS - Layout Module
+ * Where entry files live inside a backend: base folder and subfolder layout
+ */
+
+const LAYOUTS = {
+    FLAT: 'flat',
+    YEAR_MONTH: 'year-month'
+};
+
+const DEFAULT_OPTIONS = {
+    branch: '',
+    basePath: 'entries',
+    layout: LAYOUTS.FLAT
+};
+
+const ASSETS_DIR = 'assets';
+
+const ENTRY_FILE_PATTERN = /(?:^|\/)(\d{4}-\d{2}-\d{2})\.md$/;
+const ASSET_LINK_PATTERN = /(?:^|\/)assets\/(\d{4}-\d{2}-\d{2})\/([^/\s)]+)$/;
+const ASSET_LINK_TARGET = /\]\((?:\.\.\/\.\.\/)?assets\/(\d{4}-\d{2}-\d{2})\/([^/\s)#]+)/g;
+
+/**
+ * Normalize location options, filling in defaults
+ * @param {{branch?: string, basePath?: string, layout?: string}} options
+ * @returns {{branch: string, basePath: string, layout: string}}
+ */
+function normalizeOptions(options = {}) {
+    const merged = { ...DEFAULT_OPTIONS, ...options };
+
+    return {
+        branch: (merged.branch || '').trim(),
+        basePath: (merged.basePath || '').trim().replace(/^\/+|\/+$/g, '') || DEFAULT_OPTIONS.basePath,
+        layout: Object.values(LAYOUTS).includes(merged.layout) ? merged.layout : LAYOUTS.FLAT
+    };
+}
+
+/**
+ * Build the path of an entry file for a layout
+ * @param {string} date - YYYY-MM-DD
+ * @param {{basePath?: string, layout?: string}} options
+ * @returns {string} e.g. 'entries/2025-12-25.md' or 'entries/2025/12/2025-12-25.md'
+ */
+function getEntryPath(date, options = {}) {
+    const { basePath, layout } = normalizeOptions(options);
+
+    if (layout === LAYOUTS.YEAR_MONTH) {
+        return `${basePath}/${date.slice(0, 4)}/${date.slice(5, 7)}/${date}.md`;
+    }
+
+    return `${basePath}/${date}.md`;
+}
+
+/**
+ * Get the entry date from a file path, in either layout
+ * @param {string} path
+ * @returns {string|null} YYYY-MM-DD, or null if the path is not an entry file
+ */
+function parseEntryPath(path) {
+    const match = path.match(ENTRY_FILE_PATTERN);
+    return match ? match[1] : null;
+}
+
+/**
+ * Build the path of an attachment file: assets/<date>/ below the base folder
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name - Attachment file name
+ * @param {{basePath?: string}} options
+ * @returns {string} e.g. 'entries/assets/2025-12-25/photo.jpg'
+ */
+function getAssetPath(date, name, options = {}) {
+    const { basePath } = normalizeOptions(options);
+    return `${basePath}/${ASSETS_DIR}/${date}/${name}`;
+}
+
+/**
+ * Get the attachment a file below a base folder holds
+ * @param {string} path - e.g. 'entries/assets/2025-12-25/photo.jpg'
+ * @param {{basePath?: string}} options
+ * @returns {{date: string, name: string}|null} null for files outside <basePath>/assets/
+ */
+function parseAssetPath(path, options = {}) {
+    const { basePath } = normalizeOptions(options);
+    const prefix = `${basePath}/`;
+    if (!path.startsWith(prefix)) return null;
+
+    const match = path.slice(prefix.length).match(ASSET_LINK_PATTERN);
+    return match && match.index === 0 ? { date: match[1], name: match[2] } : null;
+}
+
+/**
+ * Build the link an entry uses to reference an attachment, relative to
+ * the entry file so it also resolves when browsing the repository
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name - Attachment file name
+ * @param {{layout?: string}} options
+ * @returns {string} e.g. 'assets/2025-12-25/photo.jpg' or '../../assets/2025-12-25/photo.jpg'
+ */
+function getAssetLink(date, name, options = {}) {
+    const { layout } = normalizeOptions(options);
+    const up = layout === LAYOUTS.YEAR_MONTH ? '../../' : '';
+    return `${up}${ASSETS_DIR}/${date}/${name}`;
+}
+
+/**
+ * Get the attachment an entry link points to, in either layout.
+ * The fragment (an encrypted attachment's key) is not part of the name.
+ * @param {string} link
+ * @returns {{date: string, name: string}|null}
+ */
+function parseAssetLink(link) {
+    const match = link.split('#')[0].match(ASSET_LINK_PATTERN);
+    return match ? { date: match[1], name: match[2] } : null;
+}
+
+/**
+ * Point an entry's attachment links at their place relative to the entry
+ * file in a layout. Encrypted entries have no readable links and come
+ * back unchanged; the app resolves their links in either layout.
+ * @param {string} markdown
+ * @param {{layout?: string}} options - Target layout
+ * @returns {string}
+ */
+function relinkAssets(markdown, options = {}) {
+    return markdown.replace(ASSET_LINK_TARGET, (match, date, name) => `](${getAssetLink(date, name, options)}`);
+}
+
+export {
+    LAYOUTS,
+    DEFAULT_OPTIONS,
+    normalizeOptions,
+    getEntryPath,
+    parseEntryPath,
+    getAssetPath,
+    parseAssetPath,
+    getAssetLink,
+    parseAssetLink,
+    relinkAssets
+};
@@ -0,0 +1,540 @@
+/**
+ * Empire OS - Local Folder Module
+ * File System Access API backend: entries are plain files in a folder on this device
+ */
+
+import * as DB from './db.js';
+import { DEFAULT_OPTIONS, normalizeOptions, getEntryPath as buildEntryPath, parseEntryPath, getAssetPath, parseAssetPath, relinkAssets } from './layout.js';
+
+const ID = 'local';
+const LABEL = 'Local Folder';
+const SUPPORTS_BRANCHES = false;
+const HANDLE_KEY = 'journal';
+
+let _root = null;
+let _options = null;
+const _paths = new Map();
+
+/**
+ * Check if this browser can open folders
+ * @returns {boolean}
+ */
+function isSupported() {
+    return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+}
+
+/**
+ * Initialize local folder module. The folder handle itself is loaded
+ * from IndexedDB on first use.
+ * @param {{basePath?: string, layout?: string}} config - Where entries live inside the folder
+ */
+function init(config) {
+    _root = null;
+    _options = normalizeOptions({ ...config, branch: '' });
+    _paths.clear();
+}
+
+/**
+ * Get current configuration
+ * @returns {{pat: null, repo: string|null, branch: string, basePath: string, layout: string}}
+ */
+function getConfig() {
+    return { pat: null, repo: _root ? _root.name : null, ...getOptions() };
+}
+
+/**
+ * Get folder options (base folder, layout)
+ * @returns {{branch: string, basePath: string, layout: string}}
+ */
+function getOptions() {
+    return { ...(_options || DEFAULT_OPTIONS) };
+}
+
+/**
+ * Build the path of an entry file
+ * @param {string} date - YYYY-MM-DD
+ * @param {{basePath: string, layout: string}} options - Defaults to the active options
+ * @returns {string}
+ */
+function getEntryPath(date, options = getOptions()) {
+    return buildEntryPath(date, options);
+}
+
+/**
+ * Get the path an entry is stored at, preferring the last listing
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string}
+ */
+function entryPath(date) {
+    return _paths.get(date) || getEntryPath(date);
+}
+
+/**
+ * Ask the user for the journal folder and remember it
+ * @returns {Promise<{login: null, name: string}>}
+ */
+async function validate() {
+    if (!isSupported()) {
+        throw new Error('This browser cannot open local folders');
+    }
+
+    let handle;
+    try {
+        handle = await window.showDirectoryPicker({ id: 'empire-journal', mode: 'readwrite' });
+    } catch {
+        throw new Error('No folder selected');
+    }
+
+    await DB.put(DB.STORES.HANDLES, HANDLE_KEY, handle);
+    _root = handle;
+
+    return { login: null, name: handle.name };
+}
+
+/**
+ * Get the journal folder, checking write access is still granted
+ * @returns {Promise<FileSystemDirectoryHandle>}
+ */
+async function getRoot() {
+    if (!_root) {
+        _root = await DB.get(DB.STORES.HANDLES, HANDLE_KEY) || null;
+    }
+
+    if (!_root) {
+        const error = new Error('No journal folder selected');
+        error.status = 401;
+        throw error;
+    }
+
+    if (await _root.queryPermission({ mode: 'readwrite' }) !== 'granted') {
+        const error = new Error('Access to the journal folder needs to be granted again');
+        error.status = 401;
+        throw error;
+    }
+
+    return _root;
+}
+
+/**
+ * Check if the folder is available without asking the user
+ * @returns {Promise<boolean>}
+ */
+async function isReady() {
+    try {
+        await getRoot();
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Ask again for write access to the remembered folder, e.g. after the
+ * browser dropped it on restart. Must run during a user gesture.
+ * @returns {Promise<{login: null, name: string}>}
+ */
+async function reconnect() {
+    // isReady already loaded the handle, so the prompt opens without waiting
+    const handle = _root || await DB.get(DB.STORES.HANDLES, HANDLE_KEY);
+
+    if (!handle) {
+        const error = new Error('No journal folder selected');
+        error.status = 401;
+        throw error;
+    }
+
+    if (await handle.requestPermission({ mode: 'readwrite' }) !== 'granted') {
+        const error = new Error('Access to the journal folder was not granted');
+        error.status = 401;
+        throw error;
+    }
+
+    _root = handle;
+    return { login: null, name: handle.name };
+}
+
+/**
+ * Walk to a directory below the root
+ * @param {string[]} segments
+ * @param {boolean} create - Create missing directories
+ * @returns {Promise<FileSystemDirectoryHandle|null>}
+ */
+async function getDirectory(segments, create = false) {
+    let dir = await getRoot();
+
+    for (const segment of segments) {
+        try {
+            dir = await dir.getDirectoryHandle(segment, { create });
+        } catch (error) {
+            if (error.name === 'NotFoundError') return null;
+            throw error;
+        }
+    }
+
+    return dir;
+}
+
+/**
+ * Build the version token of a file. Stands in for a blob SHA:
+ * it changes whenever the file is written.
+ * @param {File} file
+ * @returns {string}
+ */
+function getVersion(file) {
+    return `${file.lastModified}-${file.size}`;
+}
+
+/**
+ * Open a file without reading it
+ * @param {string} path - Path below the root
+ * @returns {Promise<File|null>}
+ */
+async function openFile(path) {
+    const segments = path.split('/');
+    const name = segments.pop();
+    const dir = await getDirectory(segments);
+    if (!dir) return null;
+
+    try {
+        return await (await dir.getFileHandle(name)).getFile();
+    } catch (error) {
+        if (error.name === 'NotFoundError') return null;
+        throw error;
+    }
+}
+
+/**
+ * Read a file
+ * @param {string} path - Path below the root
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getFile(path) {
+    const file = await openFile(path);
+    if (!file) return null;
+
+    return { content: await file.text(), sha: getVersion(file) };
+}
+
+/**
+ * Write a file, refusing when it changed since the known version
+ * @param {string} path - Path below the root
+ * @param {string|Blob} content
+ * @param {string|null} sha - Known version, null for new files
+ * @returns {Promise<{sha: string}>}
+ */
+async function putFile(path, content, sha = null) {
+    const existing = await openFile(path);
+
+    if (existing && getVersion(existing) !== sha) {
+        const error = new Error('Conflict: file was modified externally');
+        error.status = 409;
+        throw error;
+    }
+
+    const segments = path.split('/');
+    const name = segments.pop();
+    const dir = await getDirectory(segments, true);
+    const handle = await dir.getFileHandle(name, { create: true });
+
+    const writable = await handle.createWritable();
+    await writable.write(content);
+    await writable.close();
+
+    return { sha: getVersion(await handle.getFile()) };
+}
+
+/**
+ * Remove a file
+ * @param {string} path - Path below the root
+ * @returns {Promise<void>}
+ */
+async function deleteFile(path) {
+    const segments = path.split('/');
+    const name = segments.pop();
+    const dir = await getDirectory(segments);
+    if (!dir) return;
+
+    try {
+        await dir.removeEntry(name);
+    } catch (error) {
+        if (error.name !== 'NotFoundError') throw error;
+    }
+}
+
+/**
+ * List files below a directory
+ * @param {FileSystemDirectoryHandle} dir
+ * @param {string} prefix - Path prefix for returned paths
+ * @param {Function} [accept] - Called with each file name; defaults to entry files only
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listTreeFiles(dir, prefix, accept = parseEntryPath) {
+    const files = [];
+
+    for await (const handle of dir.values()) {
+        if (handle.kind === 'directory') {
+            files.push(...await listTreeFiles(handle, `${prefix}${handle.name}/`, accept));
+        } else if (accept(handle.name)) {
+            files.push({ path: prefix + handle.name, sha: getVersion(await handle.getFile()) });
+        }
+    }
+
+    return files;
+}
+
+/**
+ * Find entry files below a base folder, in either layout
+ * @param {{basePath: string}} options
+ * @returns {Promise<Array<{date: string, path: string, sha: string}>>} Newest first
+ */
+async function findEntryFiles(options) {
+    const { basePath } = normalizeOptions(options);
+    const dir = await getDirectory(basePath.split('/'));
+    if (!dir) return [];
+
+    const files = await listTreeFiles(dir, `${basePath}/`);
+
+    return files
+        .map(f => ({ date: parseEntryPath(f.path), path: f.path, sha: f.sha }))
+        .sort((a, b) => b.date.localeCompare(a.date));
+}
+
+/**
+ * Find attachment files below a base folder
+ * @param {{basePath: string}} options
+ * @returns {Promise<Array<{date: string, name: string, path: string, sha: string}>>}
+ */
+async function findAssetFiles(options) {
+    const { basePath } = normalizeOptions(options);
+    const dir = await getDirectory([...basePath.split('/'), 'assets']);
+    if (!dir) return [];
+
+    const files = await listTreeFiles(dir, `${basePath}/assets/`, () => true);
+
+    return files
+        .map(f => ({ ...parseAssetPath(f.path, options), path: f.path, sha: f.sha }))
+        .filter(f => f.date);
+}
+
+/**
+ * Get journal entry file as stored in the folder (not decrypted)
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getEntryFile(date) {
+    return getFile(entryPath(date));
+}
+
+/**
+ * Save journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} markdown - Entry content
+ * @param {string} sha - Known version (for updates)
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveEntry(date, markdown, sha = null) {
+    const path = entryPath(date);
+    const result = await putFile(path, markdown, sha);
+    _paths.set(date, path);
+    return result;
+}
+
+/**
+ * Delete journal entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} sha - Known version
+ * @returns {Promise<void>}
+ */
+async function deleteEntry(date, sha) {
+    const path = entryPath(date);
+    const existing = await getFile(path);
+
+    if (existing && existing.sha !== sha) {
+        const error = new Error('Conflict: file was modified externally');
+        error.status = 409;
+        throw error;
+    }
+
+    await deleteFile(path);
+    _paths.delete(date);
+}
+
+/**
+ * Read an app file that is not an entry (e.g. under .empire/)
+ * @param {string} path - Path from the folder root
+ * @returns {Promise<{content: string, sha: string}|null>}
+ */
+async function getConfigFile(path) {
+    return getFile(path);
+}
+
+/**
+ * List the app files directly in a folder (e.g. reviews/)
+ * @param {string} path - Folder path from the folder root
+ * @returns {Promise<Array<{path: string, sha: string}>>}
+ */
+async function listConfigFiles(path) {
+    const dir = await getDirectory(path.split('/'));
+    if (!dir) return [];
+
+    const files = [];
+    for await (const handle of dir.values()) {
+        if (handle.kind === 'file') {
+            files.push({ path: `${path}/${handle.name}`, sha: getVersion(await handle.getFile()) });
+        }
+    }
+    return files;
+}
+
+/**
+ * Write an app file that is not an entry
+ * @param {string} path - Path from the folder root
+ * @param {string} content
+ * @param {string|null} sha - Known version; throws status 409 when stale
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveConfigFile(path, content, sha = null) {
+    return putFile(path, content, sha);
+}
+
+/**
+ * Write an attachment next to its entry
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name - Unique attachment name
+ * @param {Blob} blob
+ * @returns {Promise<{sha: string}>}
+ */
+async function saveAttachment(date, name, blob) {
+    const path = getAssetPath(date, name, getOptions());
+    const existing = await openFile(path);
+    return putFile(path, blob, existing ? getVersion(existing) : null);
+}
+
+/**
+ * Read an attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @returns {Promise<Blob|null>}
+ */
+async function getAttachment(date, name) {
+    return openFile(getAssetPath(date, name, getOptions()));
+}
+
+/**
+ * List all journal entries with their version tokens
+ * @returns {Promise<Array<{date: string, sha: string}>>} Newest first
+ */
+async function listEntries() {
+    const files = await findEntryFiles(getOptions());
+
+    _paths.clear();
+    for (const file of files) {
+        _paths.set(file.date, file.path);
+    }
+
+    return files.map(f => ({ date: f.date, sha: f.sha }));
+}
+
+/**
+ * Check if two files hold the same bytes
+ * @param {Blob} a
+ * @param {Blob} b
+ * @returns {Promise<boolean>}
+ */
+async function isSameContent(a, b) {
+    if (a.size !== b.size) return false;
+
+    const [left, right] = (await Promise.all([a.arrayBuffer(), b.arrayBuffer()])).map(buffer => new Uint8Array(buffer));
+    return left.every((byte, i) => byte === right[i]);
+}
+
+/**
+ * Move every entry from one folder/layout to another, with its
+ * attachments, pointing attachment links at the new layout. Files
+ * already in the new location are never overwritten: when any of them
+ * differs from the file that would replace it, nothing is moved.
+ * @param {{basePath?: string, layout?: string}} from
+ * @param {{basePath?: string, layout?: string}} to
+ * @returns {Promise<number>} Number of entries moved
+ * @throws {Error} status 409 listing the conflicting paths
+ */
+async function moveEntries(from, to) {
+    const source = normalizeOptions(from);
+    const target = normalizeOptions(to);
+    const moves = [];
+
+    for (const file of await findAssetFiles(source)) {
+        moves.push({ from: file.path, to: getAssetPath(file.date, file.name, target), content: await openFile(file.path) });
+    }
+
+    for (const file of await findEntryFiles(source)) {
+        // Links are relative to the entry file, so a new layout changes them
+        const { content } = await getFile(file.path);
+        moves.push({ from: file.path, to: getEntryPath(file.date, target), content: new Blob([relinkAssets(content, target)]), entry: true });
+    }
+
+    const pending = moves.filter(move => move.from !== move.to);
+    const conflicts = [];
+
+    for (const move of pending) {
+        const existing = await openFile(move.to);
+        if (!existing) continue;
+
+        // Left behind by an earlier, interrupted move
+        if (await isSameContent(existing, move.content)) {
+            move.written = true;
+        } else {
+            conflicts.push(move.to);
+        }
+    }
+
+    if (conflicts.length > 0) {
+        const shown = conflicts.slice(0, 3).join(', ') + (conflicts.length > 3 ? ` and ${conflicts.length - 3} more` : '');
+        const error = new Error(`Nothing was moved: ${shown} already ${conflicts.length === 1 ? 'exists' : 'exist'} in the new location`);
+        error.status = 409;
+        throw error;
+    }
+
+    for (const move of pending) {
+        if (!move.written) {
+            await putFile(move.to, move.content, null);
+        }
+        await deleteFile(move.from);
+    }
+
+    _paths.clear();
+    return pending.filter(move => move.entry).length;
+}
+
+/**
+ * A local folder is always reachable
+ * @returns {boolean}
+ */
+function isOnline() {
+    return true;
+}
+
+export {
+    ID,
+    LABEL,
+    SUPPORTS_BRANCHES,
+    isSupported,
+    init,
+    getConfig,
+    getOptions,
+    getEntryPath,
+    validate,
+    isReady,
+    reconnect,
+    getEntryFile,
+    saveEntry,
+    deleteEntry,
+    saveAttachment,
+    getAttachment,
+    getConfigFile,
+    saveConfigFile,
+    listConfigFiles,
+    listEntries,
+    moveEntries,
+    isOnline
+};
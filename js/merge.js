@@ -0,0 +1,151 @@
+/**
+ * Empire OS - Merge Module
+ * Section-level three-way merge of journal entries
+ */
+
+import { getTemplate, getFields } from './templates.js';
+
+const RESOLUTIONS = {
+    LOCAL: 'local',
+    REMOTE: 'remote',
+    BOTH: 'both'
+};
+
+/**
+ * Get human-readable label for an entry field
+ * @param {string} key - e.g. 'focus', 'section_3', 'section_4b'
+ * @param {string} [templateRef] - Template of the entry the field belongs to
+ * @returns {string}
+ */
+function getFieldLabel(key, templateRef) {
+    const field = getFields(getTemplate(templateRef)).find(f => f.key === key);
+    if (!field) {
+        return key.split('_').map(w => w.charAt(0).toUpperCase() + w.slice(1)).join(' ');
+    }
+
+    if (field.parent) {
+        return `${field.number}. ${field.parent} — ${field.title}`;
+    }
+
+    return `${field.number}. ${field.title}`;
+}
+
+/**
+ * Normalize a field value for comparison
+ * @param {*} value
+ * @returns {string}
+ */
+function normalize(value) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value).trim();
+}
+
+/**
+ * Three-way merge of a list field (tags): additions and removals
+ * made on either side are both kept, so lists never conflict
+ * @param {Array|undefined} base
+ * @param {Array|undefined} local
+ * @param {Array|undefined} remote
+ * @returns {Array}
+ */
+function mergeLists(base, local, remote) {
+    const l = local || [];
+    const r = remote || [];
+    const removed = (base || []).filter(item => !l.includes(item) || !r.includes(item));
+
+    return [...new Set([...l, ...r])].filter(item => !removed.includes(item));
+}
+
+/**
+ * Three-way merge entries field by field (frontmatter fields and sections)
+ * @param {Object|null} base - Last synced version, null if unknown
+ * @param {Object} local - Local version
+ * @param {Object} remote - Remote version
+ * @returns {{merged: Object, conflicts: Array<{key: string, label: string, template: string, base: *, local: *, remote: *}>}}
+ */
+function mergeEntries(base, local, remote) {
+    const merged = {};
+    const conflicts = [];
+    const ancestor = base || {};
+
+    const keys = new Set([
+        ...Object.keys(ancestor),
+        ...Object.keys(local),
+        ...Object.keys(remote)
+    ]);
+
+    for (const key of keys) {
+        if (Array.isArray(local[key]) || Array.isArray(remote[key])) {
+            merged[key] = mergeLists(ancestor[key], local[key], remote[key]);
+            continue;
+        }
+
+        const b = normalize(ancestor[key]);
+        const l = normalize(local[key]);
+        const r = normalize(remote[key]);
+
+        if (l === r || r === b) {
+            merged[key] = local[key] ?? remote[key];
+        } else if (l === b) {
+            merged[key] = remote[key] ?? local[key];
+        } else {
+            merged[key] = local[key] ?? remote[key];
+            conflicts.push({
+                key,
+                label: getFieldLabel(key, local.template),
+                template: local.template,
+                base: ancestor[key],
+                local: local[key],
+                remote: remote[key]
+            });
+        }
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Apply conflict resolutions to a merged entry
+ * @param {Object} merged
+ * @param {Array<{key: string, local: *, remote: *}>} conflicts
+ * @param {Object} choices - Map of key -> RESOLUTIONS value
+ * @returns {Object}
+ */
+function applyResolutions(merged, conflicts, choices) {
+    const result = { ...merged };
+
+    for (const conflict of conflicts) {
+        const choice = choices[conflict.key] || RESOLUTIONS.LOCAL;
+
+        if (choice === RESOLUTIONS.REMOTE) {
+            result[conflict.key] = conflict.remote;
+        } else if (choice === RESOLUTIONS.BOTH) {
+            result[conflict.key] = [normalize(conflict.local), normalize(conflict.remote)]
+                .filter(Boolean)
+                .join('\n\n');
+        } else {
+            result[conflict.key] = conflict.local;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Check if a field holds free text that can be combined
+ * @param {string} key
+ * @param {string} [templateRef] - Template of the entry the field belongs to
+ * @returns {boolean}
+ */
+function isTextField(key, templateRef) {
+    return key.startsWith('section_') || getFields(getTemplate(templateRef)).some(f => f.key === key);
+}
+
+export {
+    RESOLUTIONS,
+    getFieldLabel,
+    mergeEntries,
+    applyResolutions,
+    isTextField
+};
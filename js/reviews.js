@@ -0,0 +1,346 @@
+/**
+ * Empire OS - Reviews Module
+ * Weekly, monthly and yearly reviews: the periods they cover, where they
+ * are stored and the draft a new review starts from.
+ * A review is a markdown file like an entry, written with the review
+ * template and stored as reviews/<period>.md, e.g. reviews/2025-W52.md
+ * (ISO week), reviews/2025-12.md or reviews/2025.md.
+ */
+
+import { createEntry, getPriorities, getTaskKey, formatDuration, getTodayDate } from './journal.js';
+import { getReviewTemplate } from './templates.js';
+
+const REVIEWS_PATH = 'reviews';
+
+const PERIOD_TYPES = ['week', 'month', 'year'];
+
+const PERIOD_PATTERNS = {
+    week: /^(\d{4})-W(\d{2})$/,
+    month: /^(\d{4})-(\d{2})$/,
+    year: /^(\d{4})$/
+};
+
+// Daily sections a new review collects from
+const WINS_FIELD = 'section_9';
+const FAILURES_FIELD = 'section_7';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Read a YYYY-MM-DD date as midnight UTC
+ * @param {string} date
+ * @returns {Date}
+ */
+function toUTC(date) {
+    return new Date(`${date}T00:00:00Z`);
+}
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {Date} d
+ * @returns {string}
+ */
+function toISODate(d) {
+    return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the Monday of week 1 of an ISO week-numbering year
+ * @param {number} year
+ * @returns {Date}
+ */
+function getFirstMonday(year) {
+    // January 4th is always in week 1
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    return new Date(jan4.getTime() - ((jan4.getUTCDay() + 6) % 7) * DAY_MS);
+}
+
+/**
+ * Get the id of the period of a type that contains a date
+ * @param {string} type - 'week', 'month' or 'year'
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. '2025-W52', '2025-12', '2025'
+ */
+function getPeriodId(type, date) {
+    if (type === 'year') return date.slice(0, 4);
+    if (type === 'month') return date.slice(0, 7);
+
+    // The ISO week belongs to the year its Thursday falls in
+    const d = toUTC(date);
+    const thursday = new Date(d.getTime() + (3 - (d.getUTCDay() + 6) % 7) * DAY_MS);
+    const year = thursday.getUTCFullYear();
+    const week = Math.floor((thursday - getFirstMonday(year)) / (7 * DAY_MS)) + 1;
+
+    return `${year}-W${String(week).padStart(2, '0')}`;
+}
+
+/**
+ * Parse a period id
+ * @param {string} id - e.g. '2025-W52', '2025-12', '2025'
+ * @returns {{id: string, type: string, start: string, end: string}|null} null if not a period
+ */
+function parsePeriod(id) {
+    const text = String(id || '');
+
+    for (const type of PERIOD_TYPES) {
+        const match = text.match(PERIOD_PATTERNS[type]);
+        if (!match) continue;
+
+        const year = parseInt(match[1], 10);
+        let start;
+        let end;
+
+        if (type === 'week') {
+            start = new Date(getFirstMonday(year).getTime() + (parseInt(match[2], 10) - 1) * 7 * DAY_MS);
+            end = new Date(start.getTime() + 6 * DAY_MS);
+        } else if (type === 'month') {
+            const month = parseInt(match[2], 10);
+            if (month < 1 || month > 12) return null;
+            start = new Date(Date.UTC(year, month - 1, 1));
+            end = new Date(Date.UTC(year, month, 0));
+        } else {
+            start = new Date(Date.UTC(year, 0, 1));
+            end = new Date(Date.UTC(year, 11, 31));
+        }
+
+        const period = { id: text, type, start: toISODate(start), end: toISODate(end) };
+
+        // Rejects week 00 and week 53 of years that have 52
+        return getPeriodId(type, period.start) === text ? period : null;
+    }
+
+    return null;
+}
+
+/**
+ * Get the id of the period before another of the same type
+ * @param {string} id
+ * @returns {string|null}
+ */
+function getPreviousPeriodId(id) {
+    const period = parsePeriod(id);
+    if (!period) return null;
+
+    return getPeriodId(period.type, toISODate(new Date(toUTC(period.start).getTime() - DAY_MS)));
+}
+
+/**
+ * Get a period's display name
+ * @param {string} id
+ * @returns {string} e.g. 'Week 52, 2025', 'December 2025', '2025'
+ */
+function getPeriodLabel(id) {
+    const period = parsePeriod(id);
+    if (!period) return id;
+
+    if (period.type === 'week') {
+        return `Week ${parseInt(id.slice(6), 10)}, ${id.slice(0, 4)}`;
+    }
+    if (period.type === 'month') {
+        return toUTC(period.start).toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+    return id;
+}
+
+/**
+ * Get the periods worth reviewing around a date: the current and
+ * previous week and month, and the current year
+ * @param {string} [date] - YYYY-MM-DD, defaults to today
+ * @returns {string[]} Period ids
+ */
+function getSuggestedPeriods(date = getTodayDate()) {
+    const week = getPeriodId('week', date);
+    const month = getPeriodId('month', date);
+
+    return [week, getPreviousPeriodId(week), month, getPreviousPeriodId(month), getPeriodId('year', date)];
+}
+
+/**
+ * Get the repository path of a review
+ * @param {string} id - Period id
+ * @returns {string} e.g. 'reviews/2025-W52.md'
+ */
+function getReviewPath(id) {
+    return `${REVIEWS_PATH}/${id}.md`;
+}
+
+/**
+ * Get the period a review file covers
+ * @param {string} path - e.g. 'reviews/2025-W52.md'
+ * @returns {string|null} Period id, null for other files
+ */
+function parseReviewPath(path) {
+    const prefix = `${REVIEWS_PATH}/`;
+    const text = String(path || '');
+    if (!text.startsWith(prefix) || !text.endsWith('.md')) return null;
+
+    const id = text.slice(prefix.length, -3);
+    return parsePeriod(id) ? id : null;
+}
+
+/**
+ * Get the period a parsed review covers
+ * @param {Object} entry
+ * @returns {string|null}
+ */
+function getReviewId(entry) {
+    const id = entry && entry.frontmatter ? String(entry.frontmatter.review || '') : '';
+    return parsePeriod(id) ? id : null;
+}
+
+/**
+ * Format a day for a review list
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string} e.g. 'Mon, Dec 22'
+ */
+function formatDay(date) {
+    return toUTC(date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Format a number for a review's summary
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumber(value) {
+    return String(Math.round(value * 10) / 10);
+}
+
+/**
+ * Describe a metric's values over a period
+ * @param {{metric: Object, count: number, average: number, total: number}} stat
+ * @returns {string}
+ */
+function formatMetric({ metric, count, average, total }) {
+    const unit = metric.unit ? ` ${metric.unit}` : '';
+
+    switch (metric.type) {
+        case 'boolean':
+            return `${total} of ${count} days`;
+        case 'duration':
+            return `${formatDuration(average)} average`;
+        case 'number':
+            return `${formatNumber(total)}${unit} total, ${formatNumber(average)}${unit} average`;
+        default:
+            return `${formatNumber(average)}${unit} average`;
+    }
+}
+
+/**
+ * Write the numbers of a period as a list
+ * @param {Object} stats - From Analytics.getPeriodStats
+ * @returns {string}
+ */
+function buildSummary(stats) {
+    const lines = [`- Entries: ${stats.written} of ${stats.days} days`];
+
+    for (const stat of stats.metrics) {
+        if (stat.count > 0) {
+            lines.push(`- ${stat.metric.label}: ${formatMetric(stat)}`);
+        }
+    }
+
+    const { priorities } = stats;
+    if (priorities.total > 0) {
+        lines.push(`- Priorities: ${priorities.done} of ${priorities.done + priorities.open} done (${priorities.completionRate}%), ${priorities.carried} carried over, ${priorities.dropped} dropped`);
+    }
+
+    const habits = stats.habits.filter(h => h.tracked > 0);
+    if (habits.length > 0) {
+        lines.push(`- Habits: ${habits.map(h => `${h.habit.label} ${h.done}/${h.tracked}`).join(', ')}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * List a daily section's text over a period, one item per day
+ * @param {Array<Object>} entries - Parsed entries, oldest first
+ * @param {string} key - Field key
+ * @returns {string}
+ */
+function collectField(entries, key) {
+    const items = [];
+
+    for (const entry of entries) {
+        const text = (entry[key] || '').trim();
+        if (!text) continue;
+
+        const [first, ...rest] = text.split('\n');
+        items.push([`- **${formatDay(entry.date)}:** ${first}`, ...rest.map(line => line ? `  ${line}` : '')].join('\n'));
+    }
+
+    return items.join('\n');
+}
+
+/**
+ * List the priorities still open at the end of a period: the last time
+ * an item appears decides its state
+ * @param {Array<Object>} entries - Parsed entries, oldest first
+ * @returns {string} Task list
+ */
+function collectUnfinished(entries) {
+    const latest = new Map();
+
+    for (const entry of entries) {
+        for (const item of getPriorities(entry)) {
+            const key = getTaskKey(item.text);
+            latest.delete(key);
+            latest.set(key, item);
+        }
+    }
+
+    return [...latest.values()]
+        .filter(item => item.state === 'open')
+        .map(item => `- [ ] ${item.text}`)
+        .join('\n');
+}
+
+/**
+ * Draft a new review, filled in from the period's entries
+ * @param {string} id - Period id
+ * @param {Array<Object>} entries - The period's parsed entries, oldest first (decrypted)
+ * @param {Object} stats - From Analytics.getPeriodStats
+ * @returns {Object} Entry object written with the review template
+ */
+function createReview(id, entries, stats) {
+    const period = parsePeriod(id);
+    if (!period) {
+        const error = new Error(`Not a review period: ${id}`);
+        error.status = 400;
+        throw error;
+    }
+
+    // Reviews track no habits of their own
+    const review = { ...createEntry(period.start, getReviewTemplate()), habits: null, frontmatter: { review: id } };
+
+    const drafts = {
+        summary: buildSummary(stats),
+        wins: collectField(entries, WINS_FIELD),
+        failures: collectField(entries, FAILURES_FIELD),
+        unfinished: collectUnfinished(entries)
+    };
+
+    // Custom review templates may leave some of these out
+    for (const [key, text] of Object.entries(drafts)) {
+        if (key in review) {
+            review[key] = text;
+        }
+    }
+
+    return review;
+}
+
+export {
+    REVIEWS_PATH,
+    PERIOD_TYPES,
+    getPeriodId,
+    parsePeriod,
+    getPreviousPeriodId,
+    getPeriodLabel,
+    getSuggestedPeriods,
+    getReviewPath,
+    parseReviewPath,
+    getReviewId,
+    createReview
+};
@@ -1,22 +1,52 @@
 /**
  * Empire OS - Storage Module
- * LocalStorage cache layer and offline queue management
+ * Entry cache (IndexedDB), settings (localStorage) and offline queue management
  */
 
+import * as DB from './db.js';
+
 const KEYS = {
     PAT: 'empire_pat',
     REPO: 'empire_repo',
+    BACKEND: 'empire_backend',
     ENTRIES: 'empire_entries',
     PENDING: 'empire_pending',
     INDEX: 'empire_index',
-    SETTINGS: 'empire_settings'
+    SETTINGS: 'empire_settings',
+    TRASH: 'empire_trash',
+    TEMPLATES: 'empire_templates',
+    REVIEWS: 'empire_reviews'
 };
 
+const TRASH_RETENTION = 30 * 24 * 60 * 60 * 1000;
+const RETRY_BASE_DELAY = 30 * 1000;
+const RETRY_MAX_DELAY = 60 * 60 * 1000;
+
 const DEFAULT_SETTINGS = {
     theme: 'dark',
-    autosync: true
+    autosync: true,
+    encryption: null,
+    hydrating: false,
+    repository: null,
+    template: 'empire'
 };
 
+let _entries = {};
+let _trash = {};
+let _reviews = {};
+let _useDB = false;
+
+/**
+ * Error thrown when an entry cannot be written to the local cache
+ */
+class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
 /**
  * Get item from localStorage with JSON parsing
  * @param {string} key 
@@ -89,10 +119,46 @@ function setRepo(repo) {
 }
 
 /**
- * Check if app is configured
+ * Get stored sync backend
+ * @returns {{type: string, url: string}} Backend id and server URL (self-hosted only)
+ */
+function getBackend() {
+    return { type: 'github', url: '', ...getItem(KEYS.BACKEND, {}) };
+}
+
+/**
+ * Set sync backend
+ * @param {{type: string, url?: string}} backend 
+ */
+function setBackend(backend) {
+    setItem(KEYS.BACKEND, { url: '', ...backend });
+}
+
+/**
+ * Get the template versions known on this device
+ * @returns {Array<Object>}
+ */
+function getTemplates() {
+    return getItem(KEYS.TEMPLATES, []);
+}
+
+/**
+ * Store template versions
+ * @param {Array<Object>} templates
+ */
+function setTemplates(templates) {
+    setItem(KEYS.TEMPLATES, templates);
+}
+
+/**
+ * Check if app is configured. A local folder needs no token;
+ * its name is stored as the repository.
  * @returns {boolean}
  */
 function isConfigured() {
+    if (getBackend().type === 'local') {
+        return !!getRepo();
+    }
     return !!(getPAT() && getRepo());
 }
 
@@ -102,6 +168,146 @@ function isConfigured() {
 function clearConfig() {
     removeItem(KEYS.PAT);
     removeItem(KEYS.REPO);
+    removeItem(KEYS.BACKEND);
+    if (_useDB) {
+        DB.remove(DB.STORES.META, 'backend').catch(() => {});
+    }
+}
+
+/**
+ * Open the entry database, migrate the legacy localStorage blobs
+ * and load all entries and reviews into memory
+ * @returns {Promise<void>}
+ */
+async function init() {
+    const legacy = getItem(KEYS.ENTRIES, null);
+    const legacyReviews = getItem(KEYS.REVIEWS, null);
+
+    try {
+        await DB.open();
+        _useDB = true;
+    } catch {
+        _useDB = false;
+        _entries = legacy || {};
+        _trash = getItem(KEYS.TRASH, {});
+        _reviews = legacyReviews || {};
+        await purgeTrash();
+        saveQueue(upgradeQueue(getItem(KEYS.PENDING, [])));
+        return;
+    }
+
+    if (legacy && Object.keys(legacy).length > 0) {
+        await DB.putMany(DB.STORES.ENTRIES, legacy);
+    }
+    if (legacy) {
+        removeItem(KEYS.ENTRIES);
+    }
+
+    if (legacyReviews && Object.keys(legacyReviews).length > 0) {
+        await DB.putMany(DB.STORES.REVIEWS, legacyReviews);
+    }
+    if (legacyReviews) {
+        removeItem(KEYS.REVIEWS);
+    }
+
+    _entries = await DB.getAll(DB.STORES.ENTRIES);
+    _trash = await DB.getAll(DB.STORES.TRASH);
+    _reviews = await DB.getAll(DB.STORES.REVIEWS);
+    await purgeTrash();
+
+    // The service worker may have synced part of the queue while no tab was open
+    const queue = await DB.get(DB.STORES.META, 'queue');
+    saveQueue(upgradeQueue(queue || getItem(KEYS.PENDING, [])));
+}
+
+/**
+ * Upgrade a queue stored by older versions as a plain list of dates
+ * @param {Array<string|Object>} queue
+ * @returns {Array<Object>} See getQueue
+ */
+function upgradeQueue(queue) {
+    const queuedAt = Date.now();
+
+    return queue.map(item => typeof item === 'string'
+        ? { date: item, queuedAt, attempts: 0, lastError: null, nextRetryAt: 0 }
+        : item);
+}
+
+/**
+ * Persist a single entry record
+ * @param {string} date
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function persistEntry(date) {
+    if (!_useDB) {
+        if (!setItem(KEYS.ENTRIES, _entries)) {
+            throw new StorageError(`Failed to save ${date}: local storage is full`);
+        }
+        return;
+    }
+
+    try {
+        if (_entries[date]) {
+            await DB.put(DB.STORES.ENTRIES, date, _entries[date]);
+        } else {
+            await DB.remove(DB.STORES.ENTRIES, date);
+        }
+    } catch (error) {
+        const message = error && error.name === 'QuotaExceededError'
+            ? `Failed to save ${date}: device storage is full`
+            : `Failed to save ${date} locally`;
+        throw new StorageError(message, error);
+    }
+}
+
+/**
+ * Persist a single trash record
+ * @param {string} date
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function persistTrash(date) {
+    if (!_useDB) {
+        if (!setItem(KEYS.TRASH, _trash)) {
+            throw new StorageError(`Failed to update trash for ${date}: local storage is full`);
+        }
+        return;
+    }
+
+    try {
+        if (_trash[date]) {
+            await DB.put(DB.STORES.TRASH, date, _trash[date]);
+        } else {
+            await DB.remove(DB.STORES.TRASH, date);
+        }
+    } catch (error) {
+        throw new StorageError(`Failed to update trash for ${date}`, error);
+    }
+}
+
+/**
+ * Persist a single review record
+ * @param {string} id - Period id
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function persistReview(id) {
+    if (!_useDB) {
+        if (!setItem(KEYS.REVIEWS, _reviews)) {
+            throw new StorageError(`Failed to save the ${id} review: local storage is full`);
+        }
+        return;
+    }
+
+    try {
+        await DB.put(DB.STORES.REVIEWS, id, _reviews[id]);
+    } catch (error) {
+        const message = error && error.name === 'QuotaExceededError'
+            ? `Failed to save the ${id} review: device storage is full`
+            : `Failed to save the ${id} review locally`;
+        throw new StorageError(message, error);
+    }
 }
 
 /**
@@ -109,7 +315,7 @@ function clearConfig() {
  * @returns {Object} Map of date -> entry data
  */
 function getEntries() {
-    return getItem(KEYS.ENTRIES, {});
+    return { ..._entries };
 }
 
 /**
@@ -118,86 +324,415 @@ function getEntries() {
  * @returns {Object|null}
  */
 function getEntry(date) {
-    const entries = getEntries();
-    return entries[date] || null;
+    return _entries[date] || null;
 }
 
 /**
- * Save entry to cache
+ * Save entry to cache. The last synced markdown is kept as `base`
+ * for three-way merges.
  * @param {string} date - YYYY-MM-DD
- * @param {Object} entryData - { markdown, sha, synced }
+ * @param {Object} entryData - { markdown, sha, synced, base? }
+ * @returns {Promise<void>}
+ * @throws {StorageError}
  */
-function saveEntry(date, entryData) {
-    const entries = getEntries();
-    entries[date] = {
+async function saveEntry(date, entryData) {
+    const previousBase = _entries[date] ? _entries[date].base : null;
+    const tombstone = _trash[date];
+
+    // A new entry for a date whose deletion has not synced yet
+    // replaces the remote file instead of deleting it
+    if (tombstone && tombstone.pendingDelete && !_entries[date] && !entryData.sha) {
+        entryData = { ...entryData, sha: tombstone.sha };
+        tombstone.pendingDelete = false;
+        await persistTrash(date);
+    }
+
+    _entries[date] = {
+        base: entryData.synced ? entryData.markdown : previousBase || null,
         ...entryData,
         updatedAt: Date.now()
     };
-    setItem(KEYS.ENTRIES, entries);
     updateIndex(date);
+    await persistEntry(date);
 }
 
 /**
  * Delete entry from cache
  * @param {string} date 
+ * @returns {Promise<void>}
+ * @throws {StorageError}
  */
-function deleteEntry(date) {
-    const entries = getEntries();
-    delete entries[date];
-    setItem(KEYS.ENTRIES, entries);
+async function deleteEntry(date) {
+    delete _entries[date];
 
     const index = getIndex();
     const newIndex = index.filter(d => d !== date);
     setItem(KEYS.INDEX, newIndex);
+
+    await persistEntry(date);
+}
+
+/**
+ * Move an entry to the trash. Entries that exist remotely stay in the
+ * pending queue as a tombstone until the deletion is synced.
+ * @param {string} date 
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function trashEntry(date) {
+    const entry = _entries[date];
+    if (!entry) return;
+
+    _trash[date] = { ...entry, deletedAt: Date.now(), pendingDelete: !!entry.sha };
+    delete _entries[date];
+    setItem(KEYS.INDEX, getIndex().filter(d => d !== date));
+
+    if (entry.sha) {
+        addPending(date);
+    } else {
+        removePending(date);
+    }
+
+    await persistTrash(date);
+    await persistEntry(date);
+}
+
+/**
+ * Get entries in the trash, most recently deleted first
+ * @returns {Array<Object>} Trash records with their date
+ */
+function getTrash() {
+    return Object.entries(_trash)
+        .map(([date, item]) => ({ ...item, date }))
+        .sort((a, b) => b.deletedAt - a.deletedAt);
+}
+
+/**
+ * Get a single trash record
+ * @param {string} date 
+ * @returns {Object|null}
+ */
+function getTrashedEntry(date) {
+    return _trash[date] || null;
+}
+
+/**
+ * Check if a date has a deletion waiting to be synced
+ * @param {string} date 
+ * @returns {boolean}
+ */
+function isTombstone(date) {
+    return !!(_trash[date] && _trash[date].pendingDelete);
+}
+
+/**
+ * Record that a tombstone no longer needs syncing, either because the
+ * remote file was deleted or because the deletion was abandoned
+ * @param {string} date 
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function settleTombstone(date) {
+    removePending(date);
+    if (_trash[date]) {
+        _trash[date].pendingDelete = false;
+        _trash[date].sha = null;
+        await persistTrash(date);
+    }
+}
+
+/**
+ * Restore an entry from the trash
+ * @param {string} date 
+ * @returns {Promise<Object>} Restored entry record
+ * @throws {StorageError} If an entry for the date exists again
+ */
+async function restoreEntry(date) {
+    const item = _trash[date];
+    if (!item) {
+        throw new StorageError(`${date} is not in the trash`);
+    }
+    if (_entries[date]) {
+        throw new StorageError(`An entry for ${date} already exists`);
+    }
+
+    const { deletedAt, pendingDelete, ...entry } = item;
+
+    // Still on the remote if the deletion never synced: nothing to push
+    // unless the entry had unsynced edits
+    _entries[date] = pendingDelete
+        ? { ...entry, updatedAt: Date.now() }
+        : { ...entry, sha: null, synced: false, updatedAt: Date.now() };
+    delete _trash[date];
+
+    updateIndex(date);
+    if (_entries[date].synced) {
+        removePending(date);
+    } else {
+        addPending(date);
+    }
+
+    await persistEntry(date);
+    await persistTrash(date);
+    return _entries[date];
+}
+
+/**
+ * Permanently remove trash records older than the retention period.
+ * Tombstones that have not synced yet are kept.
+ * @returns {Promise<void>}
+ */
+async function purgeTrash() {
+    const cutoff = Date.now() - TRASH_RETENTION;
+
+    for (const [date, item] of Object.entries(_trash)) {
+        if (item.deletedAt < cutoff && !item.pendingDelete) {
+            delete _trash[date];
+            try {
+                await persistTrash(date);
+            } catch {
+            }
+        }
+    }
+}
+
+/**
+ * Check if attachments can be stored on this device (they need IndexedDB)
+ * @returns {boolean}
+ */
+function supportsAttachments() {
+    return _useDB;
+}
+
+/**
+ * Store an attachment. Blobs live only in IndexedDB, keyed by date/name.
+ * @param {string} date - YYYY-MM-DD the attachment belongs to
+ * @param {{name: string, type: string, blob: Blob}} attachment
+ * @param {{synced?: boolean, sha?: string|null}} state - Remote copies are stored synced
+ * @returns {Promise<Object>} The stored record
+ * @throws {StorageError}
+ */
+async function saveAttachment(date, attachment, { synced = false, sha = null } = {}) {
+    if (!_useDB) {
+        throw new StorageError('Attachments need IndexedDB, which is not available');
+    }
+
+    const record = {
+        date,
+        name: attachment.name,
+        type: attachment.type,
+        size: attachment.blob.size,
+        blob: attachment.blob,
+        synced,
+        sha,
+        addedAt: Date.now()
+    };
+
+    try {
+        await DB.put(DB.STORES.ATTACHMENTS, `${date}/${attachment.name}`, record);
+    } catch (error) {
+        throw new StorageError(`Failed to save ${attachment.name}: ${error.message}`, error);
+    }
+
+    return record;
+}
+
+/**
+ * Get a stored attachment
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @returns {Promise<Object|null>}
+ */
+async function getAttachment(date, name) {
+    if (!_useDB) return null;
+    return await DB.get(DB.STORES.ATTACHMENTS, `${date}/${name}`) || null;
+}
+
+/**
+ * Get all stored attachments, or those of one day
+ * @param {string} [date] - YYYY-MM-DD
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAttachments(date) {
+    if (!_useDB) return [];
+    if (date) {
+        return DB.getByPrefix(DB.STORES.ATTACHMENTS, `${date}/`);
+    }
+    return Object.values(await DB.getAll(DB.STORES.ATTACHMENTS));
+}
+
+/**
+ * Mark an attachment as uploaded
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} name
+ * @param {string|null} sha
+ * @returns {Promise<void>}
+ */
+async function markAttachmentSynced(date, name, sha) {
+    const record = await getAttachment(date, name);
+    if (record) {
+        await DB.put(DB.STORES.ATTACHMENTS, `${date}/${name}`, { ...record, synced: true, sha });
+    }
+}
+
+/**
+ * Get the reviews cached on this device, stored like entries as written
+ * to the backend (encrypted when encryption is on)
+ * @returns {Object} Map of period id -> { markdown, sha, synced, base, updatedAt }
+ */
+function getReviews() {
+    return { ..._reviews };
+}
+
+/**
+ * Get a cached review
+ * @param {string} id - Period id
+ * @returns {Object|null}
+ */
+function getReview(id) {
+    return _reviews[id] || null;
+}
+
+/**
+ * Cache a review. Unsynced reviews are uploaded by the next sync; the
+ * last synced markdown is kept as `base` for three-way merges.
+ * @param {string} id - Period id
+ * @param {Object} reviewData - { markdown, sha, synced, base? }
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function saveReview(id, reviewData) {
+    const previousBase = _reviews[id] ? _reviews[id].base : null;
+
+    _reviews[id] = {
+        base: reviewData.synced ? reviewData.markdown : previousBase || null,
+        ...reviewData,
+        updatedAt: Date.now()
+    };
+    await persistReview(id);
+}
+
+/**
+ * Mark a review as uploaded
+ * @param {string} id - Period id
+ * @param {string} sha
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function markReviewSynced(id, sha) {
+    const review = getReview(id);
+    if (review) {
+        await saveReview(id, { ...review, sha, synced: true, base: review.markdown });
+    }
+}
+
+/**
+ * Get the reviews saved on this device but not uploaded yet
+ * @returns {string[]} Period ids
+ */
+function getPendingReviews() {
+    return Object.entries(_reviews)
+        .filter(([, review]) => !review.synced)
+        .map(([id]) => id);
 }
 
 /**
  * Mark entry as synced
  * @param {string} date 
  * @param {string} sha - Commit SHA from GitHub
+ * @returns {Promise<void>}
+ * @throws {StorageError}
  */
-function markSynced(date, sha) {
-    const entries = getEntries();
-    if (entries[date]) {
-        entries[date].synced = true;
-        entries[date].sha = sha;
-        entries[date].syncedAt = Date.now();
-        setItem(KEYS.ENTRIES, entries);
-    }
+async function markSynced(date, sha) {
     removePending(date);
+    if (_entries[date]) {
+        _entries[date].synced = true;
+        _entries[date].sha = sha;
+        _entries[date].base = _entries[date].markdown;
+        _entries[date].syncedAt = Date.now();
+        await persistEntry(date);
+    }
 }
 
 /**
  * Mark entry as pending sync
  * @param {string} date 
+ * @returns {Promise<void>}
+ * @throws {StorageError}
  */
-function markPending(date) {
-    const entries = getEntries();
-    if (entries[date]) {
-        entries[date].synced = false;
-        setItem(KEYS.ENTRIES, entries);
-    }
+async function markPending(date) {
     addPending(date);
+    if (_entries[date]) {
+        _entries[date].synced = false;
+        await persistEntry(date);
+    }
+}
+
+/**
+ * Store the pending queue, mirrored to IndexedDB so the service worker
+ * can flush it in the background
+ * @param {Array<Object>} queue 
+ */
+function saveQueue(queue) {
+    setItem(KEYS.PENDING, queue);
+    if (_useDB) {
+        DB.put(DB.STORES.META, 'queue', queue).catch(() => {});
+    }
+}
+
+/**
+ * Store what the service worker needs to sync on its own
+ * @param {{type: string} & Object} config - Backend id plus its init config
+ * @returns {Promise<void>}
+ */
+async function setWorkerConfig(config) {
+    if (_useDB) {
+        await DB.put(DB.STORES.META, 'backend', config).catch(() => {});
+    }
 }
 
 /**
- * Get pending sync queue
+ * Get pending sync queue with retry state. Queues stored by older
+ * versions are upgraded once, in init.
+ * @returns {Array<{date: string, queuedAt: number, attempts: number, lastError: {status: number|null, message: string}|null, nextRetryAt: number}>}
+ */
+function getQueue() {
+    return getItem(KEYS.PENDING, []);
+}
+
+/**
+ * Get dates in the pending sync queue
  * @returns {string[]}
  */
 function getPending() {
-    return getItem(KEYS.PENDING, []);
+    return getQueue().map(item => item.date);
 }
 
 /**
- * Add date to pending queue
+ * Get dates whose next retry is due
+ * @returns {string[]}
+ */
+function getDuePending() {
+    const now = Date.now();
+    return getQueue().filter(item => item.nextRetryAt <= now).map(item => item.date);
+}
+
+/**
+ * Add date to pending queue. A date already queued becomes due
+ * immediately, since the new edit may succeed where the last one failed.
  * @param {string} date 
  */
 function addPending(date) {
-    const pending = getPending();
-    if (!pending.includes(date)) {
-        pending.push(date);
-        setItem(KEYS.PENDING, pending);
+    const queue = getQueue();
+    const item = queue.find(i => i.date === date);
+
+    if (item) {
+        item.nextRetryAt = 0;
+    } else {
+        queue.push({ date, queuedAt: Date.now(), attempts: 0, lastError: null, nextRetryAt: 0 });
     }
+
+    saveQueue(queue);
 }
 
 /**
@@ -205,16 +740,67 @@ function addPending(date) {
  * @param {string} date 
  */
 function removePending(date) {
-    const pending = getPending();
-    const newPending = pending.filter(d => d !== date);
-    setItem(KEYS.PENDING, newPending);
+    saveQueue(getQueue().filter(i => i.date !== date));
+}
+
+/**
+ * Record a failed sync attempt and schedule the next retry
+ * with exponential backoff
+ * @param {string} date 
+ * @param {{status?: number, message?: string}} error 
+ */
+function recordSyncFailure(date, error) {
+    const queue = getQueue();
+    const item = queue.find(i => i.date === date);
+    if (!item) return;
+
+    item.attempts++;
+    item.lastError = { status: error.status || null, message: error.message || 'Unknown error' };
+    item.nextRetryAt = Date.now() + Math.min(RETRY_BASE_DELAY * Math.pow(2, item.attempts - 1), RETRY_MAX_DELAY);
+
+    saveQueue(queue);
+}
+
+/**
+ * Make a queued item due now
+ * @param {string} date 
+ */
+function resetRetry(date) {
+    const queue = getQueue();
+    const item = queue.find(i => i.date === date);
+    if (!item) return;
+
+    item.nextRetryAt = 0;
+    saveQueue(queue);
+}
+
+/**
+ * Throw away unsynced local changes to an entry: back to the last synced
+ * version, or removed if it was never synced
+ * @param {string} date 
+ * @returns {Promise<void>}
+ * @throws {StorageError}
+ */
+async function revertEntry(date) {
+    const entry = _entries[date];
+    removePending(date);
+    if (!entry) return;
+
+    if (entry.base && entry.sha) {
+        _entries[date] = { ...entry, markdown: entry.base, synced: true, updatedAt: Date.now() };
+    } else {
+        delete _entries[date];
+        setItem(KEYS.INDEX, getIndex().filter(d => d !== date));
+    }
+
+    await persistEntry(date);
 }
 
 /**
  * Clear pending queue
  */
 function clearPending() {
-    setItem(KEYS.PENDING, []);
+    saveQueue([]);
 }
 
 /**
@@ -252,7 +838,7 @@ function setIndex(dates) {
  * @returns {Object}
  */
 function getSettings() {
-    return getItem(KEYS.SETTINGS, DEFAULT_SETTINGS);
+    return { ...DEFAULT_SETTINGS, ...getItem(KEYS.SETTINGS, {}) };
 }
 
 /**
@@ -291,21 +877,20 @@ function getStorageInfo() {
 /**
  * Clear old cached entries (keep last N)
  * @param {number} keep - Number of entries to keep
+ * @returns {Promise<void>}
  */
-function pruneCache(keep = 100) {
-    const entries = getEntries();
-    const dates = Object.keys(entries).sort().reverse();
+async function pruneCache(keep = 100) {
+    const dates = Object.keys(_entries).sort().reverse();
 
     if (dates.length <= keep) return;
 
     const toRemove = dates.slice(keep);
     for (const date of toRemove) {
-        if (entries[date].synced) {
-            delete entries[date];
+        if (_entries[date].synced) {
+            delete _entries[date];
+            await persistEntry(date);
         }
     }
-
-    setItem(KEYS.ENTRIES, entries);
 }
 
 /**
@@ -323,28 +908,69 @@ function exportData() {
 
 /**
  * Clear all stored data
+ * @returns {Promise<void>}
  */
-function clearAll() {
+async function clearAll() {
     for (const key of Object.values(KEYS)) {
         removeItem(key);
     }
+
+    _entries = {};
+    _trash = {};
+    _reviews = {};
+    if (_useDB) {
+        await DB.clear(DB.STORES.ENTRIES);
+        await DB.clear(DB.STORES.TRASH);
+        await DB.clear(DB.STORES.META);
+        await DB.clear(DB.STORES.ATTACHMENTS);
+        await DB.clear(DB.STORES.REVIEWS);
+    }
 }
 
 export {
     KEYS,
+    TRASH_RETENTION,
+    StorageError,
+    init,
     getPAT,
     setPAT,
     getRepo,
     setRepo,
+    getBackend,
+    setBackend,
+    setWorkerConfig,
+    getTemplates,
+    setTemplates,
     isConfigured,
     clearConfig,
     getEntries,
     getEntry,
     saveEntry,
     deleteEntry,
+    trashEntry,
+    getTrash,
+    getTrashedEntry,
+    isTombstone,
+    settleTombstone,
+    restoreEntry,
+    supportsAttachments,
+    saveAttachment,
+    getAttachment,
+    getAttachments,
+    markAttachmentSynced,
+    getReviews,
+    getReview,
+    saveReview,
+    markReviewSynced,
+    getPendingReviews,
     markSynced,
     markPending,
+    getQueue,
     getPending,
+    getDuePending,
+    recordSyncFailure,
+    resetRetry,
+    revertEntry,
     addPending,
     removePending,
     clearPending,
@@ -0,0 +1,530 @@
+/**
+ * Empire OS - Templates Module
+ * Journal templates as data: the sections an entry has, their prompts
+ * and placeholders, their habits, and the metrics tracked in its
+ * frontmatter.
+ * Review templates (`review: true`) lay out weekly, monthly and yearly
+ * reviews instead of daily entries.
+ * Templates are versioned; an entry records the version it was written
+ * with (`template: id@version`) so it always parses with the sections
+ * it was written against. Versions saved in the app also carry a random
+ * `rev` (`id@version-rev`), so two devices saving a new version offline
+ * never create different definitions under the same reference.
+ */
+
+const TEMPLATES_PATH = '.empire/templates.json';
+
+/*
+ * Metric types:
+ *   scale    - slider between min and max (0-10 unless set)
+ *   number   - any number, optionally bounded
+ *   boolean  - done / not done
+ *   duration - minutes (entered as h:mm)
+ */
+const METRIC_TYPES = ['scale', 'number', 'boolean', 'duration'];
+
+const DEFAULT_METRICS = [
+    { key: 'score', label: 'Overall Score', type: 'scale', min: 0, max: 10, default: 5 },
+    { key: 'discipline', label: 'Discipline', type: 'scale', min: 0, max: 10, default: 5 },
+    { key: 'focus', label: 'Focus', type: 'scale', min: 0, max: 10, default: 5 },
+    { key: 'energy', label: 'Energy', type: 'scale', min: 0, max: 10, default: 5 },
+    { key: 'mood', label: 'Mood', type: 'scale', min: 0, max: 10, default: 5 },
+    { key: 'net_worth_delta', label: 'Net Worth Δ', type: 'number', default: 0 }
+];
+
+const DEFAULT_TEMPLATE = {
+    id: 'empire',
+    version: 1,
+    name: 'Empire Daily',
+    metrics: DEFAULT_METRICS,
+    sections: [
+        { key: 'section_1', title: 'Identity & North Star', placeholder: 'Who am I becoming? What is my ultimate vision?' },
+        { key: 'section_2', title: 'Top 1-3 Priorities', priorities: true, placeholder: 'What are the 1-3 most important things I must accomplish today?' },
+        { key: 'section_3', title: 'Time & Focus Plan', placeholder: 'How will I structure my time today?' },
+        {
+            key: 'section_4',
+            title: 'Execution Checklist',
+            checklist: true,
+            subsections: [
+                {
+                    key: 'section_4a',
+                    title: 'Health',
+                    placeholder: 'Exercise, sleep, nutrition...',
+                    habits: [{ key: 'exercise', label: 'Exercise' }, { key: 'sleep', label: '7+ hours sleep' }]
+                },
+                {
+                    key: 'section_4b',
+                    title: 'Skill',
+                    placeholder: 'Learning, practice, growth...',
+                    habits: [{ key: 'practice', label: 'Deliberate practice' }]
+                },
+                {
+                    key: 'section_4c',
+                    title: 'Money',
+                    placeholder: 'Revenue, investments, savings...',
+                    habits: [{ key: 'track_money', label: 'Track spending' }]
+                },
+                {
+                    key: 'section_4d',
+                    title: 'Leverage',
+                    placeholder: 'Systems, delegation, automation...',
+                    habits: [{ key: 'improve_system', label: 'Improve a system' }]
+                },
+                {
+                    key: 'section_4e',
+                    title: 'Mind',
+                    placeholder: 'Meditation, reading, reflection...',
+                    habits: [{ key: 'meditate', label: 'Meditate' }, { key: 'read', label: 'Read' }]
+                }
+            ]
+        },
+        { key: 'section_5', title: 'Personal Balance Sheet', placeholder: 'Assets, liabilities, net worth tracking...' },
+        { key: 'section_6', title: 'Decisions & Thinking Log', placeholder: 'Key decisions made today, reasoning, outcomes...' },
+        { key: 'section_7', title: 'Failure & Weakness Audit', placeholder: "What didn't work? Where did I fall short?" },
+        { key: 'section_8', title: 'Fix & Upgrade Plan', placeholder: 'How will I fix the failures? What will I upgrade?' },
+        { key: 'section_9', title: 'Wins & Progress', placeholder: 'What went well? What progress did I make?' },
+        { key: 'section_10', title: 'Self-Score (0-10)', placeholder: 'Detailed self-assessment for the day...' },
+        { key: 'section_11', title: 'Night Close Reflection', placeholder: "End of day reflection. Gratitude. Tomorrow's intention..." }
+    ]
+};
+
+const REVIEW_TEMPLATE = {
+    id: 'review',
+    version: 1,
+    name: 'Empire Review',
+    review: true,
+    metrics: [],
+    sections: [
+        { key: 'summary', title: 'Numbers', placeholder: 'Entries, averages, habits and priorities over the period' },
+        { key: 'wins', title: 'Wins & Progress', placeholder: 'What went well? What moved forward?' },
+        { key: 'failures', title: 'Failures & Weaknesses', placeholder: 'Where did I fall short? What kept repeating?' },
+        { key: 'unfinished', title: 'Unfinished Priorities', checklist: true, placeholder: 'Priorities still open at the end of the period' },
+        { key: 'lessons', title: 'Lessons', placeholder: 'What patterns do I see? What did I learn?' },
+        { key: 'next', title: 'Focus for the Next Period', placeholder: 'What matters most next? What will I change?' }
+    ]
+};
+
+const BUILT_IN = [DEFAULT_TEMPLATE, REVIEW_TEMPLATE];
+
+// Entries written before templates existed carry no reference
+const LEGACY_REF = 'empire@1';
+
+// Entry keys a section or metric key must not shadow
+const RESERVED_KEYS = ['schema', 'date', 'template', 'tags', 'habits', 'frontmatter', 'extra'];
+
+const KEY_PATTERN = /^[a-z][a-z0-9_]*$/;
+const REV_PATTERN = /^[a-z0-9]+$/;
+
+let _templates = [...BUILT_IN];
+let _activeId = DEFAULT_TEMPLATE.id;
+
+/**
+ * Build the reference an entry stores for a template version
+ * @param {{id: string, version: number, rev?: string}} template
+ * @returns {string} e.g. 'empire@1' or 'empire@2-lq3k9x2a'
+ */
+function getRef(template) {
+    return `${template.id}@${template.version}${template.rev ? `-${template.rev}` : ''}`;
+}
+
+/**
+ * Split a reference into id, version and rev
+ * @param {string} ref - 'id@version[-rev]' or just 'id' for the latest version
+ * @returns {{id: string, version: number|null, rev: string|null}}
+ */
+function parseRef(ref) {
+    const [id, version] = String(ref || '').split('@');
+    const [number, rev] = (version || '').split('-');
+    return { id, version: number ? parseInt(number, 10) : null, rev: rev || null };
+}
+
+/**
+ * Check if a template is the version a reference names
+ * @param {Object} template
+ * @param {{id: string, version: number, rev: string|null}} ref - From parseRef
+ * @returns {boolean}
+ */
+function matchesRef(template, { id, version, rev }) {
+    return template.id === id && template.version === version && (template.rev || null) === rev;
+}
+
+/**
+ * Create a rev that no other device will pick for the same version
+ * @returns {string}
+ */
+function createRev() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Check a template definition, throwing on the first problem
+ * @param {Object} template
+ * @returns {Object} The template
+ */
+function validateTemplate(template) {
+    const fail = (message) => {
+        const error = new Error(`Invalid template: ${message}`);
+        error.status = 422;
+        throw error;
+    };
+
+    if (!template || typeof template !== 'object') fail('not an object');
+    if (!KEY_PATTERN.test(template.id || '')) fail('id must be lowercase letters, digits and underscores');
+    if (!Number.isInteger(template.version) || template.version < 1) fail('version must be a positive integer');
+    if (template.rev !== undefined && !REV_PATTERN.test(template.rev)) fail('rev must be lowercase letters and digits');
+    if (!template.name) fail('name is required');
+    if (!Array.isArray(template.sections) || template.sections.length === 0) fail('at least one section is required');
+    if (template.id === REVIEW_TEMPLATE.id && template.review !== true) fail(`"${REVIEW_TEMPLATE.id}" is the review template and needs "review": true`);
+
+    const keys = new Set();
+    const habitKeys = new Set();
+    const checkField = (field) => {
+        if (!field.title) fail('every section needs a title');
+        if (!KEY_PATTERN.test(field.key || '')) fail(`"${field.title}" needs a key of lowercase letters, digits and underscores`);
+        if (RESERVED_KEYS.includes(field.key)) fail(`"${field.key}" is reserved`);
+        if (keys.has(field.key)) fail(`key "${field.key}" is used twice`);
+        keys.add(field.key);
+
+        if (field.habits === undefined) return;
+        if (!Array.isArray(field.habits)) fail(`habits of "${field.title}" must be a list`);
+
+        for (const habit of field.habits) {
+            if (!habit || !habit.label) fail(`every habit of "${field.title}" needs a label`);
+            if (!KEY_PATTERN.test(habit.key || '')) fail(`habit "${habit.label}" needs a key of lowercase letters, digits and underscores`);
+            if (habitKeys.has(habit.key)) fail(`habit key "${habit.key}" is used twice`);
+            habitKeys.add(habit.key);
+        }
+    };
+
+    for (const section of template.sections) {
+        checkField(section);
+        if (section.subsections) {
+            if (!Array.isArray(section.subsections)) fail(`subsections of "${section.title}" must be a list`);
+            section.subsections.forEach(checkField);
+        }
+    }
+
+    if (template.metrics !== undefined) {
+        if (!Array.isArray(template.metrics)) fail('metrics must be a list');
+
+        for (const metric of template.metrics) {
+            checkField({ ...metric, title: metric.label });
+            if (!METRIC_TYPES.includes(metric.type)) fail(`metric "${metric.key}" needs a type: ${METRIC_TYPES.join(', ')}`);
+
+            for (const bound of ['min', 'max', 'step', 'default']) {
+                if (metric[bound] !== undefined && metric.type !== 'boolean' && !Number.isFinite(metric[bound])) {
+                    fail(`${bound} of metric "${metric.key}" must be a number`);
+                }
+            }
+            if (metric.min !== undefined && metric.max !== undefined && metric.min >= metric.max) {
+                fail(`min of metric "${metric.key}" must be below its max`);
+            }
+        }
+    }
+
+    return template;
+}
+
+/**
+ * Replace the known templates. The built-in templates are always kept.
+ * @param {Array<Object>} templates - Every stored version of every template
+ */
+function setTemplates(templates) {
+    const valid = [];
+
+    for (const template of templates || []) {
+        try {
+            valid.push(validateTemplate(template));
+        } catch {
+        }
+    }
+
+    const known = new Map(BUILT_IN.map(template => [getRef(template), template]));
+    for (const template of valid) {
+        known.set(getRef(template), template);
+    }
+
+    _templates = [...known.values()];
+}
+
+/**
+ * Get every known template version
+ * @returns {Array<Object>}
+ */
+function getTemplates() {
+    return [..._templates];
+}
+
+/**
+ * Get the template versions that are not built in (what gets stored)
+ * @returns {Array<Object>}
+ */
+function getStoredTemplates() {
+    return _templates.filter(t => !BUILT_IN.includes(t));
+}
+
+/**
+ * Check if a template version is known here
+ * @param {string} ref - 'id@version'
+ * @returns {boolean}
+ */
+function isKnown(ref) {
+    const parsed = parseRef(ref);
+    return _templates.some(t => parsed.version === null ? t.id === parsed.id : matchesRef(t, parsed));
+}
+
+/**
+ * Get the latest version of each daily (or each review) template
+ * @param {boolean} [review] - List review templates instead
+ * @returns {Array<Object>}
+ */
+function getLatestTemplates(review = false) {
+    const latest = new Map();
+
+    for (const template of _templates.filter(t => !!t.review === review)) {
+        const current = latest.get(template.id);
+        // Versions saved offline on two devices share a number: pick the same one everywhere
+        if (!current || template.version > current.version
+            || (template.version === current.version && (template.rev || '') > (current.rev || ''))) {
+            latest.set(template.id, template);
+        }
+    }
+
+    return [...latest.values()];
+}
+
+/**
+ * Find a template version. Unknown references fall back to the default
+ * template so an entry always parses.
+ * @param {string} [ref] - 'id@version', or 'id' for the latest version; missing means pre-template entries
+ * @returns {Object}
+ */
+function getTemplate(ref = LEGACY_REF) {
+    const parsed = parseRef(ref);
+
+    if (parsed.version === null) {
+        const latest = [...getLatestTemplates(), ...getLatestTemplates(true)].find(t => t.id === parsed.id);
+        if (latest) return latest;
+    } else {
+        const exact = _templates.find(t => matchesRef(t, parsed));
+        if (exact) return exact;
+    }
+
+    return DEFAULT_TEMPLATE;
+}
+
+/**
+ * Get the latest version of the template reviews are written with
+ * @returns {Object}
+ */
+function getReviewTemplate() {
+    return getTemplate(REVIEW_TEMPLATE.id);
+}
+
+/**
+ * Select the template new entries are written with
+ * @param {string} id
+ */
+function setActive(id) {
+    _activeId = getLatestTemplates().some(t => t.id === id) ? id : DEFAULT_TEMPLATE.id;
+}
+
+/**
+ * Get the latest version of the active template
+ * @returns {Object}
+ */
+function getActive() {
+    return getTemplate(_activeId);
+}
+
+/**
+ * Add a new version of a template (or a new template at version 1).
+ * The version gets a new rev, so its reference is unique even if
+ * another device saves the same version number before they sync.
+ * @param {Object} definition - Template without (or with a stale) version and rev
+ * @returns {Object} The stored version
+ */
+function saveVersion(definition) {
+    const versions = _templates.filter(t => t.id === definition.id).map(t => t.version);
+    const template = validateTemplate({
+        ...definition,
+        version: versions.length > 0 ? Math.max(...versions) + 1 : 1,
+        rev: createRev()
+    });
+
+    _templates.push(template);
+    return template;
+}
+
+/**
+ * Merge template lists from two places (e.g. this device and the repository).
+ * A local definition that differs from the remote one under the same
+ * reference (saved before versions had a rev) is kept under a new rev
+ * instead of being dropped; the reference keeps the remote definition.
+ * @param {Array<Object>} local
+ * @param {Array<Object>} remote
+ * @returns {Array<Object>}
+ */
+function mergeTemplateLists(local, remote) {
+    const merged = new Map((remote || []).map(template => [getRef(template), template]));
+
+    for (const template of local || []) {
+        const ref = getRef(template);
+        const shared = merged.get(ref);
+
+        if (!shared) {
+            merged.set(ref, template);
+        } else if (JSON.stringify(shared) !== JSON.stringify(template)) {
+            const kept = { ...template, rev: createRev() };
+            merged.set(getRef(kept), kept);
+        }
+    }
+
+    return [...merged.values()];
+}
+
+/**
+ * Get the text fields of a template in order, subsections flattened.
+ * Priorities sections are checklists whose unfinished items carry over.
+ * @param {Object} template
+ * @returns {Array<{key: string, title: string, number: number, parent: string|null, checklist: boolean, priorities: boolean}>}
+ */
+function getFields(template) {
+    const fields = [];
+
+    template.sections.forEach((section, i) => {
+        if (section.subsections && section.subsections.length > 0) {
+            for (const sub of section.subsections) {
+                const priorities = !!(section.priorities || sub.priorities);
+                const checklist = !!(section.checklist || sub.checklist) || priorities;
+                fields.push({ key: sub.key, title: sub.title, number: i + 1, parent: section.title, checklist, priorities });
+            }
+        } else {
+            const priorities = !!section.priorities;
+            fields.push({ key: section.key, title: section.title, number: i + 1, parent: null, checklist: !!section.checklist || priorities, priorities });
+        }
+    });
+
+    return fields;
+}
+
+/**
+ * Get the habits of a template, in section order
+ * @param {Object} template
+ * @returns {Array<{key: string, label: string, field: string, title: string}>} field/title: the section holding it
+ */
+function getHabits(template) {
+    const habits = [];
+
+    const collect = (item) => {
+        for (const habit of item.habits || []) {
+            habits.push({ key: habit.key, label: habit.label, field: item.key, title: item.title });
+        }
+    };
+
+    for (const section of template.sections) {
+        collect(section);
+        (section.subsections || []).forEach(collect);
+    }
+
+    return habits;
+}
+
+/**
+ * Get every habit of the latest version of any template, the active
+ * template's first
+ * @returns {Array<Object>}
+ */
+function getAllHabits() {
+    const active = getActive();
+    const habits = new Map();
+
+    for (const template of [active, ...getLatestTemplates().filter(t => t !== active)]) {
+        for (const habit of getHabits(template)) {
+            if (!habits.has(habit.key)) {
+                habits.set(habit.key, habit);
+            }
+        }
+    }
+
+    return [...habits.values()];
+}
+
+/**
+ * Get the metrics of a template. Templates without a `metrics` list
+ * track the built-in ones.
+ * @param {Object} template
+ * @returns {Array<{key: string, label: string, type: string, min?: number, max?: number, step?: number, unit?: string, default?: *}>}
+ */
+function getMetrics(template) {
+    return (template.metrics || DEFAULT_METRICS).map(metric => metric.type === 'scale'
+        ? { min: 0, max: 10, ...metric }
+        : metric);
+}
+
+/**
+ * Get every metric tracked by the latest version of any template,
+ * the active template's first
+ * @returns {Array<Object>}
+ */
+function getAllMetrics() {
+    const active = getActive();
+    const metrics = new Map();
+
+    for (const template of [active, ...getLatestTemplates().filter(t => t !== active)]) {
+        for (const metric of getMetrics(template)) {
+            if (!metrics.has(metric.key)) {
+                metrics.set(metric.key, metric);
+            }
+        }
+    }
+
+    return [...metrics.values()];
+}
+
+/**
+ * Serialize the stored template versions for the repository file
+ * @returns {string}
+ */
+function toJSON() {
+    return JSON.stringify({ templates: getStoredTemplates() }, null, 2) + '\n';
+}
+
+/**
+ * Read template versions from the repository file
+ * @param {string} json
+ * @returns {Array<Object>}
+ */
+function fromJSON(json) {
+    const data = JSON.parse(json);
+    return Array.isArray(data.templates) ? data.templates : [];
+}
+
+export {
+    TEMPLATES_PATH,
+    METRIC_TYPES,
+    DEFAULT_METRICS,
+    DEFAULT_TEMPLATE,
+    REVIEW_TEMPLATE,
+    LEGACY_REF,
+    getRef,
+    validateTemplate,
+    setTemplates,
+    getTemplates,
+    getStoredTemplates,
+    isKnown,
+    getLatestTemplates,
+    getTemplate,
+    setActive,
+    getActive,
+    getReviewTemplate,
+    saveVersion,
+    mergeTemplateLists,
+    getFields,
+    getHabits,
+    getAllHabits,
+    getMetrics,
+    getAllMetrics,
+    toJSON,
+    fromJSON
+};
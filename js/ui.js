@@ -252,6 +252,26 @@ function updateSyncStatus(status, text) {
     textEl.textContent = text || status.charAt(0).toUpperCase() + status.slice(1);
 }
 
+/**
+ * Show API quota and reset time in the sync status
+ * @param {{limit: number|null, remaining: number|null, resetAt: number|null}} quota 
+ */
+function updateQuota(quota) {
+    const statusEl = $('#sync-status');
+    const quotaEl = $('#sync-quota');
+    if (!statusEl || quota.remaining === null) return;
+
+    const reset = new Date(quota.resetAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    statusEl.title = `GitHub API: ${quota.remaining}/${quota.limit} requests left, resets at ${reset}`;
+
+    if (quota.remaining < quota.limit * 0.1) {
+        quotaEl.textContent = `${quota.remaining} left · ${reset}`;
+        show(quotaEl);
+    } else {
+        hide(quotaEl);
+    }
+}
+
 /**
  * Update streak badge
  * @param {number} count 
@@ -332,6 +352,7 @@ export {
     TOAST_TYPES,
     showToast,
     updateSyncStatus,
+    updateQuota,
     updateStreakBadge,
     formatRelativeTime,
     debounce,
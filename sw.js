@@ -0,0 +1,215 @@
+/**
+ * Empire OS - Service Worker
+ * Precaches the app shell for offline use and flushes the sync queue
+ * through Background Sync when no tab is open
+ */
+
+import * as DB from './js/db.js';
+import * as Backend from './js/backend.js';
+
+// Bump on every release: a changed worker installs a fresh cache
+// and the page offers to reload into it
+const VERSION = '12';
+const CACHE_PREFIX = 'empire-shell-';
+const CACHE_NAME = `${CACHE_PREFIX}v${VERSION}`;
+const FONT_CACHE = 'empire-fonts';
+const SYNC_TAG = 'empire-sync';
+
+const SHELL = [
+    './',
+    './index.html',
+    './manifest.json',
+    './css/style.css',
+    './js/analytics.js',
+    './js/app.js',
+    './js/attachments.js',
+    './js/backend.js',
+    './js/bootstrap.js',
+    './js/db.js',
+    './js/encryption.js',
+    './js/export.js',
+    './js/gitea.js',
+    './js/github.js',
+    './js/index.js',
+    './js/journal.js',
+    './js/layout.js',
+    './js/local-folder.js',
+    './js/merge.js',
+    './js/reviews.js',
+    './js/storage.js',
+    './js/templates.js',
+    './js/ui.js',
+    './assets/logo.svg',
+    './assets/icon-192.png',
+    './assets/icon-512.png'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, FONT_CACHE));
+        return;
+    }
+
+    // API calls and everything else off-origin go straight to the network
+    if (url.origin !== self.location.origin) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match('./index.html', { cacheName: CACHE_NAME })
+                .then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: true })
+            .then(cached => cached || fetch(request))
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('sync', (event) => {
+    if (event.tag === SYNC_TAG) {
+        event.waitUntil(flushQueue());
+    }
+});
+
+/**
+ * Serve from a runtime cache, filling it from the network on a miss
+ * @param {Request} request
+ * @param {string} cacheName
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Upload the attachments of a day that have not been uploaded yet
+ * @param {string} date
+ * @returns {Promise<void>}
+ */
+async function uploadAttachments(date) {
+    const attachments = await DB.getByPrefix(DB.STORES.ATTACHMENTS, `${date}/`);
+
+    for (const attachment of attachments) {
+        if (attachment.synced) continue;
+
+        const { sha } = await Backend.saveAttachment(date, attachment.name, attachment.blob);
+        await DB.put(DB.STORES.ATTACHMENTS, `${date}/${attachment.name}`, { ...attachment, synced: true, sha });
+    }
+}
+
+/**
+ * Push the pending queue straight from IndexedDB. When a tab is open it
+ * owns the queue, so it is asked to sync instead. Entries that conflict
+ * are left queued for the page to merge, and items still backing off
+ * after a failure (nextRetryAt, as in Storage.getDuePending) are left
+ * for later. Throwing makes the browser retry the sync later.
+ * @returns {Promise<void>}
+ */
+async function flushQueue() {
+    const windows = await self.clients.matchAll({ type: 'window' });
+    if (windows.length > 0) {
+        windows.forEach(client => client.postMessage({ type: 'SYNC' }));
+        return;
+    }
+
+    const config = await DB.get(DB.STORES.META, 'backend');
+    const now = Date.now();
+    const queue = (await DB.get(DB.STORES.META, 'queue') || [])
+        .filter(item => (item.nextRetryAt || 0) <= now);
+    if (!config || config.type === 'local' || queue.length === 0) return;
+
+    Backend.use(config.type);
+    Backend.init(config);
+
+    const done = new Set();
+    const batch = [];
+    let failed = false;
+
+    for (const item of queue) {
+        const record = await DB.get(DB.STORES.ENTRIES, item.date);
+
+        if (record && record.markdown) {
+            try {
+                await uploadAttachments(item.date);
+                batch.push({ date: item.date, markdown: record.markdown, sha: record.sha });
+            } catch {
+                failed = true;
+            }
+            continue;
+        }
+
+        const trashed = await DB.get(DB.STORES.TRASH, item.date);
+        if (!trashed || !trashed.pendingDelete) continue;
+
+        try {
+            await Backend.deleteEntry(item.date, trashed.sha);
+            await DB.put(DB.STORES.TRASH, item.date, { ...trashed, pendingDelete: false, sha: null });
+            done.add(item.date);
+        } catch (error) {
+            failed = failed || error.status !== 409;
+        }
+    }
+
+    try {
+        const { synced } = await Backend.saveEntries(batch);
+
+        for (const [date, sha] of Object.entries(synced)) {
+            const record = await DB.get(DB.STORES.ENTRIES, date);
+            await DB.put(DB.STORES.ENTRIES, date, {
+                ...record,
+                synced: true,
+                sha,
+                base: record.markdown,
+                syncedAt: Date.now()
+            });
+            done.add(date);
+        }
+    } catch {
+        failed = true;
+    }
+
+    // Re-read: a tab may have queued more while we were pushing
+    const latest = await DB.get(DB.STORES.META, 'queue') || [];
+    await DB.put(DB.STORES.META, 'queue', latest.filter(item => !done.has(item.date)));
+
+    if (failed) {
+        throw new Error('Background sync incomplete');
+    }
+}